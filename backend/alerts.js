@@ -0,0 +1,616 @@
+// alerts.js - Threshold alerts on backend monitoring results, delivered to webhooks
+//
+// Each webhook has its own thresholds. When a target crosses one, the webhook
+// gets one "alert.firing" event, and one "alert.resolved" event once the
+// target is back under it. Bodies are signed with HMAC-SHA256 over
+// "<timestamp>.<body>" using the webhook's secret (X-NLA-Signature), and
+// failed deliveries are retried with exponential backoff.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { DATA_DIR } = require('./data-dir');
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WINDOW_SIZE = 20; // recent results per target the rules look at
+const LATENCY_SAMPLES = 5; // answered results averaged by the latency rule
+const MIN_LOSS_SAMPLES = 5; // one lost probe out of two is not 50% loss yet
+const DELIVERY_LOG_SIZE = 200;
+const DELIVERY_TIMEOUT = 5000;
+
+// Same defaults as the browser alerts (config.alerts in main-enhanced.js)
+const DEFAULT_THRESHOLDS = {
+    latency: 200, // ms, average of the last answered probes
+    jitter: 100, // ms
+    loss: 5, // % of the recent probes
+    failures: 3 // failed checks in a row before a target counts as down
+};
+
+// Fields saved to disk; everything else is runtime state
+const DEFINITION_FIELDS = ['id', 'name', 'url', 'template', 'secret', 'thresholds', 'targets', 'enabled', 'createdAt'];
+
+// Webhooks cannot reach these unless WEBHOOK_ALLOW_PRIVATE=1: the server
+// would otherwise POST into its own network on behalf of API clients
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+class WebhookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = 400;
+    }
+}
+
+function answeredTimes(window) {
+    return window.filter(result => result.alive && typeof result.time === 'number').map(result => result.time);
+}
+
+// measure(window) is null while there is too little data to judge
+const RULES = {
+    down: {
+        threshold: 'failures',
+        measure: (window) => {
+            let failures = 0;
+            for (let i = window.length - 1; i >= 0 && !window[i].alive; i--) failures++;
+            return failures;
+        },
+        exceeds: (value, limit) => value >= limit,
+        describe: value => `down (${value} failed checks in a row)`
+    },
+    latency: {
+        threshold: 'latency',
+        measure: (window) => {
+            const times = answeredTimes(window).slice(-LATENCY_SAMPLES);
+            return times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : null;
+        },
+        exceeds: (value, limit) => value > limit,
+        describe: (value, limit) => `latency ${value.toFixed(1)} ms (threshold ${limit} ms)`
+    },
+    jitter: {
+        threshold: 'jitter',
+        measure: (window) => {
+            const times = answeredTimes(window);
+            if (times.length < 2) return null;
+            const differences = times.slice(1).map((time, index) => Math.abs(time - times[index]));
+            return differences.reduce((a, b) => a + b, 0) / differences.length;
+        },
+        exceeds: (value, limit) => value > limit,
+        describe: (value, limit) => `jitter ${value.toFixed(1)} ms (threshold ${limit} ms)`
+    },
+    loss: {
+        threshold: 'loss',
+        measure: (window) => {
+            const probes = window.filter(result => !result.error);
+            if (probes.length < MIN_LOSS_SAMPLES) return null;
+            return (probes.filter(result => !result.alive).length / probes.length) * 100;
+        },
+        exceeds: (value, limit) => value > limit,
+        describe: (value, limit) => `packet loss ${value.toFixed(0)}% (threshold ${limit}%)`
+    }
+};
+
+const STATUS_EMOJI = { firing: '🚨', resolved: '✅', test: '🔔' };
+
+// Body builders per template. The "json" body is the full event; the others
+// are what Slack, Microsoft Teams and Discord incoming webhooks accept.
+const TEMPLATES = {
+    json: (event, alert, webhook) => ({
+        event,
+        alert,
+        webhook: { id: webhook.id, name: webhook.name },
+        timestamp: new Date().toISOString()
+    }),
+    slack: (event, alert) => ({
+        text: `${STATUS_EMOJI[alert.status]} *${alert.status.toUpperCase()}* ${alert.message}`
+    }),
+    teams: (event, alert) => ({
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: alert.message,
+        themeColor: alert.status === 'firing' ? 'E74C3C' : '2ECC71',
+        title: `${STATUS_EMOJI[alert.status]} Network Analyzer: ${alert.status}`,
+        text: alert.message
+    }),
+    discord: (event, alert) => ({
+        content: `${STATUS_EMOJI[alert.status]} **${alert.status.toUpperCase()}** ${alert.message}`,
+        embeds: [{
+            title: alert.target,
+            description: alert.message,
+            color: alert.status === 'firing' ? 0xE74C3C : 0x2ECC71,
+            timestamp: alert.resolvedAt || alert.startedAt
+        }]
+    })
+};
+
+// X-NLA-Signature value for `body` sent at `timestamp` (unix seconds).
+// Receivers recompute it with their copy of the secret.
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Only network errors, timeouts, 408, 429 and 5xx are worth retrying
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+// Loopback, link-local, private, CGNAT, multicast and reserved addresses
+// (IPv4-mapped IPv6 addresses are checked as IPv4)
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function checkUrl(url, allowPrivate = false) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new WebhookError(`Invalid webhook URL "${url}"`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new WebhookError('Webhook URLs must use http or https');
+    }
+
+    // Names are checked again when they are resolved, see publicLookup()
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    const local = net.isIP(host) ? isPrivateAddress(host) : /(^|\.)localhost$/i.test(host);
+    if (local && !allowPrivate) {
+        throw new WebhookError(`Webhooks cannot target private or loopback addresses like ${parsed.hostname} (set WEBHOOK_ALLOW_PRIVATE=1 to allow them)`);
+    }
+    return parsed.toString();
+}
+
+// dns.lookup() for webhook connections that fails on private answers, so a
+// public-looking name cannot lead into the local network
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new WebhookError(`${hostname} resolves to a private address (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST `body` and resolve to the status code. Redirects are not followed.
+function post(url, headers, body, { allowPrivate = false, timeout = DELIVERY_TIMEOUT } = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: allowPrivate ? undefined : publicLookup
+        }, (response) => {
+            // Drain the body so the socket is released
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`Timed out after ${timeout} ms`));
+        }, timeout);
+
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Slack, Teams and Discord URLs are the credential: only show where they point
+function redactUrl(url) {
+    const parsed = new URL(url);
+    const hidden = parsed.pathname !== '/' || parsed.search || parsed.username || parsed.password;
+    return `${parsed.protocol}//${parsed.host}/${hidden ? '…' : ''}`;
+}
+
+// Write `data` as JSON through a temporary file, so a crash mid-write keeps the previous file
+async function writeJsonAtomic(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temporary, file);
+}
+
+function createAlertManager(options = {}) {
+    const {
+        file = process.env.WEBHOOKS_FILE || DEFAULT_FILE,
+        maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+        retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+        allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === '1'
+    } = options;
+    const deliveriesFile = path.join(path.dirname(file), 'webhook-deliveries.json');
+
+    const webhooks = new Map();
+    // Recent results per target, shared by every webhook
+    const windows = new Map();
+    // webhook id -> target key -> rule -> firing alert
+    const firing = new Map();
+    let deliveries = [];
+    // Saves run one after another so an older snapshot never overwrites a newer one
+    let saving = Promise.resolve();
+    let savingDeliveries = Promise.resolve();
+
+    function save() {
+        const definitions = [...webhooks.values()];
+
+        saving = saving
+            .then(() => writeJsonAtomic(file, definitions))
+            .catch((error) => {
+                console.error('Failed to save webhooks:', error.message);
+            });
+
+        return saving;
+    }
+
+    function saveDeliveries() {
+        const snapshot = deliveries.slice();
+
+        savingDeliveries = savingDeliveries
+            .then(() => writeJsonAtomic(deliveriesFile, snapshot))
+            .catch((error) => {
+                console.error('Failed to save webhook deliveries:', error.message);
+            });
+
+        return savingDeliveries;
+    }
+
+    // The webhook without its secret or full URL, with its alert and delivery state
+    function describe(webhook) {
+        const alerts = firing.get(webhook.id);
+        const last = deliveries.filter(delivery => delivery.webhookId === webhook.id).pop();
+
+        return {
+            ...webhook,
+            url: redactUrl(webhook.url),
+            secret: undefined,
+            firing: alerts ? [...alerts.values()].reduce((count, rules) => count + rules.size, 0) : 0,
+            lastDelivery: last
+                ? { id: last.id, event: last.event, status: last.status, createdAt: last.createdAt }
+                : null
+        };
+    }
+
+    async function attempt(webhook, delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startTime = Date.now();
+
+        try {
+            const status = await post(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'network-analyzer-webhooks/1.0',
+                'X-NLA-Event': delivery.event,
+                'X-NLA-Delivery': delivery.id,
+                'X-NLA-Timestamp': String(timestamp),
+                'X-NLA-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+            }, delivery.body, { allowPrivate });
+
+            return {
+                at: new Date(startTime).toISOString(),
+                status,
+                duration: Date.now() - startTime,
+                ...(status >= 200 && status < 300 ? {} : { error: `HTTP ${status}` })
+            };
+        } catch (error) {
+            return {
+                at: new Date(startTime).toISOString(),
+                status: null,
+                duration: Date.now() - startTime,
+                error: error.message
+            };
+        }
+    }
+
+    // POST until a 2xx, a non-retryable status or `maxAttempts`, waiting
+    // retryDelay, 2x, 4x... in between
+    async function send(webhook, delivery) {
+        while (delivery.attempts.length < maxAttempts) {
+            if (delivery.attempts.length > 0) {
+                const wait = retryDelay * 2 ** (delivery.attempts.length - 1);
+                await new Promise(resolve => setTimeout(resolve, wait).unref());
+            }
+
+            const result = await attempt(webhook, delivery);
+            delivery.attempts.push(result);
+
+            if (!result.error) {
+                delivery.status = 'delivered';
+                break;
+            }
+            if (!isRetryable(result.status)) break;
+        }
+
+        if (delivery.status !== 'delivered') {
+            delivery.status = 'failed';
+            console.error(`Webhook ${webhook.name}: ${delivery.event} delivery failed after ${delivery.attempts.length} attempt(s)`);
+        }
+        delivery.completedAt = new Date().toISOString();
+        await saveDeliveries();
+        return delivery;
+    }
+
+    // Queue `event` for `webhook`; resolves to the delivery once it is logged
+    // as pending (the POST and retries continue in the background)
+    function deliver(webhook, event, alert) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            event,
+            alertId: alert.id,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            body: JSON.stringify(TEMPLATES[webhook.template](event, alert, webhook)),
+            attempts: []
+        };
+
+        deliveries.push(delivery);
+        if (deliveries.length > DELIVERY_LOG_SIZE) {
+            deliveries.shift();
+        }
+
+        send(webhook, delivery).catch((error) => {
+            console.error(`Webhook ${webhook.name} delivery error:`, error.message);
+        });
+        return delivery;
+    }
+
+    function subjectKey({ source, target, method, port = null }) {
+        return JSON.stringify([source, target, method, port]);
+    }
+
+    // Feed one monitoring result ({ alive, time, error }) of `subject`
+    // ({ source, name, target, method, port }) through every enabled webhook's rules
+    function evaluate(subject, result) {
+        const key = subjectKey(subject);
+        if (!windows.has(key)) windows.set(key, []);
+
+        const window = windows.get(key);
+        window.push({ alive: Boolean(result.alive), time: typeof result.time === 'number' ? result.time : null, error: result.error || null });
+        if (window.length > WINDOW_SIZE) window.shift();
+
+        for (const webhook of webhooks.values()) {
+            if (!webhook.enabled) continue;
+            if (webhook.targets.length > 0 && !webhook.targets.includes(subject.target)) continue;
+
+            if (!firing.has(webhook.id)) firing.set(webhook.id, new Map());
+            const subjects = firing.get(webhook.id);
+            if (!subjects.has(key)) subjects.set(key, new Map());
+            const active = subjects.get(key);
+
+            for (const [ruleName, rule] of Object.entries(RULES)) {
+                const limit = webhook.thresholds[rule.threshold];
+                if (limit === null || limit === undefined) continue;
+
+                const value = rule.measure(window);
+                if (value === null) continue;
+
+                const alert = active.get(ruleName);
+                const exceeded = rule.exceeds(value, limit);
+
+                if (exceeded && !alert) {
+                    const started = {
+                        id: crypto.randomUUID(),
+                        rule: ruleName,
+                        status: 'firing',
+                        name: subject.name || subject.target,
+                        source: subject.source,
+                        target: subject.target,
+                        method: subject.method,
+                        port: subject.port || null,
+                        value,
+                        threshold: limit,
+                        message: `${subject.name || subject.target}: ${rule.describe(value, limit)}`,
+                        startedAt: new Date().toISOString()
+                    };
+                    active.set(ruleName, started);
+                    deliver(webhook, 'alert.firing', started);
+                } else if (!exceeded && alert) {
+                    active.delete(ruleName);
+                    deliver(webhook, 'alert.resolved', {
+                        ...alert,
+                        status: 'resolved',
+                        value,
+                        message: `${alert.name}: back to normal, ${rule.describe(value, limit)}`,
+                        resolvedAt: new Date().toISOString()
+                    });
+                }
+            }
+        }
+    }
+
+    // Drop a subject's results and open alerts without notifying, e.g. when its monitor is deleted
+    function forget(subject) {
+        const key = subjectKey(subject);
+        windows.delete(key);
+        for (const subjects of firing.values()) {
+            subjects.delete(key);
+        }
+    }
+
+    // Alerts firing right now, across all webhooks
+    function listFiring() {
+        return [...firing.entries()].flatMap(([webhookId, subjects]) =>
+            [...subjects.values()].flatMap(active => [...active.values()].map(alert => ({ ...alert, webhookId })))
+        );
+    }
+
+    // Throws WebhookError for an unknown template or an unusable URL
+    function normalize(definition) {
+        if (!TEMPLATES[definition.template]) {
+            throw new WebhookError(`Unknown template "${definition.template}" (use ${Object.keys(TEMPLATES).join(', ')})`);
+        }
+        return {
+            ...definition,
+            url: checkUrl(definition.url, allowPrivate),
+            thresholds: { ...DEFAULT_THRESHOLDS, ...definition.thresholds },
+            targets: definition.targets || []
+        };
+    }
+
+    // Restore the webhooks and the delivery log saved by a previous run
+    async function load() {
+        let definitions;
+
+        try {
+            definitions = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw new Error(`Cannot read webhooks from ${file}: ${error.message}`);
+        }
+
+        for (const definition of definitions) {
+            if (!definition || !definition.id || webhooks.has(definition.id)) continue;
+
+            try {
+                webhooks.set(definition.id, normalize(definition));
+            } catch (error) {
+                console.error(`Skipping webhook ${definition.id}:`, error.message);
+            }
+        }
+
+        try {
+            deliveries = JSON.parse(await fs.promises.readFile(deliveriesFile, 'utf8'))
+                .filter(delivery => webhooks.has(delivery.webhookId))
+                // Retries do not survive a restart
+                .map(delivery => (delivery.status === 'pending' ? { ...delivery, status: 'failed' } : delivery));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Cannot read webhook deliveries:', error.message);
+            }
+        }
+        return webhooks.size;
+    }
+
+    // `definition` ({ name, url, template, secret, thresholds, targets, enabled })
+    // has a validated shape. Resolves to the webhook with its secret, the only
+    // time the secret is returned.
+    async function create(definition) {
+        const webhook = normalize({
+            ...Object.fromEntries(DEFINITION_FIELDS.map(field => [field, definition[field]])),
+            id: crypto.randomUUID(),
+            template: definition.template || 'json',
+            secret: definition.secret || crypto.randomBytes(24).toString('hex'),
+            enabled: definition.enabled !== false,
+            createdAt: new Date().toISOString()
+        });
+        webhook.name = webhook.name || new URL(webhook.url).host;
+
+        webhooks.set(webhook.id, webhook);
+        await save();
+        return { ...describe(webhook), secret: webhook.secret };
+    }
+
+    // Change some of name, url, template, secret, thresholds (merged), targets
+    // and enabled; null if unknown
+    async function update(id, changes) {
+        const current = webhooks.get(id);
+        if (!current) return null;
+
+        const definition = { ...current };
+        for (const field of ['name', 'url', 'template', 'secret', 'targets', 'enabled']) {
+            if (changes[field] !== undefined) definition[field] = changes[field];
+        }
+        if (changes.thresholds !== undefined) {
+            definition.thresholds = { ...current.thresholds, ...changes.thresholds };
+        }
+
+        const webhook = normalize(definition);
+        webhooks.set(id, webhook);
+        // New thresholds or a pause start from a clean slate
+        firing.delete(id);
+        await save();
+        return describe(webhook);
+    }
+
+    async function remove(id) {
+        if (!webhooks.delete(id)) return false;
+
+        firing.delete(id);
+        deliveries = deliveries.filter(delivery => delivery.webhookId !== id);
+        await save();
+        await saveDeliveries();
+        return true;
+    }
+
+    // Send a "test" event; resolves to the pending delivery, or null if unknown
+    function sendTest(id) {
+        const webhook = webhooks.get(id);
+        if (!webhook) return null;
+
+        return deliver(webhook, 'test', {
+            id: crypto.randomUUID(),
+            rule: 'test',
+            status: 'test',
+            name: webhook.name,
+            source: 'test',
+            target: 'example.com',
+            method: 'http',
+            port: null,
+            value: null,
+            threshold: null,
+            message: `Test alert from Network Analyzer to ${webhook.name}`,
+            startedAt: new Date().toISOString()
+        });
+    }
+
+    function get(id) {
+        const webhook = webhooks.get(id);
+        return webhook ? describe(webhook) : null;
+    }
+
+    // Newest first, at most `limit`; null if the webhook is unknown
+    function getDeliveries(id, limit = DELIVERY_LOG_SIZE) {
+        if (!webhooks.has(id)) return null;
+        return deliveries.filter(delivery => delivery.webhookId === id).slice(-limit).reverse();
+    }
+
+    function list() {
+        return [...webhooks.values()].map(describe);
+    }
+
+    // Wait for pending saves (retries still waiting are dropped)
+    async function close() {
+        await saving;
+        await savingDeliveries;
+    }
+
+    return {
+        file,
+        templates: Object.keys(TEMPLATES),
+        defaultThresholds: DEFAULT_THRESHOLDS,
+        load,
+        create,
+        update,
+        remove,
+        sendTest,
+        evaluate,
+        forget,
+        listFiring,
+        get,
+        getDeliveries,
+        list,
+        close
+    };
+}
+
+module.exports = {
+    WebhookError,
+    signPayload,
+    createAlertManager
+};
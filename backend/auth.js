@@ -0,0 +1,172 @@
+// auth.js - Optional API key / bearer token authentication with scopes
+//
+// Keys come from API_KEYS, a comma-separated list of name:key[:scope+scope]
+// entries, e.g. API_KEYS="dashboard:k3y...:read,ci:s3cr3t...:probe".
+// Without API_KEYS every route stays open.
+const crypto = require('crypto');
+const { QuotaError, sendQuotaError } = require('./rate-limit');
+
+// read: history and statistics; probe: run measurements (includes read)
+const SCOPES = ['read', 'probe'];
+const SCOPE_INCLUDES = {
+    read: ['read'],
+    probe: ['probe', 'read']
+};
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest();
+}
+
+function parseApiKeys(value) {
+    if (!value) return [];
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const [name, key, scopeList] = entry.split(':');
+
+        if (!name || !key) {
+            throw new Error(`Invalid API_KEYS entry "${name || entry}": expected name:key[:scopes]`);
+        }
+
+        const scopes = scopeList ? scopeList.split('+').map(scope => scope.trim()) : ['probe'];
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown scope ${unknown.join(', ')} for API key "${name}" (use ${SCOPES.join(', ')})`);
+        }
+
+        return {
+            name,
+            // Only the digest is kept, and compared in constant time
+            digest: hashKey(key),
+            scopes: [...new Set(scopes.flatMap(scope => SCOPE_INCLUDES[scope]))]
+        };
+    });
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+function isAuthEnabled() {
+    return API_KEYS.length > 0;
+}
+
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"; the WebSocket upgrade
+// may also pass ?apiKey=<key> because browsers cannot set its headers
+function getToken(req, options = {}) {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+
+    if (bearer) return bearer[1];
+    if (req.headers['x-api-key']) return String(req.headers['x-api-key']);
+
+    if (options.allowQuery) {
+        const query = new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+        if (query) return query;
+    }
+
+    return null;
+}
+
+function findKey(token) {
+    const digest = hashKey(token);
+    return API_KEYS.find(key => crypto.timingSafeEqual(key.digest, digest)) || null;
+}
+
+// Resolve the request's key and check it grants `scope`. Returns the key
+// (null while auth is disabled) or throws an AuthError (401 or 403).
+// With a `failures` rate limiter every rejection is charged to `client`, and a
+// client over that budget gets a QuotaError (429) before its key is checked,
+// so keys cannot be guessed faster than the rate limit.
+function authorize(req, scope, options = {}) {
+    if (!isAuthEnabled()) return null;
+
+    const { failures = null, client = null } = options;
+    if (!failures) return checkKey(req, scope, options);
+
+    failures.check(client);
+    try {
+        return checkKey(req, scope, options);
+    } catch (error) {
+        failures.consume(client);
+        throw error;
+    }
+}
+
+function checkKey(req, scope, options) {
+    const token = getToken(req, options);
+    if (!token) {
+        throw new AuthError('Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+    }
+
+    const key = findKey(token);
+    if (!key) {
+        throw new AuthError('Invalid API key');
+    }
+    if (!key.scopes.includes(scope)) {
+        throw new AuthError(`API key "${key.name}" does not have the "${scope}" scope`, 403);
+    }
+
+    return key;
+}
+
+// Express middleware. `scope` is a scope name or a function of the request;
+// `skip` lets public routes through; `failures` charges rejections to the
+// client IP (see authorize). Sets req.apiKey to the key's name.
+function authenticate(scope, options = {}) {
+    const { skip = () => false, failures = null } = options;
+
+    return (req, res, next) => {
+        if (skip(req)) return next();
+
+        try {
+            const key = authorize(req, typeof scope === 'function' ? scope(req) : scope, {
+                failures,
+                client: `ip:${req.ip}`
+            });
+            if (key) {
+                req.apiKey = key.name;
+                req.apiScopes = key.scopes;
+            }
+            next();
+        } catch (error) {
+            if (error instanceof QuotaError) return sendQuotaError(res, error);
+            if (!(error instanceof AuthError)) return next(error);
+
+            if (error.status === 401) {
+                res.set('WWW-Authenticate', 'Bearer');
+            }
+            res.status(error.status).json({
+                error: error.status === 401 ? 'Authentication required' : 'Insufficient scope',
+                message: error.message
+            });
+        }
+    };
+}
+
+// Summary for clients checking a key: whether auth is on and what the key grants
+function describeAuth(req) {
+    const token = getToken(req);
+    const key = isAuthEnabled() && token ? findKey(token) : null;
+
+    return {
+        required: isAuthEnabled(),
+        authenticated: Boolean(key),
+        name: key ? key.name : null,
+        scopes: isAuthEnabled() ? (key ? key.scopes : []) : SCOPES
+    };
+}
+
+module.exports = {
+    SCOPES,
+    AuthError,
+    isAuthEnabled,
+    authorize,
+    authenticate,
+    describeAuth
+};
@@ -0,0 +1,68 @@
+// command.js - Run external tools without a shell, with timeouts and output caps
+const { execFile, spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+
+// Run `command` with an argument array and collect its output. Rejects when the
+// tool fails, runs longer than `timeout` ms or prints more than `maxOutput` bytes.
+function runCommand(command, args, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, maxOutput = DEFAULT_MAX_OUTPUT } = options;
+
+    return new Promise((resolve, reject) => {
+        execFile(command, args, {
+            timeout,
+            maxBuffer: maxOutput,
+            killSignal: 'SIGKILL',
+            windowsHide: true
+        }, (error, stdout, stderr) => {
+            if (!error) {
+                return resolve({ stdout, stderr });
+            }
+
+            if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+                error.message = `${command} produced more than ${maxOutput} bytes of output`;
+            } else if (error.killed) {
+                error.message = `${command} timed out after ${timeout}ms`;
+            }
+            error.stdout = stdout;
+            error.stderr = stderr;
+            reject(error);
+        });
+    });
+}
+
+// Spawn `command` for streaming output under the same limits. The child is
+// killed on timeout or once it exceeds `maxOutput`; `child.limitExceeded`
+// then says which ('timeout' or 'output').
+function spawnCommand(command, args, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT, maxOutput = DEFAULT_MAX_OUTPUT } = options;
+    const child = spawn(command, args, { windowsHide: true });
+    let received = 0;
+
+    child.limitExceeded = null;
+
+    const stop = (reason) => {
+        if (child.limitExceeded || child.exitCode !== null) return;
+        child.limitExceeded = reason;
+        child.kill('SIGKILL');
+    };
+
+    const timer = setTimeout(() => stop('timeout'), timeout);
+    child.on('close', () => clearTimeout(timer));
+    child.on('error', () => clearTimeout(timer));
+
+    const count = (chunk) => {
+        received += chunk.length;
+        if (received > maxOutput) stop('output');
+    };
+    child.stdout.on('data', count);
+    child.stderr.on('data', count);
+
+    return child;
+}
+
+module.exports = {
+    runCommand,
+    spawnCommand
+};
@@ -0,0 +1,159 @@
+// cron.js - Parse five-field cron expressions and compute their next run time
+//
+// Fields: minute hour day-of-month month day-of-week, each "*", a number, a
+// range "a-b", a step "*/n" or "a-b/n", or a comma-separated list of those.
+// Months and weekdays also take names (jan, mon). Shortcuts: @hourly, @daily,
+// @weekly, @monthly, @yearly. Times are the server's local time.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is accepted as Sunday, like most crons
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Schedules whose next match is further away than this are treated as never running
+const MAX_LOOKAHEAD_YEARS = 5;
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+        this.status = 400;
+    }
+}
+
+function parseValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    // Month names start at 1, weekday names at 0
+    const value = index !== -1 ? index + field.min : Number(text);
+
+    if (!/^\d+$/.test(text) && index === -1) {
+        throw new CronError(`Invalid ${field.name} "${text}"`);
+    }
+    if (value < field.min || value > field.max) {
+        throw new CronError(`${field.name} must be between ${field.min} and ${field.max}, got ${text}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new CronError(`Invalid step in ${field.name} "${part}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) {
+                throw new CronError(`Invalid range in ${field.name} "${part}"`);
+            }
+        } else {
+            start = parseValue(range, field);
+            // "5/15" means from 5 to the end in steps of 15
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+// Throws CronError (status 400) with a message suitable for the client
+function parseCron(expression) {
+    if (typeof expression !== 'string') {
+        throw new CronError('Cron expression must be a string');
+    }
+
+    const source = expression.trim();
+    const parts = (SHORTCUTS[source.toLowerCase()] || source).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new CronError(`Cron expression must have 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+    if (daysOfWeek.delete(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // With both day fields restricted, either one matching is enough (as in Vixie cron)
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+function dayMatches(cron, date) {
+    const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+    const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+    return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// First matching minute strictly after `after` (a Date or epoch ms), or null
+function nextRun(cron, after = Date.now()) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+    // Skip whole months, days and hours that cannot match
+    while (date < limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    CronError,
+    parseCron,
+    nextRun
+};
@@ -0,0 +1,10 @@
+// data-dir.js - Where the backend keeps its runtime state (DATA_DIR)
+//
+// server.js serves the repository root as static files, so the default lives
+// outside the checkout: anything saved under it could be downloaded by anyone.
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(os.homedir(), '.network-analyzer'));
+
+module.exports = { DATA_DIR };
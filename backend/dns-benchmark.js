@@ -0,0 +1,242 @@
+// dns-benchmark.js - Compare resolvers over plain DNS, DoH and DoT: latency, loss and answer consistency
+const dns = require('dns').promises;
+const net = require('net');
+const https = require('https');
+const dnsMessage = require('./dns-message');
+
+const DNS_BENCHMARK_DOMAINS = [
+    'google.com',
+    'cloudflare.com',
+    'wikipedia.org',
+    'amazon.com',
+    'github.com'
+];
+
+// Errors that still mean the resolver answered (negative answers)
+const DNS_ANSWERED_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const ENCRYPTED_DNS_PROTOCOLS = ['doh', 'doh-json', 'dot'];
+
+// Known DoH / DoT endpoints for the resolvers the UI compares
+const ENCRYPTED_DNS_ENDPOINTS = {
+    '8.8.8.8': { doh: 'https://dns.google/dns-query', dohJson: 'https://dns.google/resolve', dot: 'dns.google' },
+    '8.8.4.4': { doh: 'https://dns.google/dns-query', dohJson: 'https://dns.google/resolve', dot: 'dns.google' },
+    '1.1.1.1': { doh: 'https://cloudflare-dns.com/dns-query', dohJson: 'https://cloudflare-dns.com/dns-query', dot: 'cloudflare-dns.com' },
+    '1.0.0.1': { doh: 'https://cloudflare-dns.com/dns-query', dohJson: 'https://cloudflare-dns.com/dns-query', dot: 'cloudflare-dns.com' },
+    '9.9.9.9': { doh: 'https://dns.quad9.net/dns-query', dohJson: 'https://dns.quad9.net:5053/dns-query', dot: 'dns.quad9.net' },
+    '94.140.14.14': { doh: 'https://dns.adguard-dns.com/dns-query', dohJson: 'https://dns.adguard-dns.com/resolve', dot: 'dns.adguard-dns.com' },
+    '208.67.222.222': { doh: 'https://doh.opendns.com/dns-query' },
+    '208.67.220.220': { doh: 'https://doh.opendns.com/dns-query' },
+    '185.228.168.9': { doh: 'https://doh.cleanbrowsing.org/doh/security-filter/', dot: 'security-filter-dns.cleanbrowsing.org' }
+};
+
+function normalizeDnsServer(entry) {
+    const definition = typeof entry === 'string' ? { server: entry } : { ...entry };
+    return { ...ENCRYPTED_DNS_ENDPOINTS[definition.server], ...definition };
+}
+
+function summarizeLatencies(times) {
+    const validTimes = times.filter(t => t !== null);
+
+    return {
+        min: validTimes.length > 0 ? Math.min(...validTimes) : null,
+        max: validTimes.length > 0 ? Math.max(...validTimes) : null,
+        avg: validTimes.length > 0 ? 
+            validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
+        jitter: calculateJitter(validTimes)
+    };
+}
+
+// Cold (new connection per query) vs reused-connection latency for one encrypted transport
+async function benchmarkEncryptedDns(protocol, definition, domains, rounds, timeout) {
+    const endpoint = protocol === 'doh' ? definition.doh 
+        : protocol === 'doh-json' ? definition.dohJson 
+        : definition.dot;
+
+    if (!endpoint) {
+        return { supported: false };
+    }
+
+    const { host } = dnsMessage.parseServer(definition.server);
+    const dotServer = definition.dotServer || (net.isIPv6(host) ? `[${host}]:853` : `${host}:853`);
+    const queryCold = (domain) => {
+        if (protocol === 'doh') return dnsMessage.queryDoh(endpoint, domain, 'A', { timeout });
+        if (protocol === 'doh-json') return dnsMessage.queryDohJson(endpoint, domain, 'A', { timeout });
+        return dnsMessage.queryDot(dotServer, domain, 'A', { servername: endpoint, timeout });
+    };
+
+    const cold = [];
+    const warm = [];
+    const errors = {};
+    const recordError = (error) => {
+        const key = error.code || error.message;
+        errors[key] = (errors[key] || 0) + 1;
+    };
+
+    for (let round = 0; round < rounds; round++) {
+        for (const domain of domains) {
+            try {
+                cold.push((await queryCold(domain)).time);
+            } catch (error) {
+                cold.push(null);
+                recordError(error);
+            }
+        }
+    }
+
+    // Reused connection: one keep-alive socket, primed before measuring
+    let queryWarm;
+    let closeWarm = () => {};
+
+    try {
+        if (protocol === 'dot') {
+            const connection = await dnsMessage.connectDot(dotServer, { servername: endpoint, timeout });
+            queryWarm = (domain) => connection.query(domain, 'A', timeout);
+            closeWarm = () => connection.close();
+        } else {
+            const agent = new https.Agent({ keepAlive: true, maxSockets: 1 });
+            const query = protocol === 'doh' ? dnsMessage.queryDoh : dnsMessage.queryDohJson;
+            queryWarm = (domain) => query(endpoint, domain, 'A', { timeout, agent });
+            closeWarm = () => agent.destroy();
+        }
+
+        await queryWarm(domains[0]);
+
+        for (let round = 0; round < rounds; round++) {
+            for (const domain of domains) {
+                try {
+                    warm.push((await queryWarm(domain)).time);
+                } catch (error) {
+                    warm.push(null);
+                    recordError(error);
+                }
+            }
+        }
+    } catch (error) {
+        recordError(error);
+    } finally {
+        closeWarm();
+    }
+
+    const totalCount = cold.length + warm.length || 1;
+    const successCount = [...cold, ...warm].filter(t => t !== null).length;
+
+    return {
+        supported: true,
+        endpoint,
+        cold: summarizeLatencies(cold),
+        warm: summarizeLatencies(warm),
+        errors,
+        successCount,
+        totalCount,
+        failureRate: ((totalCount - successCount) / totalCount) * 100
+    };
+}
+
+// Resolve every domain against every resolver, each through its own dns.Resolver
+async function performDnsBenchmark(servers, domains, rounds = 3, timeout = 2000, encrypted = []) {
+    const results = await Promise.all(servers.map(async (entry) => {
+        const definition = normalizeDnsServer(entry);
+        const server = definition.server;
+        const resolver = new dns.Resolver({ timeout, tries: 1 });
+        const times = [];
+        const answers = {};
+        const errors = {};
+        let successCount = 0;
+
+        try {
+            resolver.setServers([server]);
+        } catch (error) {
+            return { server, success: false, error: error.message };
+        }
+
+        for (let round = 0; round < rounds; round++) {
+            for (const domain of domains) {
+                const startTime = process.hrtime.bigint();
+
+                try {
+                    const addresses = await resolver.resolve4(domain);
+                    times.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+                    answers[domain] = addresses.slice().sort().join(',');
+                    successCount++;
+                } catch (error) {
+                    if (DNS_ANSWERED_CODES.includes(error.code)) {
+                        times.push(Number(process.hrtime.bigint() - startTime) / 1e6);
+                        answers[domain] = error.code;
+                        successCount++;
+                    } else {
+                        times.push(null);
+                        errors[error.code || error.message] = (errors[error.code || error.message] || 0) + 1;
+                    }
+                }
+            }
+        }
+
+        const validTimes = times.filter(t => t !== null);
+        const totalCount = rounds * domains.length;
+        const protocols = {};
+
+        for (const protocol of encrypted) {
+            protocols[protocol] = await benchmarkEncryptedDns(protocol, definition, domains, rounds, timeout);
+        }
+
+        return {
+            server,
+            success: successCount > 0,
+            protocols,
+            times,
+            answers,
+            errors,
+            successCount,
+            totalCount,
+            failureRate: ((totalCount - successCount) / totalCount) * 100,
+            min: validTimes.length > 0 ? Math.min(...validTimes) : null,
+            max: validTimes.length > 0 ? Math.max(...validTimes) : null,
+            avg: validTimes.length > 0 ? 
+                validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
+            jitter: calculateJitter(validTimes)
+        };
+    }));
+
+    // Consistency: share of domains where a resolver agrees with the majority answer
+    for (const domain of domains) {
+        const tally = {};
+        results.forEach(result => {
+            const answer = result.answers && result.answers[domain];
+            if (answer) tally[answer] = (tally[answer] || 0) + 1;
+        });
+
+        const consensus = Object.keys(tally).sort((a, b) => tally[b] - tally[a])[0];
+        results.forEach(result => {
+            if (!result.answers) return;
+            result.matches = (result.matches || 0) + 
+                (consensus !== undefined && result.answers[domain] === consensus ? 1 : 0);
+        });
+    }
+
+    results.forEach(result => {
+        if (!result.answers) return;
+        result.consistency = (result.matches / domains.length) * 100;
+        delete result.matches;
+    });
+
+    return results;
+}
+
+function calculateJitter(times) {
+    if (times.length < 2) return 0;
+
+    const differences = [];
+    for (let i = 1; i < times.length; i++) {
+        differences.push(Math.abs(times[i] - times[i - 1]));
+    }
+
+    return differences.reduce((a, b) => a + b, 0) / differences.length;
+}
+
+module.exports = {
+    DNS_BENCHMARK_DOMAINS,
+    ENCRYPTED_DNS_PROTOCOLS,
+    ENCRYPTED_DNS_ENDPOINTS,
+    performDnsBenchmark
+};
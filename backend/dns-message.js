@@ -0,0 +1,599 @@
+// dns-message.js - Minimal DNS wire-format codec and UDP/TCP/DoH/DoT query helpers
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const RECORD_TYPES = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    PTR: 12,
+    MX: 15,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    OPT: 41,
+    CAA: 257
+};
+
+const RECORD_TYPE_NAMES = Object.fromEntries(
+    Object.entries(RECORD_TYPES).map(([name, code]) => [code, name])
+);
+
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED'];
+
+const EDNS_UDP_SIZE = 4096;
+
+// ==================== Encoding ====================
+
+function encodeName(name) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = [];
+
+    for (const label of labels) {
+        const bytes = Buffer.from(label, 'ascii');
+        if (bytes.length > 63) {
+            throw new Error(`DNS label too long: ${label}`);
+        }
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+// Build a standard recursive query with an EDNS0 OPT record
+function encodeQuery(name, type = 'A', { id = crypto.randomInt(0, 65536), edns = true } = {}) {
+    const typeCode = typeof type === 'number' ? type : RECORD_TYPES[type];
+    if (!typeCode) {
+        throw new Error(`Unsupported record type: ${type}`);
+    }
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(0x0100, 2); // RD
+    header.writeUInt16BE(1, 4); // QDCOUNT
+    header.writeUInt16BE(edns ? 1 : 0, 10); // ARCOUNT
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(typeCode, 0);
+    question.writeUInt16BE(1, 2); // IN
+
+    const parts = [header, encodeName(name), question];
+
+    if (edns) {
+        const opt = Buffer.alloc(11);
+        opt.writeUInt8(0, 0); // root name
+        opt.writeUInt16BE(RECORD_TYPES.OPT, 1);
+        opt.writeUInt16BE(EDNS_UDP_SIZE, 3);
+        parts.push(opt);
+    }
+
+    return Buffer.concat(parts);
+}
+
+// ==================== Decoding ====================
+
+function decodeName(buffer, offset) {
+    const labels = [];
+    let position = offset;
+    let end = null;
+    let jumps = 0;
+
+    while (true) {
+        if (position >= buffer.length) {
+            throw new Error('Malformed DNS name');
+        }
+
+        const length = buffer[position];
+
+        if ((length & 0xc0) === 0xc0) {
+            if (++jumps > 32) {
+                throw new Error('DNS name compression loop');
+            }
+            if (end === null) end = position + 2;
+            position = buffer.readUInt16BE(position) & 0x3fff;
+            continue;
+        }
+
+        if (length === 0) {
+            if (end === null) end = position + 1;
+            break;
+        }
+
+        labels.push(buffer.toString('ascii', position + 1, position + 1 + length));
+        position += length + 1;
+    }
+
+    return { name: labels.join('.'), offset: end };
+}
+
+function formatIPv6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+
+    // Collapse the longest run of zero groups
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === '0') length++;
+        if (length > bestLength && length > 1) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    if (bestStart === -1) return groups.join(':');
+
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+function decodeRecordData(buffer, type, offset, length) {
+    const data = buffer.subarray(offset, offset + length);
+
+    switch (RECORD_TYPE_NAMES[type]) {
+        case 'A':
+            return Array.from(data).join('.');
+
+        case 'AAAA':
+            return formatIPv6(data);
+
+        case 'NS':
+        case 'CNAME':
+        case 'PTR':
+            return decodeName(buffer, offset).name;
+
+        case 'MX':
+            return {
+                priority: buffer.readUInt16BE(offset),
+                exchange: decodeName(buffer, offset + 2).name
+            };
+
+        case 'TXT': {
+            const strings = [];
+            let position = 0;
+            while (position < data.length) {
+                const size = data[position];
+                strings.push(data.toString('utf8', position + 1, position + 1 + size));
+                position += size + 1;
+            }
+            return strings.join('');
+        }
+
+        case 'SOA': {
+            const primary = decodeName(buffer, offset);
+            const mailbox = decodeName(buffer, primary.offset);
+            const position = mailbox.offset;
+            return {
+                nsname: primary.name,
+                hostmaster: mailbox.name,
+                serial: buffer.readUInt32BE(position),
+                refresh: buffer.readUInt32BE(position + 4),
+                retry: buffer.readUInt32BE(position + 8),
+                expire: buffer.readUInt32BE(position + 12),
+                minttl: buffer.readUInt32BE(position + 16)
+            };
+        }
+
+        case 'SRV':
+            return {
+                priority: buffer.readUInt16BE(offset),
+                weight: buffer.readUInt16BE(offset + 2),
+                port: buffer.readUInt16BE(offset + 4),
+                name: decodeName(buffer, offset + 6).name
+            };
+
+        case 'CAA': {
+            const tagLength = data[1];
+            return {
+                critical: data[0],
+                tag: data.toString('ascii', 2, 2 + tagLength),
+                value: data.toString('utf8', 2 + tagLength)
+            };
+        }
+
+        default:
+            return data.toString('hex');
+    }
+}
+
+function decodeMessage(buffer) {
+    if (buffer.length < 12) {
+        throw new Error('DNS message too short');
+    }
+
+    const flags = buffer.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(position => buffer.readUInt16BE(position));
+    const message = {
+        id: buffer.readUInt16BE(0),
+        flags: {
+            qr: Boolean(flags & 0x8000),
+            aa: Boolean(flags & 0x0400),
+            tc: Boolean(flags & 0x0200),
+            rd: Boolean(flags & 0x0100),
+            ra: Boolean(flags & 0x0080)
+        },
+        rcode: RCODES[flags & 0x000f] || `RCODE${flags & 0x000f}`,
+        questions: [],
+        answers: [],
+        authorities: [],
+        additionals: []
+    };
+
+    let offset = 12;
+
+    for (let i = 0; i < counts[0]; i++) {
+        const question = decodeName(buffer, offset);
+        const type = buffer.readUInt16BE(question.offset);
+        message.questions.push({
+            name: question.name,
+            type: RECORD_TYPE_NAMES[type] || type
+        });
+        offset = question.offset + 4;
+    }
+
+    const sections = ['answers', 'authorities', 'additionals'];
+    sections.forEach((section, index) => {
+        for (let i = 0; i < counts[index + 1]; i++) {
+            const owner = decodeName(buffer, offset);
+            const type = buffer.readUInt16BE(owner.offset);
+            const ttl = buffer.readUInt32BE(owner.offset + 4);
+            const length = buffer.readUInt16BE(owner.offset + 8);
+            const dataOffset = owner.offset + 10;
+
+            if (type !== RECORD_TYPES.OPT) {
+                message[section].push({
+                    name: owner.name,
+                    type: RECORD_TYPE_NAMES[type] || type,
+                    ttl,
+                    data: decodeRecordData(buffer, type, dataOffset, length)
+                });
+            }
+
+            offset = dataOffset + length;
+        }
+    });
+
+    return message;
+}
+
+// ==================== Transport ====================
+
+// "8.8.8.8", "8.8.8.8:53", "[2606:4700::1111]:53" or a bare IPv6 address
+function parseServer(server, defaultPort = 53) {
+    const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(server);
+    if (bracketed) {
+        return { host: bracketed[1], port: parseInt(bracketed[2] || defaultPort) };
+    }
+
+    if (net.isIPv6(server)) {
+        return { host: server, port: defaultPort };
+    }
+
+    const [host, port] = server.split(':');
+    return { host, port: parseInt(port || defaultPort) };
+}
+
+// Prefix a message with its 2-byte length (TCP and DoT framing)
+function frameMessage(message) {
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(message.length, 0);
+    return Buffer.concat([length, message]);
+}
+
+// Collect one length-prefixed response from a stream socket
+function readFramedMessage(socket, onMessage) {
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+
+        while (pending.length >= 2) {
+            const length = pending.readUInt16BE(0);
+            if (pending.length < length + 2) break;
+
+            onMessage(pending.subarray(2, length + 2));
+            pending = pending.subarray(length + 2);
+        }
+    });
+}
+
+function queryUdp(server, name, type, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const { host, port } = parseServer(server);
+        const id = crypto.randomInt(0, 65536);
+        const query = encodeQuery(name, type, { id });
+        const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+        const startTime = process.hrtime.bigint();
+
+        const timer = setTimeout(() => {
+            socket.close();
+            reject(new Error(`DNS query to ${server} timed out after ${timeout}ms`));
+        }, timeout);
+
+        socket.on('message', (buffer) => {
+            let message;
+            try {
+                message = decodeMessage(buffer);
+            } catch (error) {
+                return; // Ignore garbage, keep waiting for the real answer
+            }
+            if (message.id !== id) return;
+
+            clearTimeout(timer);
+            socket.close();
+            resolve({
+                message,
+                time: Number(process.hrtime.bigint() - startTime) / 1e6
+            });
+        });
+
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            socket.close();
+            reject(error);
+        });
+
+        socket.send(query, port, host);
+    });
+}
+
+function queryTcp(server, name, type, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const { host, port } = parseServer(server);
+        const id = crypto.randomInt(0, 65536);
+        const query = encodeQuery(name, type, { id });
+        const startTime = process.hrtime.bigint();
+        const socket = net.connect(port, host, () => {
+            socket.write(frameMessage(query));
+        });
+
+        socket.setTimeout(timeout);
+
+        readFramedMessage(socket, (buffer) => {
+            try {
+                const message = decodeMessage(buffer);
+                if (message.id !== id) return;
+
+                socket.destroy();
+                resolve({
+                    message,
+                    time: Number(process.hrtime.bigint() - startTime) / 1e6
+                });
+            } catch (error) {
+                socket.destroy();
+                reject(error);
+            }
+        });
+
+        socket.on('timeout', () => {
+            socket.destroy();
+            reject(new Error(`DNS query to ${server} timed out after ${timeout}ms`));
+        });
+
+        socket.on('error', (error) => {
+            socket.destroy();
+            reject(error);
+        });
+    });
+}
+
+// UDP query, retried over TCP when the answer is truncated
+async function query(server, name, type, timeout = 2000) {
+    const result = await queryUdp(server, name, type, timeout);
+
+    if (result.message.flags.tc) {
+        const tcpResult = await queryTcp(server, name, type, timeout);
+        return { ...tcpResult, time: result.time + tcpResult.time, transport: 'tcp' };
+    }
+
+    return { ...result, transport: 'udp' };
+}
+
+// ==================== Encrypted Transports ====================
+
+function elapsedSince(startTime) {
+    return Number(process.hrtime.bigint() - startTime) / 1e6;
+}
+
+// Issue an HTTP(S) request and collect the full body
+function requestBody(url, options, body, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('http:') ? http : https;
+        const request = client.request(url, options, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+                    return;
+                }
+                resolve(Buffer.concat(chunks));
+            });
+            response.on('error', reject);
+        });
+
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error(`Request to ${url} timed out after ${timeout}ms`));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// DNS-over-HTTPS, RFC 8484 wire format (POST application/dns-message)
+async function queryDoh(url, name, type, { timeout = 2000, agent = false } = {}) {
+    // RFC 8484 recommends ID 0 so responses stay cache friendly
+    const body = encodeQuery(name, type, { id: 0 });
+    const startTime = process.hrtime.bigint();
+
+    const buffer = await requestBody(url, {
+        method: 'POST',
+        agent,
+        headers: {
+            'Content-Type': 'application/dns-message',
+            'Accept': 'application/dns-message',
+            'Content-Length': body.length
+        }
+    }, body, timeout);
+
+    return { message: decodeMessage(buffer), time: elapsedSince(startTime) };
+}
+
+// DNS-over-HTTPS, JSON API (GET ?name=&type= with application/dns-json)
+async function queryDohJson(url, name, type, { timeout = 2000, agent = false } = {}) {
+    const target = new URL(url);
+    target.searchParams.set('name', name);
+    target.searchParams.set('type', type);
+    const startTime = process.hrtime.bigint();
+
+    const buffer = await requestBody(target.toString(), {
+        method: 'GET',
+        agent,
+        headers: { 'Accept': 'application/dns-json' }
+    }, undefined, timeout);
+
+    const json = JSON.parse(buffer.toString('utf8'));
+
+    return {
+        message: {
+            rcode: RCODES[json.Status] || `RCODE${json.Status}`,
+            answers: (json.Answer || []).map(answer => ({
+                name: answer.name.replace(/\.$/, ''),
+                type: RECORD_TYPE_NAMES[answer.type] || answer.type,
+                ttl: answer.TTL,
+                data: answer.data
+            }))
+        },
+        time: elapsedSince(startTime)
+    };
+}
+
+// DNS-over-TLS connection that can carry several queries (RFC 7858)
+function connectDot(server, { servername, timeout = 2000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const { host, port } = parseServer(server, 853);
+        const pending = new Map();
+        let connected = false;
+
+        const socket = tls.connect({
+            host,
+            port,
+            servername: servername || (net.isIP(host) ? undefined : host)
+        });
+
+        const failAll = (error) => {
+            for (const handler of pending.values()) {
+                handler.reject(error);
+            }
+            pending.clear();
+        };
+
+        socket.setTimeout(timeout);
+
+        readFramedMessage(socket, (buffer) => {
+            let message;
+            try {
+                message = decodeMessage(buffer);
+            } catch (error) {
+                return;
+            }
+
+            const handler = pending.get(message.id);
+            if (handler) {
+                pending.delete(message.id);
+                handler.resolve(message);
+            }
+        });
+
+        socket.on('timeout', () => {
+            const error = new Error(`DoT connection to ${server} timed out after ${timeout}ms`);
+            socket.destroy();
+            failAll(error);
+            if (!connected) reject(error);
+        });
+
+        socket.on('error', (error) => {
+            socket.destroy();
+            failAll(error);
+            if (!connected) reject(error);
+        });
+
+        socket.on('close', () => {
+            failAll(new Error(`DoT connection to ${server} closed`));
+        });
+
+        socket.once('secureConnect', () => {
+            connected = true;
+            socket.setTimeout(0);
+
+            resolve({
+                query(name, type, queryTimeout = timeout) {
+                    return new Promise((resolveQuery, rejectQuery) => {
+                        const id = crypto.randomInt(0, 65536);
+                        const startTime = process.hrtime.bigint();
+
+                        const timer = setTimeout(() => {
+                            pending.delete(id);
+                            rejectQuery(new Error(`DoT query to ${server} timed out after ${queryTimeout}ms`));
+                        }, queryTimeout);
+
+                        pending.set(id, {
+                            resolve: (message) => {
+                                clearTimeout(timer);
+                                resolveQuery({ message, time: elapsedSince(startTime) });
+                            },
+                            reject: (error) => {
+                                clearTimeout(timer);
+                                rejectQuery(error);
+                            }
+                        });
+
+                        socket.write(frameMessage(encodeQuery(name, type, { id })));
+                    });
+                },
+                close() {
+                    socket.end();
+                }
+            });
+        });
+    });
+}
+
+// One-shot DoT query over a fresh connection (includes TCP + TLS setup)
+async function queryDot(server, name, type, { servername, timeout = 2000 } = {}) {
+    const startTime = process.hrtime.bigint();
+    const connection = await connectDot(server, { servername, timeout });
+
+    try {
+        const { message } = await connection.query(name, type, timeout);
+        return { message, time: elapsedSince(startTime) };
+    } finally {
+        connection.close();
+    }
+}
+
+module.exports = {
+    RECORD_TYPES,
+    encodeQuery,
+    decodeMessage,
+    parseServer,
+    frameMessage,
+    readFramedMessage,
+    queryUdp,
+    queryTcp,
+    query,
+    queryDoh,
+    queryDohJson,
+    connectDot,
+    queryDot
+};
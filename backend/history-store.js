@@ -0,0 +1,268 @@
+// history-store.js - Embedded time-series store for probe samples: one JSON-lines file per UTC day
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { DATA_DIR } = require('./data-dir');
+
+const DEFAULT_DIR = path.join(DATA_DIR, 'history');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLUSH_DELAY = 1000; // samples are batched into one append per file
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+const DEFAULT_BUCKETS = 60;
+const MAX_BUCKETS = 1000;
+
+class HistoryQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HistoryQueryError';
+        this.status = 400;
+    }
+}
+
+function dayFile(dir, time) {
+    return path.join(dir, `samples-${new Date(time).toISOString().slice(0, 10)}.jsonl`);
+}
+
+// Epoch milliseconds or anything Date.parse accepts (ISO 8601)
+function parseTime(value, name) {
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw new HistoryQueryError(`${name} must be an ISO 8601 date or epoch milliseconds`);
+    }
+    return time;
+}
+
+// Same interpolation as the frontend's percentile()
+function percentile(sorted, p) {
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return lo === hi ? sorted[lo] : sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function summarizeBucket(start, bucket) {
+    const times = bucket.times.sort((a, b) => a - b);
+    const probes = bucket.samples - bucket.errors;
+
+    return {
+        start: new Date(start).toISOString(),
+        samples: bucket.samples,
+        lost: bucket.lost,
+        errors: bucket.errors,
+        loss: probes > 0 ? (bucket.lost / probes) * 100 : null,
+        avg: times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : null,
+        min: times.length > 0 ? times[0] : null,
+        max: times.length > 0 ? times[times.length - 1] : null,
+        p50: times.length > 0 ? percentile(times, 0.5) : null,
+        p95: times.length > 0 ? percentile(times, 0.95) : null,
+        p99: times.length > 0 ? percentile(times, 0.99) : null
+    };
+}
+
+function createHistoryStore(options = {}) {
+    const {
+        dir = process.env.HISTORY_DIR || DEFAULT_DIR,
+        retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || 7
+    } = options;
+
+    let pending = [];
+    let flushTimer = null;
+    // Appends run one after another so lines from two flushes never interleave
+    let writing = Promise.resolve();
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        const samples = pending;
+        pending = [];
+        if (samples.length === 0) return writing;
+
+        const files = new Map();
+        for (const sample of samples) {
+            const file = dayFile(dir, sample.t);
+            files.set(file, (files.get(file) || '') + JSON.stringify(sample) + '\n');
+        }
+
+        writing = writing.then(async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            for (const [file, lines] of files) {
+                await fs.promises.appendFile(file, lines);
+            }
+        }).catch((error) => {
+            console.error('Failed to write history samples:', error.message);
+        });
+
+        return writing;
+    }
+
+    // Record one probe result: { target, method, port, source, alive, time, error }
+    function append(sample) {
+        pending.push({
+            t: sample.timestamp ? Date.parse(sample.timestamp) : Date.now(),
+            target: sample.target,
+            method: sample.method,
+            port: sample.port || null,
+            source: sample.source,
+            alive: Boolean(sample.alive),
+            time: typeof sample.time === 'number' ? sample.time : null,
+            ...(sample.error ? { error: sample.error } : {})
+        });
+
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_DELAY);
+            flushTimer.unref();
+        }
+    }
+
+    // Delete day files older than the retention period
+    async function prune() {
+        const oldest = dayFile(dir, Date.now() - retentionDays * DAY_MS);
+        let entries;
+
+        try {
+            entries = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const expired = entries
+            .filter(entry => /^samples-\d{4}-\d{2}-\d{2}\.jsonl$/.test(entry))
+            .map(entry => path.join(dir, entry))
+            .filter(file => file < oldest);
+
+        await Promise.all(expired.map(file => fs.promises.unlink(file)));
+        return expired.length;
+    }
+
+    const pruneTimer = setInterval(() => {
+        prune().catch(error => console.error('Failed to prune history:', error.message));
+    }, 60 * 60 * 1000);
+    pruneTimer.unref();
+
+    // Validate GET /api/history query parameters. Throws HistoryQueryError.
+    function parseQuery(query) {
+        const to = query.to !== undefined ? parseTime(query.to, 'to') : Date.now();
+        const from = query.from !== undefined ? parseTime(query.from, 'from') : to - DEFAULT_RANGE_MS;
+
+        if (from >= to) {
+            throw new HistoryQueryError('from must be before to');
+        }
+        if (to - from > retentionDays * DAY_MS) {
+            throw new HistoryQueryError(`The time range must not exceed the ${retentionDays} day retention period`);
+        }
+
+        let bucket;
+        if (query.bucket !== undefined) {
+            bucket = Number(query.bucket) * 1000;
+            if (!Number.isInteger(bucket) || bucket < 1000) {
+                throw new HistoryQueryError('bucket must be a whole number of seconds');
+            }
+        } else {
+            bucket = Math.max(Math.ceil((to - from) / DEFAULT_BUCKETS / 1000), 1) * 1000;
+        }
+
+        if (Math.ceil((to - from) / bucket) > MAX_BUCKETS) {
+            throw new HistoryQueryError(`At most ${MAX_BUCKETS} buckets per query, use a larger bucket`);
+        }
+
+        const port = query.port !== undefined ? Number(query.port) : null;
+        if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+            throw new HistoryQueryError('port must be between 1 and 65535');
+        }
+
+        return {
+            from,
+            to,
+            bucket,
+            target: query.target || null,
+            method: query.method || null,
+            port,
+            source: query.source || null
+        };
+    }
+
+    // Samples in [from, to) matching the filters, aggregated per target, method
+    // and port into `bucket`-ms buckets aligned to the epoch. Empty buckets are left out.
+    async function query({ from, to, bucket, target = null, method = null, port = null, source = null }) {
+        await flush();
+
+        const series = new Map();
+
+        for (let day = Math.floor(from / DAY_MS); day * DAY_MS < to; day++) {
+            const file = dayFile(dir, day * DAY_MS);
+            if (!fs.existsSync(file)) continue;
+
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                let sample;
+                try {
+                    sample = JSON.parse(line);
+                } catch (error) {
+                    continue; // partial line from a crash mid-append
+                }
+
+                if (sample.t < from || sample.t >= to) continue;
+                if (target && sample.target !== target) continue;
+                if (method && sample.method !== method) continue;
+                if (port && sample.port !== port) continue;
+                if (source && sample.source !== source) continue;
+
+                const key = JSON.stringify([sample.target, sample.method, sample.port]);
+                if (!series.has(key)) {
+                    series.set(key, { target: sample.target, method: sample.method, port: sample.port, buckets: new Map() });
+                }
+
+                const start = Math.floor(sample.t / bucket) * bucket;
+                const buckets = series.get(key).buckets;
+                if (!buckets.has(start)) {
+                    buckets.set(start, { samples: 0, lost: 0, errors: 0, times: [] });
+                }
+
+                const entry = buckets.get(start);
+                entry.samples++;
+                if (sample.error) {
+                    entry.errors++;
+                } else if (sample.alive && sample.time !== null) {
+                    entry.times.push(sample.time);
+                } else {
+                    entry.lost++;
+                }
+            }
+        }
+
+        return [...series.values()]
+            .sort((a, b) => a.target.localeCompare(b.target) || a.method.localeCompare(b.method) || a.port - b.port)
+            .map(({ target, method, port, buckets }) => ({
+                target,
+                method,
+                port,
+                buckets: [...buckets.entries()]
+                    .sort(([a], [b]) => a - b)
+                    .map(([start, entry]) => summarizeBucket(start, entry))
+            }));
+    }
+
+    function close() {
+        clearInterval(pruneTimer);
+        return flush();
+    }
+
+    return {
+        dir,
+        retentionDays,
+        append,
+        flush,
+        prune,
+        parseQuery,
+        query,
+        close
+    };
+}
+
+module.exports = {
+    HistoryQueryError,
+    createHistoryStore
+};
@@ -0,0 +1,177 @@
+// metrics.js - Prometheus metrics for probe targets and the process, in the OpenMetrics text format
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Latency histogram buckets, in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Per-target probe statistics, kept on a monitoring session or monitor
+function createProbeStats() {
+    return {
+        buckets: LATENCY_BUCKETS.map(() => 0),
+        sum: 0,
+        replies: 0,
+        probes: 0,
+        lost: 0,
+        errors: 0,
+        lastSuccess: null
+    };
+}
+
+// Record one probe result ({ alive, time } with time in ms). A result with
+// `error` is a probe that could not run at all, not a lost reply.
+function recordProbe(stats, result) {
+    if (result.error) {
+        stats.errors++;
+        return;
+    }
+
+    stats.probes++;
+
+    if (!result.alive || typeof result.time !== 'number') {
+        stats.lost++;
+        return;
+    }
+
+    const seconds = result.time / 1000;
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) stats.buckets[index]++;
+    });
+    stats.sum += seconds;
+    stats.replies++;
+    stats.lastSuccess = Date.now() / 1000;
+}
+
+// REST request and WebSocket client counters for the whole process
+function createProcessMetrics() {
+    const requests = new Map(); // "method route status" -> count
+    let webSocketConnections = 0;
+    let webSocketClients = 0;
+    let webSocketMessages = 0;
+
+    // Express middleware counting requests once their response is sent
+    function countRequests(req, res, next) {
+        res.on('finish', () => {
+            // Route patterns, not raw paths, so ids do not create new series
+            const route = req.route ? req.route.path : 'unmatched';
+            const key = JSON.stringify([req.method, route, String(res.statusCode)]);
+            requests.set(key, (requests.get(key) || 0) + 1);
+        });
+        next();
+    }
+
+    function countWebSocket(ws) {
+        webSocketConnections++;
+        webSocketClients++;
+        ws.on('message', () => webSocketMessages++);
+        ws.on('close', () => webSocketClients--);
+    }
+
+    function snapshot() {
+        return {
+            requests: [...requests.entries()].map(([key, count]) => {
+                const [method, route, status] = JSON.parse(key);
+                return { labels: { method, route, status }, count };
+            }),
+            webSocketConnections,
+            webSocketClients,
+            webSocketMessages
+        };
+    }
+
+    return { countRequests, countWebSocket, snapshot };
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isInteger(value) ? String(value) : value.toPrecision(15).replace(/\.?0+$/, '');
+}
+
+// Collects metric families and renders them; families are written whole,
+// in the order they are added, as OpenMetrics requires
+function createExposition() {
+    const lines = [];
+
+    function family(name, type, help, samples, unit = null) {
+        lines.push(`# TYPE ${name} ${type}`);
+        if (unit) lines.push(`# UNIT ${name} ${unit}`);
+        lines.push(`# HELP ${name} ${help}`);
+        samples.forEach(([suffix, labels, value]) => {
+            lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+    }
+
+    function render() {
+        return `${lines.join('\n')}\n# EOF\n`;
+    }
+
+    return { family, render };
+}
+
+// `targets`: [{ labels, stats }] for every active session and monitor.
+// `processMetrics`: from createProcessMetrics().
+function renderMetrics(targets, processMetrics) {
+    const exposition = createExposition();
+    const { requests, webSocketConnections, webSocketClients, webSocketMessages } = processMetrics.snapshot();
+    const memory = process.memoryUsage();
+
+    exposition.family('nla_probe_latency_seconds', 'histogram', 'Round-trip time of answered probes.',
+        targets.flatMap(({ labels, stats }) => [
+            ...LATENCY_BUCKETS.map((bound, index) => ['_bucket', { ...labels, le: formatValue(bound) }, stats.buckets[index]]),
+            ['_bucket', { ...labels, le: '+Inf' }, stats.replies],
+            ['_count', labels, stats.replies],
+            ['_sum', labels, stats.sum]
+        ]), 'seconds');
+
+    exposition.family('nla_probes', 'counter', 'Probes sent, answered or lost.',
+        targets.map(({ labels, stats }) => ['_total', labels, stats.probes]));
+
+    exposition.family('nla_probe_loss', 'counter', 'Probes that got no reply.',
+        targets.map(({ labels, stats }) => ['_total', labels, stats.lost]));
+
+    exposition.family('nla_probe_errors', 'counter', 'Probes that failed to run (e.g. DNS resolution or spawn errors).',
+        targets.map(({ labels, stats }) => ['_total', labels, stats.errors]));
+
+    exposition.family('nla_probe_last_success_timestamp_seconds', 'gauge', 'Unix time of the last answered probe.',
+        targets
+            .filter(({ stats }) => stats.lastSuccess !== null)
+            .map(({ labels, stats }) => ['', labels, stats.lastSuccess]), 'seconds');
+
+    exposition.family('nla_http_requests', 'counter', 'REST API requests by method, route and status.',
+        requests.map(({ labels, count }) => ['_total', labels, count]));
+
+    exposition.family('nla_websocket_clients', 'gauge', 'Open WebSocket connections.',
+        [['', {}, webSocketClients]]);
+
+    exposition.family('nla_websocket_connections', 'counter', 'WebSocket connections accepted.',
+        [['_total', {}, webSocketConnections]]);
+
+    exposition.family('nla_websocket_messages', 'counter', 'WebSocket messages received.',
+        [['_total', {}, webSocketMessages]]);
+
+    exposition.family('process_start_time_seconds', 'gauge', 'Start time of the process since the Unix epoch.',
+        [['', {}, Math.round(Date.now() / 1000 - process.uptime())]], 'seconds');
+
+    exposition.family('process_resident_memory_bytes', 'gauge', 'Resident memory size.',
+        [['', {}, memory.rss]], 'bytes');
+
+    return exposition.render();
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createProbeStats,
+    recordProbe,
+    createProcessMetrics,
+    renderMetrics
+};
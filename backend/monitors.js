@@ -0,0 +1,190 @@
+// monitors.js - Server-side monitors that keep probing without a browser and persist across restarts
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./data-dir');
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'monitors.json');
+const HISTORY_SIZE = 100; // recent results replayed to clients that attach
+
+// Fields saved to disk; everything else is runtime state
+const DEFINITION_FIELDS = ['id', 'name', 'host', 'method', 'port', 'interval', 'createdAt'];
+
+// `probe(definition)` runs one check and resolves to { alive, time }.
+// `onResult(definition, result)` sees every result, e.g. for storage or alerts.
+function createMonitorManager(options = {}) {
+    const {
+        file = process.env.MONITORS_FILE || DEFAULT_FILE,
+        probe,
+        onResult = () => {}
+    } = options;
+
+    const monitors = new Map();
+    // Saves run one after another so an older snapshot never overwrites a newer one
+    let saving = Promise.resolve();
+
+    function save() {
+        const definitions = [...monitors.values()].map(monitor => monitor.definition);
+
+        saving = saving.then(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            // Write then rename, so a crash mid-write keeps the previous file
+            const temporary = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify(definitions, null, 2));
+            await fs.promises.rename(temporary, file);
+        }).catch((error) => {
+            console.error('Failed to save monitors:', error.message);
+        });
+
+        return saving;
+    }
+
+    async function runCheck(monitor) {
+        // A slow target must not pile up overlapping checks
+        if (monitor.checking) return;
+        monitor.checking = true;
+
+        let result;
+        try {
+            const { alive, time } = await probe(monitor.definition);
+            result = { alive, time, timestamp: new Date().toISOString() };
+        } catch (error) {
+            result = { alive: false, time: null, error: error.message, timestamp: new Date().toISOString() };
+        }
+
+        monitor.checking = false;
+        // Deleted while the check was running
+        if (!monitors.has(monitor.definition.id)) return;
+
+        monitor.checks++;
+        if (!result.alive) monitor.failures++;
+        monitor.last = result;
+        monitor.history.push(result);
+        if (monitor.history.length > HISTORY_SIZE) {
+            monitor.history.shift();
+        }
+
+        for (const listener of monitor.listeners) {
+            listener('result', result);
+        }
+        onResult(monitor.definition, result);
+    }
+
+    function start(definition) {
+        const monitor = {
+            definition,
+            timer: null,
+            checking: false,
+            checks: 0,
+            failures: 0,
+            last: null,
+            history: [],
+            listeners: new Set()
+        };
+
+        monitors.set(definition.id, monitor);
+        monitor.timer = setInterval(() => runCheck(monitor), definition.interval);
+        runCheck(monitor);
+        return monitor;
+    }
+
+    function summarize(monitor) {
+        const { definition, last, history } = monitor;
+        const up = history.filter(result => result.alive).length;
+
+        return {
+            ...definition,
+            status: last ? (last.alive ? 'up' : 'down') : 'pending',
+            lastCheck: last ? last.timestamp : null,
+            lastLatency: last ? last.time : null,
+            // Over the recent history only; the counters cover the whole run
+            uptime: history.length > 0 ? (up / history.length) * 100 : null,
+            checks: monitor.checks,
+            failures: monitor.failures,
+            subscribers: monitor.listeners.size
+        };
+    }
+
+    // Restart the monitors saved by a previous run
+    async function load() {
+        let definitions;
+
+        try {
+            definitions = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw new Error(`Cannot read monitors from ${file}: ${error.message}`);
+        }
+
+        definitions
+            .filter(definition => definition && definition.id && !monitors.has(definition.id))
+            .forEach(start);
+        return definitions.length;
+    }
+
+    // `definition` is already validated by the caller
+    async function create(definition) {
+        const monitor = start({
+            ...Object.fromEntries(DEFINITION_FIELDS.map(field => [field, definition[field]])),
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString()
+        });
+
+        await save();
+        return summarize(monitor);
+    }
+
+    async function remove(id) {
+        const monitor = monitors.get(id);
+        if (!monitor) return false;
+
+        clearInterval(monitor.timer);
+        monitors.delete(id);
+        for (const listener of monitor.listeners) {
+            listener('removed', null);
+        }
+        await save();
+        return true;
+    }
+
+    function get(id) {
+        const monitor = monitors.get(id);
+        return monitor ? { ...summarize(monitor), history: [...monitor.history] } : null;
+    }
+
+    function list() {
+        return [...monitors.values()].map(summarize);
+    }
+
+    // Call `listener('result', result)` for every new result, and
+    // `listener('removed')` if the monitor is deleted, until the returned
+    // function is called
+    function subscribe(id, listener) {
+        const monitor = monitors.get(id);
+        if (!monitor) return null;
+
+        monitor.listeners.add(listener);
+        return () => monitor.listeners.delete(listener);
+    }
+
+    function stopAll() {
+        for (const monitor of monitors.values()) {
+            clearInterval(monitor.timer);
+        }
+    }
+
+    return {
+        file,
+        load,
+        create,
+        remove,
+        get,
+        list,
+        subscribe,
+        stopAll
+    };
+}
+
+module.exports = {
+    createMonitorManager
+};
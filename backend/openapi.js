@@ -0,0 +1,1309 @@
+// openapi.js - OpenAPI 3.1 description of the REST API, served at /openapi.json
+// and used by validation.js to check requests and responses
+const { LIMITS } = require('./rate-limit');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, 'null'] });
+
+function jsonBody(schema, example) {
+    return {
+        required: true,
+        content: {
+            'application/json': { schema, example }
+        }
+    };
+}
+
+function jsonResponse(description, schema) {
+    return {
+        description,
+        content: {
+            'application/json': { schema }
+        }
+    };
+}
+
+// Error responses every API route can return, in the shape of the Error schema
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    429: 'TooManyRequests',
+    500: 'ServerError'
+};
+
+// `scope` is the API key scope the route needs when API_KEYS is set (null: public)
+function operation({ summary, description, tags, scope = 'probe', body = null, parameters = [], responses, errors = [400, 401, 403, 429, 500] }) {
+    return {
+        summary,
+        ...(description ? { description } : {}),
+        tags,
+        // {} first: keys are only needed when the server sets API_KEYS
+        security: scope
+            ? [{}, { bearerAuth: [scope] }, { apiKeyHeader: [scope] }]
+            : [],
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(body ? { requestBody: body } : {}),
+        responses: {
+            ...responses,
+            ...Object.fromEntries(errors.map(code => [code, { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` }]))
+        }
+    };
+}
+
+function queryParameter(name, schema, description) {
+    return { name, in: 'query', required: false, description, schema };
+}
+
+// Fields shared by the ping-style results (times in ms, null for a lost probe)
+const LATENCY_PROPERTIES = {
+    alive: { type: 'boolean' },
+    times: { type: 'array', items: nullable('number') },
+    successCount: { type: 'integer' },
+    totalCount: { type: 'integer' },
+    packetLoss: { type: 'number' },
+    min: nullable('number'),
+    max: nullable('number'),
+    avg: nullable('number'),
+    jitter: { type: 'number' },
+    timestamp: { type: 'string', format: 'date-time' },
+    method: { type: 'string' }
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Every error response. `message` explains the problem; `details` lists each invalid field.',
+        required: ['error'],
+        properties: {
+            error: { type: 'string' },
+            message: { type: 'string' },
+            details: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['path', 'message'],
+                    properties: {
+                        path: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            },
+            limit: nullable('integer'),
+            retryAfter: nullable('integer'),
+            supported: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    Host: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 2048,
+        description: 'Hostname, IPv4 or IPv6 address',
+        example: 'google.com'
+    },
+    Url: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 2048,
+        description: 'http(s) URL or a host (https:// is assumed)',
+        example: 'https://google.com'
+    },
+    Port: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 65535
+    },
+    Count: {
+        type: 'integer',
+        minimum: 1,
+        description: `Probes to send, at most MAX_PROBES_PER_REQUEST (${LIMITS.maxProbes} here)`
+    },
+    TimeoutMs: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 60000,
+        description: 'Per-probe timeout in milliseconds'
+    },
+    PingResult: {
+        type: 'object',
+        description: 'ICMP results keep the ping tool\'s string values; the HTTP fallback returns numbers',
+        required: ['alive', 'host'],
+        properties: {
+            alive: { type: 'boolean' },
+            host: { type: 'string' },
+            ip: { type: ['string', 'null'] },
+            time: { type: ['number', 'string', 'null'] },
+            min: { type: ['number', 'string', 'null'] },
+            max: { type: ['number', 'string', 'null'] },
+            avg: { type: ['number', 'string', 'null'] },
+            stddev: { type: ['number', 'string', 'null'] },
+            packetLoss: { type: ['number', 'string', 'null'] },
+            times: { type: 'array', items: nullable('number') },
+            jitter: { type: 'number' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    TcpPingResult: {
+        type: 'object',
+        required: ['alive', 'host', 'port', 'times'],
+        properties: {
+            ...LATENCY_PROPERTIES,
+            host: { type: 'string' },
+            port: ref('Port')
+        }
+    },
+    DualStackResult: {
+        type: 'object',
+        required: ['host', 'port', 'ipv4', 'ipv6'],
+        properties: {
+            host: { type: 'string' },
+            port: ref('Port'),
+            ipv4: { type: 'object' },
+            ipv6: { type: 'object' },
+            faster: { type: ['string', 'null'], enum: ['IPv4', 'IPv6', null] },
+            difference: nullable('number'),
+            systemPreference: nullable('string'),
+            happyEyeballs: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+            method: { type: 'string' }
+        }
+    },
+    HttpTimingResult: {
+        type: 'object',
+        required: ['alive', 'url', 'attempts', 'phases'],
+        properties: {
+            alive: { type: 'boolean' },
+            url: { type: 'string' },
+            method: { type: 'string', enum: ['GET', 'HEAD'] },
+            attempts: { type: 'array', items: { type: 'object' } },
+            phases: {
+                type: 'object',
+                description: 'min/max/avg in ms of dns, connect, tls, ttfb, download and total'
+            },
+            successCount: { type: 'integer' },
+            totalCount: { type: 'integer' },
+            packetLoss: { type: 'number' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    TlsResult: {
+        type: 'object',
+        required: ['host', 'port', 'protocol', 'certificates'],
+        properties: {
+            host: { type: 'string' },
+            port: ref('Port'),
+            remoteAddress: { type: 'string' },
+            timing: { type: 'object' },
+            protocol: nullable('string'),
+            cipher: nullable('object'),
+            alpn: nullable('string'),
+            sessionReused: { type: 'boolean' },
+            authorized: { type: 'boolean' },
+            authorizationError: nullable('string'),
+            certificates: { type: 'array', items: { type: 'object' } },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    UdpProbeResult: {
+        type: 'object',
+        required: ['alive', 'host', 'port', 'times'],
+        properties: {
+            ...LATENCY_PROPERTIES,
+            host: { type: 'string' },
+            address: { type: 'string' },
+            port: ref('Port'),
+            size: { type: 'integer' },
+            interval: { type: 'number' },
+            sent: { type: 'integer' },
+            received: { type: 'integer' },
+            duplicates: { type: 'integer' },
+            reordered: { type: 'integer' },
+            late: { type: 'integer' }
+        }
+    },
+    DnsLookupResult: {
+        type: 'object',
+        required: ['hostname', 'records'],
+        properties: {
+            hostname: { type: 'string' },
+            addresses: { type: 'array', items: { type: 'string' } },
+            records: { type: 'object', description: 'Per record type: { records, time } or { error }' },
+            cnameChain: { type: 'array', items: { type: 'string' } },
+            server: nullable('string'),
+            lookupTime: { type: 'number' },
+            dnsServers: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    DnsServer: {
+        description: 'Resolver address, or an object naming its encrypted endpoints',
+        oneOf: [
+            ref('Host'),
+            {
+                type: 'object',
+                required: ['server'],
+                properties: {
+                    server: ref('Host'),
+                    doh: { type: 'string' },
+                    dohJson: { type: 'string' },
+                    dot: { type: 'string' },
+                    dotServer: { type: 'string' }
+                }
+            }
+        ]
+    },
+    DnsBenchmarkResult: {
+        type: 'object',
+        required: ['results', 'domains', 'rounds'],
+        properties: {
+            results: { type: 'array', items: { type: 'object' } },
+            domains: { type: 'array', items: { type: 'string' } },
+            rounds: { type: 'integer' },
+            encrypted: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    TracerouteResult: {
+        type: 'object',
+        description: 'Platforms without traceroute answer 200 with `error` instead of `hops`',
+        required: ['host'],
+        properties: {
+            host: { type: 'string' },
+            hops: { type: 'array', items: { type: 'object' } },
+            totalHops: { type: 'integer' },
+            error: { type: 'string' },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    PortCheckResult: {
+        type: 'object',
+        required: ['host', 'port', 'open'],
+        properties: {
+            host: { type: 'string' },
+            port: ref('Port'),
+            open: { type: 'boolean' },
+            time: nullable('number'),
+            detected: nullable('object'),
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    PortScanResult: {
+        type: 'object',
+        required: ['host', 'results'],
+        properties: {
+            host: { type: 'string' },
+            address: { type: 'string' },
+            family: { type: 'integer' },
+            results: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['port', 'state'],
+                    properties: {
+                        port: ref('Port'),
+                        service: nullable('string'),
+                        state: { type: 'string', enum: ['open', 'closed', 'filtered'] },
+                        time: nullable('number'),
+                        detected: nullable('object')
+                    }
+                }
+            },
+            open: { type: 'integer' },
+            closed: { type: 'integer' },
+            filtered: { type: 'integer' },
+            scanned: { type: 'integer' },
+            scanTime: { type: 'number' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    BatchServerResult: {
+        type: 'object',
+        required: ['server', 'success'],
+        properties: {
+            ...LATENCY_PROPERTIES,
+            server: { type: 'string' },
+            success: { type: 'boolean' },
+            host: { type: 'string' },
+            error: { type: 'string' }
+        }
+    },
+    BatchTestRequest: {
+        type: 'object',
+        required: ['servers'],
+        properties: {
+            servers: {
+                type: 'array',
+                minItems: 1,
+                items: ref('Url'),
+                description: `At most MAX_BATCH_SERVERS (${LIMITS.maxBatchServers} here)`
+            },
+            testsPerServer: ref('Count'),
+            concurrency: { type: 'integer', minimum: 1, description: 'Servers pinged in parallel' }
+        }
+    },
+    Monitor: {
+        type: 'object',
+        required: ['id', 'name', 'host', 'method', 'interval', 'status'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            host: { type: 'string' },
+            method: { type: 'string', enum: ['http', 'tcp'] },
+            port: ref('Port'),
+            interval: { type: 'integer', description: 'ms between checks' },
+            createdAt: { type: 'string', format: 'date-time' },
+            status: { type: 'string', enum: ['pending', 'up', 'down'] },
+            lastCheck: { type: ['string', 'null'], format: 'date-time' },
+            lastLatency: nullable('number'),
+            uptime: { type: ['number', 'null'], description: '% of the recent history that was up' },
+            checks: { type: 'integer' },
+            failures: { type: 'integer' },
+            subscribers: { type: 'integer' },
+            history: { type: 'array', items: ref('MonitorResult') }
+        }
+    },
+    MonitorResult: {
+        type: 'object',
+        required: ['alive', 'timestamp'],
+        properties: {
+            alive: { type: 'boolean' },
+            time: nullable('number'),
+            error: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    Schedule: {
+        type: 'object',
+        required: ['id', 'name', 'cron', 'type', 'params', 'enabled'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            cron: { type: 'string', description: 'Five-field cron expression in server local time' },
+            type: ref('ScheduleType'),
+            params: { type: 'object', description: 'Request body of the probe route' },
+            enabled: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            nextRunAt: { type: ['string', 'null'], format: 'date-time' },
+            running: { type: 'boolean' },
+            lastRun: { oneOf: [ref('ScheduleRun'), { type: 'null' }] },
+            runCount: { type: 'integer', description: 'Stored runs' }
+        }
+    },
+    ScheduleType: {
+        type: 'string',
+        enum: ['ping', 'dns-lookup', 'dns-benchmark', 'traceroute', 'batch-test'],
+        description: 'Probe run: /api/ping, /api/dns-lookup, /api/dns-benchmark, /api/traceroute or /api/batch-test'
+    },
+    ScheduleRun: {
+        type: 'object',
+        required: ['startedAt', 'duration', 'trigger', 'success', 'summary'],
+        properties: {
+            startedAt: { type: 'string', format: 'date-time' },
+            duration: { type: 'integer', description: 'ms' },
+            trigger: { type: 'string', enum: ['cron', 'manual'] },
+            success: { type: 'boolean' },
+            summary: { type: 'string' },
+            result: { type: 'object', description: 'Response body the probe route would have sent' },
+            error: { type: 'string' }
+        }
+    },
+    AlertThresholds: {
+        type: 'object',
+        description: 'null turns a rule off; left-out fields keep their value (defaults on create)',
+        properties: {
+            latency: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'ms, average of the last 5 answered probes (default 200)' },
+            jitter: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'ms (default 100)' },
+            loss: { type: ['number', 'null'], minimum: 0, maximum: 100, description: '% of the last 20 probes (default 5)' },
+            failures: { type: ['integer', 'null'], minimum: 1, description: 'Failed checks in a row that mean down (default 3)' }
+        }
+    },
+    Webhook: {
+        type: 'object',
+        required: ['id', 'name', 'url', 'template', 'thresholds', 'targets', 'enabled'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            url: { type: 'string', description: 'Scheme and host only, the path and query are not returned' },
+            template: ref('WebhookTemplate'),
+            secret: { type: 'string', description: 'HMAC key of X-NLA-Signature, only returned on create' },
+            thresholds: ref('AlertThresholds'),
+            targets: { type: 'array', items: { type: 'string' }, description: 'Targets to alert on, empty for all' },
+            enabled: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            firing: { type: 'integer', description: 'Alerts firing now' },
+            lastDelivery: {
+                oneOf: [
+                    {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            event: { type: 'string' },
+                            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+                            createdAt: { type: 'string', format: 'date-time' }
+                        }
+                    },
+                    { type: 'null' }
+                ]
+            }
+        }
+    },
+    WebhookTemplate: {
+        type: 'string',
+        enum: ['json', 'slack', 'teams', 'discord'],
+        description: 'json: the full event; slack, teams, discord: bodies their incoming webhooks accept'
+    },
+    WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'webhookId', 'event', 'status', 'attempts'],
+        properties: {
+            id: { type: 'string', description: 'Also sent as X-NLA-Delivery' },
+            webhookId: { type: 'string' },
+            event: { type: 'string', enum: ['alert.firing', 'alert.resolved', 'test'] },
+            alertId: { type: 'string' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            completedAt: { type: 'string', format: 'date-time' },
+            body: { type: 'string', description: 'JSON body as sent' },
+            attempts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['at', 'status', 'duration'],
+                    properties: {
+                        at: { type: 'string', format: 'date-time' },
+                        status: { type: ['integer', 'null'], description: 'HTTP status, null when no response arrived' },
+                        duration: { type: 'integer', description: 'ms' },
+                        error: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    Alert: {
+        type: 'object',
+        required: ['id', 'rule', 'status', 'target', 'message'],
+        properties: {
+            id: { type: 'string' },
+            webhookId: { type: 'string' },
+            rule: { type: 'string', enum: ['down', 'latency', 'jitter', 'loss'] },
+            status: { type: 'string', enum: ['firing', 'resolved'] },
+            name: { type: 'string' },
+            source: { type: 'string', enum: ['monitor', 'schedule'] },
+            target: { type: 'string' },
+            method: { type: 'string' },
+            port: nullable('integer'),
+            value: { type: 'number' },
+            threshold: { type: 'number' },
+            message: { type: 'string' },
+            startedAt: { type: 'string', format: 'date-time' },
+            resolvedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    HistoryBucket: {
+        type: 'object',
+        required: ['start', 'samples'],
+        properties: {
+            start: { type: 'string', format: 'date-time' },
+            samples: { type: 'integer' },
+            lost: { type: 'integer' },
+            errors: { type: 'integer' },
+            loss: { type: ['number', 'null'], description: '% of probes without a reply' },
+            avg: nullable('number'),
+            min: nullable('number'),
+            max: nullable('number'),
+            p50: nullable('number'),
+            p95: nullable('number'),
+            p99: nullable('number')
+        }
+    },
+    HistoryResult: {
+        type: 'object',
+        required: ['from', 'to', 'bucket', 'series'],
+        properties: {
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            bucket: { type: 'integer', description: 'Bucket size in seconds' },
+            target: nullable('string'),
+            method: nullable('string'),
+            port: nullable('integer'),
+            series: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['target', 'method', 'buckets'],
+                    properties: {
+                        target: { type: 'string' },
+                        method: { type: 'string' },
+                        port: nullable('integer'),
+                        buckets: { type: 'array', items: ref('HistoryBucket') }
+                    }
+                }
+            },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    }
+};
+
+const idParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+};
+
+const SCHEDULE_PROPERTIES = {
+    name: { type: 'string', maxLength: 100 },
+    cron: { type: 'string', minLength: 1, description: 'e.g. "*/5 * * * *", or @hourly, @daily, @weekly' },
+    type: ref('ScheduleType'),
+    params: { type: 'object', description: 'Request body of the probe route, checked like a request to it' },
+    enabled: { type: 'boolean' }
+};
+
+const WEBHOOK_PROPERTIES = {
+    name: { type: 'string', maxLength: 100 },
+    url: { type: 'string', minLength: 1, description: 'http or https URL the alerts are POSTed to' },
+    template: ref('WebhookTemplate'),
+    secret: { type: 'string', minLength: 16, description: 'Signing key (default: generated)' },
+    thresholds: ref('AlertThresholds'),
+    targets: { type: 'array', items: { type: 'string' } },
+    enabled: { type: 'boolean' }
+};
+
+const paths = {
+    '/health': {
+        get: operation({
+            summary: 'Health check',
+            tags: ['Service'],
+            scope: null,
+            errors: [],
+            responses: {
+                200: jsonResponse('Server is up', {
+                    type: 'object',
+                    required: ['status'],
+                    properties: {
+                        status: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        service: { type: 'string' },
+                        version: { type: 'string' },
+                        udpReflectorPort: nullable('integer')
+                    }
+                })
+            }
+        })
+    },
+    '/metrics': {
+        get: operation({
+            summary: 'Prometheus metrics',
+            description: 'Latency histograms, loss and error counters per monitoring session and monitor, plus process counters',
+            tags: ['Service'],
+            scope: 'read',
+            errors: [401, 403, 500],
+            responses: {
+                200: {
+                    description: 'OpenMetrics text format',
+                    content: { 'application/openmetrics-text': { schema: { type: 'string' } } }
+                }
+            }
+        })
+    },
+    '/api/auth': {
+        get: operation({
+            summary: 'Whether an API key is required, and what the presented key grants',
+            tags: ['Service'],
+            scope: null,
+            errors: [429],
+            responses: {
+                200: jsonResponse('Authentication status', {
+                    type: 'object',
+                    required: ['required', 'authenticated', 'scopes'],
+                    properties: {
+                        required: { type: 'boolean' },
+                        authenticated: { type: 'boolean' },
+                        name: nullable('string'),
+                        scopes: { type: 'array', items: { type: 'string', enum: ['read', 'probe'] } }
+                    }
+                })
+            }
+        })
+    },
+    '/api/ping': {
+        post: operation({
+            summary: 'ICMP ping, falling back to HTTP where ICMP is unavailable',
+            tags: ['Latency'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    count: ref('Count'),
+                    timeout: { type: 'number', exclusiveMinimum: 0, maximum: 60, description: 'Seconds' }
+                }
+            }, { host: 'google.com', count: 4 }),
+            responses: { 200: jsonResponse('Ping results', ref('PingResult')) }
+        })
+    },
+    '/api/tcp-ping': {
+        post: operation({
+            summary: 'TCP handshake latency',
+            tags: ['Latency'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    port: ref('Port'),
+                    count: ref('Count'),
+                    timeout: ref('TimeoutMs')
+                }
+            }, { host: 'google.com', port: 443, count: 4 }),
+            responses: { 200: jsonResponse('Connect times', ref('TcpPingResult')) }
+        })
+    },
+    '/api/dual-stack': {
+        post: operation({
+            summary: 'IPv4 vs IPv6 connect latency and Happy Eyeballs prediction',
+            tags: ['Latency'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    port: ref('Port'),
+                    count: ref('Count'),
+                    timeout: ref('TimeoutMs')
+                }
+            }, { host: 'google.com', port: 443, count: 4 }),
+            responses: { 200: jsonResponse('Per-family results', ref('DualStackResult')) }
+        })
+    },
+    '/api/http-timing': {
+        post: operation({
+            summary: 'HTTP phase timing (DNS, connect, TLS, TTFB, download)',
+            tags: ['Latency'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Url'),
+                    count: ref('Count'),
+                    timeout: ref('TimeoutMs'),
+                    method: { type: 'string', enum: ['GET', 'HEAD', 'get', 'head'] }
+                }
+            }, { host: 'https://google.com', count: 3 }),
+            responses: { 200: jsonResponse('Timing per attempt and phase', ref('HttpTimingResult')) }
+        })
+    },
+    '/api/tls-inspect': {
+        post: operation({
+            summary: 'TLS handshake and certificate chain',
+            tags: ['Inspection'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    port: ref('Port'),
+                    timeout: ref('TimeoutMs')
+                }
+            }, { host: 'google.com', port: 443 }),
+            responses: { 200: jsonResponse('Handshake details', ref('TlsResult')) }
+        })
+    },
+    '/api/udp-probe': {
+        post: operation({
+            summary: 'UDP echo RTT, loss, reordering and duplicates',
+            description: 'Needs a UDP echo reflector on the target (see udp-echo.js)',
+            tags: ['Latency'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    port: ref('Port'),
+                    count: ref('Count'),
+                    interval: { type: 'integer', minimum: 1, maximum: 10000, description: 'ms between packets' },
+                    size: { type: 'integer', minimum: 1, maximum: 65507, description: 'Packet size in bytes' },
+                    timeout: { type: 'integer', minimum: 1, maximum: 60000, description: 'Per-packet reply timeout in ms' }
+                }
+            }, { host: 'reflector.example.com', port: 5005, count: 20, interval: 100 }),
+            responses: { 200: jsonResponse('Probe statistics', ref('UdpProbeResult')) }
+        })
+    },
+    '/api/dns-lookup': {
+        post: operation({
+            summary: 'DNS records for a hostname',
+            tags: ['DNS'],
+            body: jsonBody({
+                type: 'object',
+                required: ['hostname'],
+                properties: {
+                    hostname: ref('Host'),
+                    types: {
+                        description: 'Record types, or "ALL"',
+                        oneOf: [
+                            { type: 'string' },
+                            { type: 'array', minItems: 1, items: { type: 'string' } }
+                        ]
+                    },
+                    server: { type: 'string', description: 'Resolver to ask, host or host:port' },
+                    timeout: ref('TimeoutMs')
+                }
+            }, { hostname: 'google.com', types: ['A', 'AAAA', 'MX'] }),
+            responses: { 200: jsonResponse('Records by type', ref('DnsLookupResult')) }
+        })
+    },
+    '/api/dns-benchmark': {
+        post: operation({
+            summary: 'Benchmark DNS resolvers with real queries',
+            tags: ['DNS'],
+            body: jsonBody({
+                type: 'object',
+                required: ['servers'],
+                properties: {
+                    servers: { type: 'array', minItems: 1, items: ref('DnsServer') },
+                    domains: { type: 'array', minItems: 1, items: ref('Host') },
+                    rounds: { type: 'integer', minimum: 1, maximum: 10 },
+                    timeout: ref('TimeoutMs'),
+                    encrypted: {
+                        type: 'array',
+                        items: { type: 'string', enum: ['doh', 'doh-json', 'dot'] }
+                    }
+                }
+            }, { servers: ['8.8.8.8', '1.1.1.1'], domains: ['google.com'], rounds: 3 }),
+            responses: { 200: jsonResponse('Per-resolver statistics', ref('DnsBenchmarkResult')) }
+        })
+    },
+    '/api/traceroute': {
+        post: operation({
+            summary: 'Traceroute',
+            tags: ['Path'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Host'),
+                    maxHops: { type: 'integer', minimum: 1, maximum: 64 }
+                }
+            }, { host: 'google.com', maxHops: 30 }),
+            responses: { 200: jsonResponse('Hops', ref('TracerouteResult')) }
+        })
+    },
+    '/api/port-check': {
+        post: operation({
+            summary: 'Check whether one TCP port is open',
+            tags: ['Inspection'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host', 'port'],
+                properties: {
+                    host: ref('Host'),
+                    port: ref('Port'),
+                    timeout: ref('TimeoutMs'),
+                    detect: { type: 'boolean', description: 'Identify the service on an open port' }
+                }
+            }, { host: 'google.com', port: 443 }),
+            responses: { 200: jsonResponse('Port state', ref('PortCheckResult')) }
+        })
+    },
+    '/api/port-scan': {
+        post: operation({
+            summary: 'Scan a port list or range',
+            tags: ['Inspection'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host', 'ports'],
+                properties: {
+                    host: ref('Host'),
+                    ports: {
+                        description: `e.g. "22,80,443,8000-8010", at most MAX_PORTS_PER_SCAN (${LIMITS.maxScanPorts} here) ports`,
+                        oneOf: [
+                            { type: 'string', minLength: 1 },
+                            { type: 'array', minItems: 1, items: { type: ['integer', 'string'] } }
+                        ]
+                    },
+                    concurrency: { type: 'integer', minimum: 1 },
+                    timeout: ref('TimeoutMs'),
+                    detect: { type: 'boolean' }
+                }
+            }, { host: 'example.com', ports: '22,80,443,8000-8010', concurrency: 50, detect: true }),
+            responses: { 200: jsonResponse('State of every port', ref('PortScanResult')) }
+        })
+    },
+    '/api/batch-test': {
+        post: operation({
+            summary: 'HTTP ping several servers',
+            tags: ['Latency'],
+            body: jsonBody(ref('BatchTestRequest'), { servers: ['8.8.8.8', '1.1.1.1'], testsPerServer: 5, concurrency: 4 }),
+            responses: {
+                200: jsonResponse('Results in the order of `servers`', {
+                    type: 'object',
+                    required: ['results'],
+                    properties: {
+                        results: { type: 'array', items: ref('BatchServerResult') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        })
+    },
+    '/api/batch-test/stream': {
+        post: operation({
+            summary: 'HTTP ping several servers, streamed as Server-Sent Events',
+            description: 'Events: start, sample (per ping), server-complete (per server), complete, error. Close the connection to cancel.',
+            tags: ['Latency'],
+            body: jsonBody(ref('BatchTestRequest'), { servers: ['8.8.8.8', '1.1.1.1'], testsPerServer: 5 }),
+            responses: {
+                200: {
+                    description: 'Event stream',
+                    content: { 'text/event-stream': { schema: { type: 'string' } } }
+                }
+            }
+        })
+    },
+    '/api/monitors': {
+        get: operation({
+            summary: 'List monitors with their latest status',
+            tags: ['Monitors'],
+            scope: 'read',
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Monitors', {
+                    type: 'object',
+                    required: ['monitors'],
+                    properties: {
+                        monitors: { type: 'array', items: ref('Monitor') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        }),
+        post: operation({
+            summary: 'Create a monitor that keeps running on the server',
+            tags: ['Monitors'],
+            body: jsonBody({
+                type: 'object',
+                required: ['host'],
+                properties: {
+                    host: ref('Url'),
+                    method: { type: 'string', enum: ['http', 'tcp'] },
+                    port: ref('Port'),
+                    interval: { type: 'integer', minimum: 1, description: 'ms between checks' },
+                    name: { type: 'string', maxLength: 100 }
+                }
+            }, { host: 'https://example.com', method: 'http', interval: 60000, name: 'Example' }),
+            responses: { 201: jsonResponse('Created monitor', ref('Monitor')) }
+        })
+    },
+    '/api/monitors/{id}': {
+        get: operation({
+            summary: 'One monitor with its recent results',
+            tags: ['Monitors'],
+            scope: 'read',
+            parameters: [idParameter],
+            errors: [401, 403, 429],
+            responses: {
+                200: jsonResponse('Monitor', ref('Monitor')),
+                404: jsonResponse('No such monitor', ref('Error'))
+            }
+        }),
+        delete: operation({
+            summary: 'Delete a monitor',
+            tags: ['Monitors'],
+            parameters: [idParameter],
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Deleted', {
+                    type: 'object',
+                    required: ['deleted', 'id'],
+                    properties: {
+                        deleted: { type: 'boolean' },
+                        id: { type: 'string' }
+                    }
+                }),
+                404: jsonResponse('No such monitor', ref('Error'))
+            }
+        })
+    },
+    '/api/history': {
+        get: operation({
+            summary: 'Stored monitoring samples, aggregated into time buckets',
+            tags: ['Monitors'],
+            scope: 'read',
+            parameters: [
+                queryParameter('target', { type: 'string' }, 'Exact target, as monitored'),
+                queryParameter('method', { type: 'string' }, 'http, tcp, mtr or ping'),
+                queryParameter('port', ref('Port'), 'TCP port'),
+                queryParameter('source', { type: 'string', enum: ['session', 'monitor', 'schedule'] }, 'WebSocket sessions, persistent monitors or scheduled tests'),
+                queryParameter('from', { type: 'string' }, 'ISO 8601 or epoch ms (default: one hour before `to`)'),
+                queryParameter('to', { type: 'string' }, 'ISO 8601 or epoch ms (default: now)'),
+                queryParameter('bucket', { type: 'integer', minimum: 1 }, 'Bucket size in seconds (default: 60 buckets over the range)')
+            ],
+            responses: { 200: jsonResponse('Series per target, method and port', ref('HistoryResult')) }
+        })
+    },
+    '/api/schedules': {
+        get: operation({
+            summary: 'List scheduled tests with their latest run',
+            tags: ['Schedules'],
+            scope: 'read',
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Schedules', {
+                    type: 'object',
+                    required: ['schedules', 'types'],
+                    properties: {
+                        schedules: { type: 'array', items: ref('Schedule') },
+                        types: { type: 'array', items: ref('ScheduleType') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        }),
+        post: operation({
+            summary: 'Schedule a probe to run on a cron expression',
+            tags: ['Schedules'],
+            body: jsonBody({
+                type: 'object',
+                required: ['cron', 'type', 'params'],
+                properties: SCHEDULE_PROPERTIES
+            }, { name: 'Resolvers', cron: '0 * * * *', type: 'dns-benchmark', params: { servers: ['8.8.8.8', '1.1.1.1'] } }),
+            responses: { 201: jsonResponse('Created schedule', ref('Schedule')) }
+        })
+    },
+    '/api/schedules/{id}': {
+        get: operation({
+            summary: 'One scheduled test',
+            tags: ['Schedules'],
+            scope: 'read',
+            parameters: [idParameter],
+            errors: [401, 403, 429],
+            responses: {
+                200: jsonResponse('Schedule', ref('Schedule')),
+                404: jsonResponse('No such schedule', ref('Error'))
+            }
+        }),
+        patch: operation({
+            summary: 'Change or pause a scheduled test',
+            description: 'Fields left out keep their value. Changing `type` needs new `params`.',
+            tags: ['Schedules'],
+            parameters: [idParameter],
+            body: jsonBody({
+                type: 'object',
+                properties: SCHEDULE_PROPERTIES
+            }, { enabled: false }),
+            responses: {
+                200: jsonResponse('Updated schedule', ref('Schedule')),
+                404: jsonResponse('No such schedule', ref('Error'))
+            }
+        }),
+        delete: operation({
+            summary: 'Delete a scheduled test and its stored runs',
+            tags: ['Schedules'],
+            parameters: [idParameter],
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Deleted', {
+                    type: 'object',
+                    required: ['deleted', 'id'],
+                    properties: {
+                        deleted: { type: 'boolean' },
+                        id: { type: 'string' }
+                    }
+                }),
+                404: jsonResponse('No such schedule', ref('Error'))
+            }
+        })
+    },
+    '/api/schedules/{id}/runs': {
+        get: operation({
+            summary: 'Stored runs of a scheduled test with their results, newest first',
+            tags: ['Schedules'],
+            scope: 'read',
+            parameters: [
+                idParameter,
+                queryParameter('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Runs to return (default: all stored, at most 100)')
+            ],
+            responses: {
+                200: jsonResponse('Runs', {
+                    type: 'object',
+                    required: ['id', 'runs'],
+                    properties: {
+                        id: { type: 'string' },
+                        runs: { type: 'array', items: ref('ScheduleRun') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                404: jsonResponse('No such schedule', ref('Error'))
+            }
+        })
+    },
+    '/api/schedules/{id}/run': {
+        post: operation({
+            summary: 'Run a scheduled test now and wait for the result',
+            tags: ['Schedules'],
+            parameters: [idParameter],
+            responses: {
+                200: jsonResponse('The run', ref('ScheduleRun')),
+                404: jsonResponse('No such schedule', ref('Error'))
+            }
+        })
+    },
+    '/api/webhooks': {
+        get: operation({
+            summary: 'List alert webhooks (without secrets)',
+            tags: ['Alerts'],
+            scope: 'read',
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Webhooks', {
+                    type: 'object',
+                    required: ['webhooks', 'templates'],
+                    properties: {
+                        webhooks: { type: 'array', items: ref('Webhook') },
+                        templates: { type: 'array', items: ref('WebhookTemplate') },
+                        defaultThresholds: ref('AlertThresholds'),
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        }),
+        post: operation({
+            summary: 'Add a webhook for monitor and schedule alerts',
+            description: 'Bodies are signed: X-NLA-Signature is "sha256=" + hex HMAC-SHA256 of "<X-NLA-Timestamp>.<body>" with the secret.',
+            tags: ['Alerts'],
+            body: jsonBody({
+                type: 'object',
+                required: ['url'],
+                properties: WEBHOOK_PROPERTIES
+            }, { name: 'Ops channel', url: 'https://hooks.slack.com/services/T000/B000/XXXX', template: 'slack', thresholds: { latency: 200, loss: 5 } }),
+            responses: { 201: jsonResponse('Created webhook, with its secret', ref('Webhook')) }
+        })
+    },
+    '/api/webhooks/{id}': {
+        get: operation({
+            summary: 'One webhook',
+            tags: ['Alerts'],
+            scope: 'read',
+            parameters: [idParameter],
+            errors: [401, 403, 429],
+            responses: {
+                200: jsonResponse('Webhook', ref('Webhook')),
+                404: jsonResponse('No such webhook', ref('Error'))
+            }
+        }),
+        patch: operation({
+            summary: 'Change, pause or re-key a webhook',
+            description: 'Fields left out keep their value; `thresholds` are merged. Open alerts are cleared.',
+            tags: ['Alerts'],
+            parameters: [idParameter],
+            body: jsonBody({
+                type: 'object',
+                properties: WEBHOOK_PROPERTIES
+            }, { thresholds: { jitter: null } }),
+            responses: {
+                200: jsonResponse('Updated webhook', ref('Webhook')),
+                404: jsonResponse('No such webhook', ref('Error'))
+            }
+        }),
+        delete: operation({
+            summary: 'Delete a webhook and its delivery log',
+            tags: ['Alerts'],
+            parameters: [idParameter],
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Deleted', {
+                    type: 'object',
+                    required: ['deleted', 'id'],
+                    properties: {
+                        deleted: { type: 'boolean' },
+                        id: { type: 'string' }
+                    }
+                }),
+                404: jsonResponse('No such webhook', ref('Error'))
+            }
+        })
+    },
+    '/api/webhooks/{id}/test': {
+        post: operation({
+            summary: 'Send a test event',
+            tags: ['Alerts'],
+            parameters: [idParameter],
+            errors: [401, 403, 429],
+            responses: {
+                202: jsonResponse('Pending delivery, retried in the background', ref('WebhookDelivery')),
+                404: jsonResponse('No such webhook', ref('Error'))
+            }
+        })
+    },
+    '/api/webhooks/{id}/deliveries': {
+        get: operation({
+            summary: 'Delivery log of a webhook, newest first',
+            tags: ['Alerts'],
+            scope: 'read',
+            parameters: [
+                idParameter,
+                queryParameter('limit', { type: 'integer', minimum: 1, maximum: 200 }, 'Deliveries to return (default: all kept, at most 200 across webhooks)')
+            ],
+            responses: {
+                200: jsonResponse('Deliveries', {
+                    type: 'object',
+                    required: ['id', 'deliveries'],
+                    properties: {
+                        id: { type: 'string' },
+                        deliveries: { type: 'array', items: ref('WebhookDelivery') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                404: jsonResponse('No such webhook', ref('Error'))
+            }
+        })
+    },
+    '/api/alerts': {
+        get: operation({
+            summary: 'Alerts firing now',
+            tags: ['Alerts'],
+            scope: 'read',
+            errors: [401, 403, 429],
+            responses: {
+                200: jsonResponse('Firing alerts, one per webhook', {
+                    type: 'object',
+                    required: ['alerts'],
+                    properties: {
+                        alerts: { type: 'array', items: ref('Alert') },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        })
+    },
+    '/api/speedtest/download': {
+        get: operation({
+            summary: 'Stream random bytes for a download throughput test',
+            tags: ['Throughput'],
+            errors: [401, 403, 429],
+            parameters: [
+                queryParameter('bytes', { type: 'integer', minimum: 1 }, 'Payload size, capped at 200 MiB')
+            ],
+            responses: {
+                200: {
+                    description: 'Random payload',
+                    content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+                }
+            }
+        })
+    },
+    '/api/speedtest/upload': {
+        post: operation({
+            summary: 'Consume an upload and report its throughput',
+            tags: ['Throughput'],
+            errors: [401, 403, 429],
+            body: {
+                required: true,
+                content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } }
+            },
+            responses: {
+                200: jsonResponse('Bytes received and rate', {
+                    type: 'object',
+                    required: ['bytes', 'duration'],
+                    properties: {
+                        bytes: { type: 'integer' },
+                        duration: { type: 'number', description: 'ms' },
+                        mbps: nullable('number'),
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                }),
+                413: jsonResponse('Payload over 200 MiB', ref('Error'))
+            }
+        })
+    },
+    '/api/network-stats': {
+        get: operation({
+            summary: 'Network statistics of the server (netstat/ss -s)',
+            tags: ['Service'],
+            scope: 'read',
+            errors: [401, 403, 429, 500],
+            responses: {
+                200: jsonResponse('Raw statistics', {
+                    type: 'object',
+                    required: ['platform'],
+                    properties: {
+                        raw: { type: 'string' },
+                        error: { type: 'string' },
+                        platform: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                })
+            }
+        })
+    }
+};
+
+function errorResponse(description) {
+    return jsonResponse(description, ref('Error'));
+}
+
+const openApiSpec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Network Analyzer API',
+        version: '1.0.0',
+        description: 'Latency, DNS, path and throughput measurements. '
+            + 'Real-time monitoring, MTR and streamed traceroutes use the WebSocket on the same port (see the README).'
+    },
+    tags: [
+        { name: 'Latency' },
+        { name: 'DNS' },
+        { name: 'Path' },
+        { name: 'Inspection' },
+        { name: 'Throughput' },
+        { name: 'Monitors' },
+        { name: 'Schedules' },
+        { name: 'Alerts' },
+        { name: 'Service' }
+    ],
+    paths,
+    components: {
+        schemas,
+        responses: {
+            BadRequest: errorResponse('Invalid request body or parameters'),
+            Unauthorized: errorResponse('Missing or unknown API key (only when the server sets API_KEYS)'),
+            Forbidden: errorResponse('The API key lacks the required scope'),
+            TooManyRequests: errorResponse('Rate limit exceeded, see Retry-After'),
+            ServerError: errorResponse('The measurement failed')
+        },
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+    }
+};
+
+// Interactive explorer (Swagger UI from a CDN, nothing to install) for the document at `specUrl`
+function renderExplorer(specUrl) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Network Analyzer API Explorer</title>
+    <meta charset="utf-8">
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({
+            url: '${specUrl}',
+            dom_id: '#swagger-ui',
+            deepLinking: true,
+            persistAuthorization: true
+        });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    openApiSpec,
+    renderExplorer
+};
@@ -0,0 +1,196 @@
+// rate-limit.js - Per-client request rate limits and size quotas for REST and WebSocket clients
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Every limit can be tuned per deployment through the environment
+const LIMITS = {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 60000),
+    // Continuous tests and the bufferbloat test send up to 5 requests a second
+    maxRequests: envInt('RATE_LIMIT_MAX', 300),
+    maxBatchServers: envInt('MAX_BATCH_SERVERS', 20),
+    maxProbes: envInt('MAX_PROBES_PER_REQUEST', 100),
+    maxScanPorts: envInt('MAX_PORTS_PER_SCAN', 1024),
+    // Download plus upload per window; a full test on a 1 Gbit/s link moves about 2 GiB
+    maxSpeedtestBytes: envInt('SPEEDTEST_MAX_MB', 2048) * 1024 * 1024,
+    maxSessionsPerSocket: envInt('MAX_WS_SESSIONS', 5),
+    maxConnectionsPerClient: envInt('MAX_WS_CONNECTIONS', 10),
+    minMonitorInterval: envInt('MIN_MONITOR_INTERVAL_MS', 500),
+    maxMonitors: envInt('MAX_MONITORS', 20),
+    maxSchedules: envInt('MAX_SCHEDULES', 20),
+    maxWebhooks: envInt('MAX_WEBHOOKS', 10),
+    // Reverse proxies in front of the server (Render adds one)
+    trustProxy: envInt('TRUST_PROXY', 0)
+};
+
+class QuotaError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'QuotaError';
+        this.status = options.status || 429;
+        this.limit = options.limit !== undefined ? options.limit : null;
+        this.retryAfter = options.retryAfter !== undefined ? options.retryAfter : null;
+    }
+}
+
+// JSON body shared by the REST responses and WebSocket error messages
+function quotaResponse(error) {
+    return {
+        error: error.status === 429 ? 'Too many requests' : 'Limit exceeded',
+        message: error.message,
+        limit: error.limit,
+        retryAfter: error.retryAfter
+    };
+}
+
+function sendQuotaError(res, error) {
+    if (error.retryAfter !== null) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status).json(quotaResponse(error));
+}
+
+// Fixed-window counter per client key. consume() throws a QuotaError with the
+// seconds until the window resets once the client is over its budget. `cost`
+// lets one limiter meter something other than requests (e.g. bytes).
+function createRateLimiter({ windowMs = LIMITS.windowMs, max = LIMITS.maxRequests, unit = 'requests' } = {}) {
+    const windows = new Map();
+
+    // Forget clients whose window has ended so the map does not grow forever
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows.entries()) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    function consume(key, cost = 1) {
+        const now = Date.now();
+        let entry = windows.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            windows.set(key, entry);
+        }
+
+        const retryAfter = Math.max(Math.ceil((entry.resetAt - now) / 1000), 1);
+
+        if (entry.count + cost > max) {
+            throw new QuotaError(
+                `Rate limit of ${max} ${unit} per ${windowMs / 1000}s exceeded, retry in ${retryAfter}s`,
+                { limit: max, retryAfter }
+            );
+        }
+
+        entry.count += cost;
+        return { limit: max, remaining: max - entry.count, reset: retryAfter };
+    }
+
+    // Throws the QuotaError consume() would, without counting anything
+    function check(key, cost = 1) {
+        const entry = windows.get(key);
+        if (entry && entry.resetAt > Date.now() && entry.count + cost > max) {
+            consume(key, cost);
+        }
+    }
+
+    return { windowMs, max, consume, check };
+}
+
+// Requests authenticated with an API key share one budget; others are counted per IP
+function getClientKey(req) {
+    return req.apiKey ? `key:${req.apiKey}` : `ip:${req.ip}`;
+}
+
+// Client address of a raw HTTP request (the WebSocket upgrade), honouring
+// the same number of trusted proxy hops as Express' req.ip
+function getClientAddress(req, trustedHops = LIMITS.trustProxy) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+    const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+
+    return chain[Math.min(trustedHops, chain.length - 1)];
+}
+
+// Express middleware counting every request against the client's budget
+function rateLimit(limiter, options = {}) {
+    const { skip = () => false } = options;
+
+    return (req, res, next) => {
+        if (skip(req)) return next();
+
+        try {
+            const { limit, remaining, reset } = limiter.consume(getClientKey(req));
+            res.set({
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': String(remaining),
+                'RateLimit-Reset': String(reset)
+            });
+            next();
+        } catch (error) {
+            sendQuotaError(res, error);
+        }
+    };
+}
+
+// Throws a QuotaError (400) unless `value` is an integer between 1 and `max`.
+// Undefined passes so the route default applies.
+function checkCount(name, value, max = LIMITS.maxProbes) {
+    if (value === undefined) return;
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        throw new QuotaError(`${name} must be between 1 and ${max}`, { status: 400, limit: max });
+    }
+}
+
+// Express middleware applying checkCount to req.body[field]
+function limitCount(field, max = LIMITS.maxProbes) {
+    return (req, res, next) => {
+        try {
+            checkCount(field, req.body ? req.body[field] : undefined, max);
+            next();
+        } catch (error) {
+            sendQuotaError(res, error);
+        }
+    };
+}
+
+// Throws a QuotaError (400) if `value` is an array longer than `max`
+function checkList(name, value, max = LIMITS.maxBatchServers) {
+    if (Array.isArray(value) && value.length > max) {
+        throw new QuotaError(`At most ${max} ${name} per request`, { status: 400, limit: max });
+    }
+}
+
+// Express middleware applying checkList to req.body[field]
+function limitList(field, max = LIMITS.maxBatchServers) {
+    return (req, res, next) => {
+        try {
+            checkList(field, req.body ? req.body[field] : undefined, max);
+            next();
+        } catch (error) {
+            sendQuotaError(res, error);
+        }
+    };
+}
+
+module.exports = {
+    LIMITS,
+    QuotaError,
+    quotaResponse,
+    sendQuotaError,
+    createRateLimiter,
+    getClientKey,
+    getClientAddress,
+    rateLimit,
+    checkCount,
+    limitCount,
+    checkList,
+    limitList
+};
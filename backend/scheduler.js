@@ -0,0 +1,294 @@
+// scheduler.js - Recurring probe runs on cron schedules, persisted with their recent results
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CronError, parseCron, nextRun } = require('./cron');
+const { DATA_DIR } = require('./data-dir');
+
+const DEFAULT_FILE = path.join(DATA_DIR, 'schedules.json');
+const RUN_HISTORY_SIZE = 100; // runs kept per schedule
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout's limit (~24.8 days)
+
+// Fields saved to disk; everything else is runtime state
+const DEFINITION_FIELDS = ['id', 'name', 'cron', 'type', 'params', 'enabled', 'createdAt'];
+
+// Write `data` as JSON through a temporary file, so a crash mid-write keeps the previous file
+async function writeJsonAtomic(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.promises.rename(temporary, file);
+}
+
+// `jobs` maps a schedule type to { run(params), summarize(result) }; run
+// resolves to the result to store. `onRun(definition, run)` sees every
+// finished run, e.g. to feed the history store.
+function createScheduler(options = {}) {
+    const {
+        file = process.env.SCHEDULES_FILE || DEFAULT_FILE,
+        jobs,
+        onRun = () => {}
+    } = options;
+    const runsDir = path.join(path.dirname(file), 'schedule-runs');
+
+    const schedules = new Map();
+    // Saves run one after another so an older snapshot never overwrites a newer one
+    let saving = Promise.resolve();
+
+    function save() {
+        const definitions = [...schedules.values()].map(schedule => schedule.definition);
+
+        saving = saving
+            .then(() => writeJsonAtomic(file, definitions))
+            .catch((error) => {
+                console.error('Failed to save schedules:', error.message);
+            });
+
+        return saving;
+    }
+
+    function runsFile(id) {
+        return path.join(runsDir, `${id}.json`);
+    }
+
+    function saveRuns(schedule) {
+        schedule.savingRuns = schedule.savingRuns
+            .then(() => writeJsonAtomic(runsFile(schedule.definition.id), schedule.runs))
+            .catch((error) => {
+                console.error(`Failed to save runs of schedule ${schedule.definition.id}:`, error.message);
+            });
+        return schedule.savingRuns;
+    }
+
+    async function execute(schedule, trigger) {
+        const { definition } = schedule;
+        const job = jobs[definition.type];
+
+        // A slow run (e.g. a long traceroute) must not overlap the next one
+        if (schedule.running) return null;
+        schedule.running = true;
+
+        const startedAt = new Date();
+        let run;
+        try {
+            const result = await job.run(definition.params);
+            run = {
+                startedAt: startedAt.toISOString(),
+                duration: Date.now() - startedAt.getTime(),
+                trigger,
+                success: true,
+                summary: job.summarize(result),
+                result
+            };
+        } catch (error) {
+            run = {
+                startedAt: startedAt.toISOString(),
+                duration: Date.now() - startedAt.getTime(),
+                trigger,
+                success: false,
+                summary: error.message,
+                error: error.message
+            };
+        }
+
+        schedule.running = false;
+        // Deleted while running
+        if (schedules.get(definition.id) !== schedule) return run;
+
+        schedule.runs.push(run);
+        if (schedule.runs.length > RUN_HISTORY_SIZE) {
+            schedule.runs.shift();
+        }
+        await saveRuns(schedule);
+        onRun(definition, run);
+        return run;
+    }
+
+    function arm(schedule) {
+        clearTimeout(schedule.timer);
+        schedule.timer = null;
+        schedule.nextRunAt = null;
+
+        if (!schedule.definition.enabled) return;
+
+        const next = nextRun(schedule.cron);
+        if (!next) return;
+
+        schedule.nextRunAt = next;
+        const delay = next.getTime() - Date.now();
+
+        // Far-off runs re-check when the longest possible timer fires
+        schedule.timer = setTimeout(async () => {
+            if (delay > MAX_TIMER_DELAY) return arm(schedule);
+            arm(schedule);
+            await execute(schedule, 'cron');
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    function start(definition, runs = []) {
+        const schedule = {
+            definition,
+            cron: parseCron(definition.cron),
+            timer: null,
+            nextRunAt: null,
+            running: false,
+            runs,
+            savingRuns: Promise.resolve()
+        };
+
+        schedules.set(definition.id, schedule);
+        arm(schedule);
+        return schedule;
+    }
+
+    // Throws CronError for an unknown type or an expression that never matches
+    function checkDefinition(definition) {
+        if (!jobs[definition.type]) {
+            throw new CronError(`Unknown schedule type "${definition.type}" (use ${Object.keys(jobs).join(', ')})`);
+        }
+        if (!nextRun(parseCron(definition.cron))) {
+            throw new CronError(`Cron expression "${definition.cron}" never matches`);
+        }
+    }
+
+    function summarize(schedule) {
+        const { definition, runs } = schedule;
+        const last = runs.length > 0 ? runs[runs.length - 1] : null;
+
+        return {
+            ...definition,
+            nextRunAt: schedule.nextRunAt ? schedule.nextRunAt.toISOString() : null,
+            running: schedule.running,
+            // The latest run without its full result
+            lastRun: last ? { ...last, result: undefined } : null,
+            runCount: runs.length
+        };
+    }
+
+    // Restart the schedules saved by a previous run, with their stored runs
+    async function load() {
+        let definitions;
+
+        try {
+            definitions = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw new Error(`Cannot read schedules from ${file}: ${error.message}`);
+        }
+
+        for (const definition of definitions) {
+            if (!definition || !definition.id || schedules.has(definition.id)) continue;
+
+            let runs = [];
+            try {
+                runs = JSON.parse(await fs.promises.readFile(runsFile(definition.id), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Cannot read runs of schedule ${definition.id}:`, error.message);
+                }
+            }
+
+            try {
+                checkDefinition(definition);
+                start(definition, runs);
+            } catch (error) {
+                console.error(`Skipping schedule ${definition.id}:`, error.message);
+            }
+        }
+        return schedules.size;
+    }
+
+    // `definition` ({ name, cron, type, params, enabled }) has validated params
+    async function create(definition) {
+        const complete = {
+            ...Object.fromEntries(DEFINITION_FIELDS.map(field => [field, definition[field]])),
+            id: crypto.randomUUID(),
+            enabled: definition.enabled !== false,
+            createdAt: new Date().toISOString()
+        };
+
+        checkDefinition(complete);
+        const schedule = start(complete);
+        await save();
+        return summarize(schedule);
+    }
+
+    // Change some of name, cron, type, params and enabled; null if unknown
+    async function update(id, changes) {
+        const schedule = schedules.get(id);
+        if (!schedule) return null;
+
+        const definition = { ...schedule.definition };
+        for (const field of ['name', 'cron', 'type', 'params', 'enabled']) {
+            if (changes[field] !== undefined) definition[field] = changes[field];
+        }
+
+        checkDefinition(definition);
+        schedule.definition = definition;
+        schedule.cron = parseCron(definition.cron);
+        arm(schedule);
+        await save();
+        return summarize(schedule);
+    }
+
+    async function remove(id) {
+        const schedule = schedules.get(id);
+        if (!schedule) return false;
+
+        clearTimeout(schedule.timer);
+        schedules.delete(id);
+        await save();
+        await schedule.savingRuns;
+        await fs.promises.rm(runsFile(id), { force: true });
+        return true;
+    }
+
+    // Run a schedule now, outside its cron times; resolves to the run or null
+    async function runNow(id) {
+        const schedule = schedules.get(id);
+        if (!schedule) return null;
+        if (schedule.running) {
+            throw new CronError('This schedule is already running');
+        }
+        return execute(schedule, 'manual');
+    }
+
+    function get(id) {
+        const schedule = schedules.get(id);
+        return schedule ? summarize(schedule) : null;
+    }
+
+    // Newest first, at most `limit`
+    function getRuns(id, limit = RUN_HISTORY_SIZE) {
+        const schedule = schedules.get(id);
+        return schedule ? schedule.runs.slice(-limit).reverse() : null;
+    }
+
+    function list() {
+        return [...schedules.values()].map(summarize);
+    }
+
+    function stopAll() {
+        for (const schedule of schedules.values()) {
+            clearTimeout(schedule.timer);
+        }
+    }
+
+    return {
+        file,
+        types: Object.keys(jobs),
+        load,
+        create,
+        update,
+        remove,
+        runNow,
+        get,
+        getRuns,
+        list,
+        stopAll
+    };
+}
+
+module.exports = {
+    createScheduler
+};
@@ -3,20 +3,88 @@ const cors = require('cors');
 const path = require('path');
 const ping = require('ping');
 const dns = require('dns').promises;
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
 const fs = require('fs');
+const crypto = require('crypto');
+const dnsMessage = require('./dns-message');
+const { DNS_BENCHMARK_DOMAINS, ENCRYPTED_DNS_PROTOCOLS, performDnsBenchmark } = require('./dns-benchmark');
+const udpEcho = require('./udp-echo');
+const { detectService } = require('./service-detect');
+const { parseTraceroute } = require('./traceroute-parser');
+const { TargetError, parseTarget, normalizeTarget, requireTarget } = require('./target');
+const { runCommand, spawnCommand } = require('./command');
+const {
+    LIMITS,
+    QuotaError,
+    quotaResponse,
+    sendQuotaError,
+    createRateLimiter,
+    getClientKey,
+    getClientAddress,
+    rateLimit,
+    checkCount,
+    limitCount,
+    checkList,
+    limitList
+} = require('./rate-limit');
+const { AuthError, isAuthEnabled, authorize, authenticate, describeAuth } = require('./auth');
+const { createMonitorManager } = require('./monitors');
+const { HistoryQueryError, createHistoryStore } = require('./history-store');
+const { WebhookError, createAlertManager } = require('./alerts');
+const { CronError } = require('./cron');
+const { createScheduler } = require('./scheduler');
+const { openApiSpec, renderExplorer } = require('./openapi');
+const { ValidationError, validationError, validateRequestBody, validateRequests } = require('./validation');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createProbeStats, recordProbe, createProcessMetrics, renderMetrics } = require('./metrics');
 
-const execAsync = promisify(exec);
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
+
+// Client IPs come from X-Forwarded-For only behind trusted proxies (TRUST_PROXY hops)
+app.set('trust proxy', LIMITS.trustProxy);
+
+// One request budget per client, shared by the REST API and WebSocket actions
+const clientRateLimiter = createRateLimiter();
+
+// Speed test traffic is metered in bytes, download and upload together
+const speedtestBudget = createRateLimiter({ max: LIMITS.maxSpeedtestBytes, unit: 'bytes of speed test traffic' });
+
+// REST and WebSocket counters exported on /metrics
+const processMetrics = createProcessMetrics();
+
+// Browser origins allowed to call the API (CORS_ORIGINS, comma-separated); open when unset
+const corsOrigins = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : null;
 
 // Middleware
-app.use(cors());
+app.use(cors(corsOrigins ? { origin: corsOrigins } : {}));
 app.use(express.json());
+// Malformed JSON gets the same 400 as any other invalid request, not Express' HTML page
+app.use((error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') return next(error);
+    res.status(400).json(validationError([{ path: 'body', message: `is not valid JSON: ${error.message}` }]));
+});
+app.use('/api', processMetrics.countRequests);
+
+// API keys (API_KEYS): GET routes need "read", everything that runs a probe needs "probe".
+// Rejected keys count against the client IP's request budget.
+app.use('/api', authenticate(
+    req => req.method === 'GET' && !req.path.startsWith('/speedtest/') ? 'read' : 'probe',
+    { skip: req => req.path === '/auth', failures: clientRateLimiter }
+));
+
+// Throughput tests issue many short requests; speedtestBudget meters their bytes instead
+app.use('/api', rateLimit(clientRateLimiter, { skip: req => req.path.startsWith('/speedtest/') }));
+
+// Bodies and query strings must match openapi.js (400 otherwise). Responses
+// that do not are logged, or replaced by a 500 with OPENAPI_STRICT_RESPONSES=1.
+app.use(validateRequests(openApiSpec, { strictResponses: process.env.OPENAPI_STRICT_RESPONSES === '1' }));
 
 // Serve static files from the root directory
 app.use(express.static(path.join(__dirname, '../')));
@@ -24,6 +92,165 @@ app.use(express.static(path.join(__dirname, '../')));
 // Store active monitoring sessions
 const monitoringSessions = new Map();
 
+// Streamed traceroutes by traceId, so they can be cancelled
+const tracerouteSessions = new Map();
+
+// Probe statistics of persistent monitors for /metrics, by monitor id
+const monitorStats = new Map();
+
+// Every monitoring sample, kept on disk for GET /api/history (HISTORY_DIR)
+const historyStore = createHistoryStore();
+
+// Threshold alerts on monitor and schedule results, POSTed to the webhooks in WEBHOOKS_FILE
+const alertManager = createAlertManager();
+
+// Persistent monitors (/api/monitors): not tied to a WebSocket, saved to MONITORS_FILE
+const monitorManager = createMonitorManager({
+    probe: async ({ host, method, port }) => {
+        const result = method === 'tcp'
+            ? await performTcpPing(host, port, 1)
+            : await performHttpPing(host, 1);
+        return { alive: result.alive, time: result.avg };
+    },
+    onResult: (definition, result) => {
+        if (!monitorStats.has(definition.id)) {
+            monitorStats.set(definition.id, createProbeStats());
+        }
+        const subject = getMonitorSubject(definition);
+        recordResult(monitorStats.get(definition.id), subject, result);
+        alertManager.evaluate({ ...subject, name: definition.name }, result);
+    }
+});
+
+// Bundled UDP echo reflector (opt-in, most PaaS hosts do not route UDP)
+let udpReflector = null;
+
+// Servers pinged in parallel by a batch test
+const BATCH_DEFAULT_CONCURRENCY = 4;
+const BATCH_MAX_CONCURRENCY = 10;
+
+// Probes a schedule can run. `params` is the body of `route`: prepare()
+// normalizes it like the route's middleware (throwing TargetError,
+// QuotaError or ValidationError), run() resolves to the route's response
+// and summarize() reduces that to one line for the schedule list.
+const SCHEDULE_JOBS = {
+    ping: {
+        route: '/api/ping',
+        prepare: (params) => {
+            checkCount('count', params.count);
+            return { ...params, host: normalizeTarget(params.host) };
+        },
+        run: ({ host, count = 4, timeout = 2 }) => performPing(host, count, timeout),
+        summarize: (result) => {
+            const avg = Number(result.avg);
+            return result.alive && Number.isFinite(avg)
+                ? `${avg.toFixed(1)} ms avg, ${Number(result.packetLoss || 0).toFixed(0)}% loss`
+                : 'No reply';
+        }
+    },
+    'dns-lookup': {
+        route: '/api/dns-lookup',
+        prepare: (params) => {
+            const unsupported = getDnsRecordTypes(params.types || ['A', 'AAAA']).filter(type => !DNS_RECORD_TYPES.includes(type));
+            if (unsupported.length > 0) {
+                throw new ValidationError([{ path: 'params.types', message: `has unsupported record type ${unsupported.join(', ')}` }]);
+            }
+            return {
+                ...params,
+                hostname: normalizeTarget(params.hostname),
+                ...(params.server ? { server: normalizeTarget(params.server, { allowPort: true }) } : {})
+            };
+        },
+        run: ({ hostname, types = ['A', 'AAAA'], server, timeout = 2000 }) => performDnsLookup(hostname, getDnsRecordTypes(types), server, timeout),
+        summarize: result => `${result.addresses.length} address(es) in ${result.lookupTime} ms`
+    },
+    'dns-benchmark': {
+        route: '/api/dns-benchmark',
+        prepare: (params) => {
+            const { rounds = 3, encrypted = [] } = params;
+            checkList('servers', params.servers);
+            checkList('domains', params.domains);
+            checkCount('rounds', params.rounds, 10);
+
+            const domains = (params.domains || DNS_BENCHMARK_DOMAINS).map(domain => normalizeTarget(domain));
+            if (domains.length * rounds > LIMITS.maxProbes) {
+                throw new QuotaError(`At most ${LIMITS.maxProbes} queries per resolver (domains x rounds)`, { status: 400, limit: LIMITS.maxProbes });
+            }
+
+            const unsupported = encrypted.filter(protocol => !ENCRYPTED_DNS_PROTOCOLS.includes(protocol));
+            if (unsupported.length > 0) {
+                throw new ValidationError([{ path: 'params.encrypted', message: `has unsupported protocol ${unsupported.join(', ')}` }]);
+            }
+            return { ...params, servers: params.servers.map(validateDnsServer), domains };
+        },
+        run: async ({ servers, domains, rounds = 3, timeout = 2000, encrypted = [] }) => ({
+            results: await performDnsBenchmark(servers, domains, rounds, timeout, encrypted),
+            domains,
+            rounds,
+            encrypted,
+            timestamp: new Date().toISOString()
+        }),
+        summarize: (result) => {
+            const fastest = result.results
+                .filter(entry => entry.avg !== null && entry.avg !== undefined)
+                .sort((a, b) => a.avg - b.avg)[0];
+            return fastest
+                ? `Fastest: ${fastest.server} (${fastest.avg.toFixed(1)} ms)`
+                : 'No resolver answered';
+        }
+    },
+    traceroute: {
+        route: '/api/traceroute',
+        prepare: params => ({ ...params, host: normalizeTarget(params.host) }),
+        run: async ({ host, maxHops = 30 }) => {
+            const hops = await performTraceroute(host, maxHops);
+            return {
+                host,
+                hops,
+                totalHops: hops.length,
+                timestamp: new Date().toISOString()
+            };
+        },
+        summarize: result => `${result.totalHops} hop(s)`
+    },
+    'batch-test': {
+        route: '/api/batch-test',
+        prepare: (params) => {
+            checkList('servers', params.servers);
+            checkCount('testsPerServer', params.testsPerServer);
+            checkCount('concurrency', params.concurrency, BATCH_MAX_CONCURRENCY);
+            return { ...params, servers: params.servers.map(server => normalizeTarget(server, { keepUrl: true })) };
+        },
+        run: async ({ servers, testsPerServer = 5, concurrency = BATCH_DEFAULT_CONCURRENCY }) => ({
+            results: await performBatchTest(servers, testsPerServer, { concurrency }),
+            timestamp: new Date().toISOString()
+        }),
+        summarize: result => `${result.results.filter(entry => entry.alive).length}/${result.results.length} server(s) reachable`
+    }
+};
+
+// Scheduled tests (/api/schedules): saved to SCHEDULES_FILE with their recent runs
+const scheduler = createScheduler({
+    jobs: SCHEDULE_JOBS,
+    // Latency results also go to /api/history and the webhook alerts
+    onRun: (definition, run) => {
+        if (!run.success) return;
+
+        const samples = definition.type === 'ping'
+            ? [{ ...run.result, target: definition.params.host, method: 'ping' }]
+            : definition.type === 'batch-test'
+                ? run.result.results.map(entry => ({ ...entry, target: entry.server, method: 'http' }))
+                : [];
+
+        for (const { target, method, alive, avg, error } of samples) {
+            const time = Number(avg);
+            const result = { alive, time: alive && Number.isFinite(time) ? time : null, error };
+            historyStore.append({ target, method, source: 'schedule', ...result, timestamp: run.startedAt });
+            alertManager.evaluate({ source: 'schedule', name: `${definition.name} (${target})`, target, method }, result);
+        }
+    }
+});
+
 // ==================== REST API Endpoints ====================
 
 // Root endpoint
@@ -49,23 +276,89 @@ app.get('/', (req, res) => {
                 <h1>Network Analyzer Backend API</h1>
                 <div class="endpoints">
                     <h2>Available Endpoints:</h2>
+                    <p>Full reference: <a href="/docs">API explorer</a> (<a href="/openapi.json">OpenAPI document</a>)</p>
                     <div class="endpoint">
                         <strong>GET /health</strong> - Health check
                     </div>
+                    <div class="endpoint">
+                        <strong>GET /metrics</strong> - Prometheus metrics (OpenMetrics): per-target latency histograms, loss and error counters, request and WebSocket counters
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET /api/auth</strong> - Whether an API key is required and the scopes of the one sent
+                        <br>Header: <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key: &lt;key&gt;</code>
+                    </div>
                     <div class="endpoint">
                         <strong>POST /api/ping</strong> - Ping a host
                         <br>Body: <code>{ "host": "google.com", "count": 4 }</code>
                     </div>
+                    <div class="endpoint">
+                        <strong>POST /api/tcp-ping</strong> - TCP handshake latency
+                        <br>Body: <code>{ "host": "google.com", "port": 443, "count": 4 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/dual-stack</strong> - IPv4 vs IPv6 connect latency and Happy Eyeballs prediction
+                        <br>Body: <code>{ "host": "google.com", "port": 443, "count": 4 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/http-timing</strong> - HTTP phase timing (DNS, connect, TLS, TTFB, download)
+                        <br>Body: <code>{ "host": "https://google.com", "count": 3 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/tls-inspect</strong> - TLS handshake and certificate chain
+                        <br>Body: <code>{ "host": "google.com", "port": 443 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/udp-probe</strong> - UDP echo RTT, loss, reordering, duplicates
+                        <br>Body: <code>{ "host": "reflector.example.com", "port": 5005, "count": 20, "interval": 100 }</code>
+                    </div>
                     <div class="endpoint">
                         <strong>POST /api/dns-lookup</strong> - DNS lookup
-                        <br>Body: <code>{ "hostname": "google.com" }</code>
+                        <br>Body: <code>{ "hostname": "google.com", "types": ["A", "AAAA", "MX"] }</code> (or <code>"types": "ALL"</code>)
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/port-scan</strong> - Scan a port list or range
+                        <br>Body: <code>{ "host": "example.com", "ports": "22,80,443,8000-8010", "concurrency": 50, "detect": true }</code>
                     </div>
                     <div class="endpoint">
                         <strong>POST /api/batch-test</strong> - Test multiple servers
-                        <br>Body: <code>{ "servers": ["8.8.8.8", "1.1.1.1"] }</code>
+                        <br>Body: <code>{ "servers": ["8.8.8.8", "1.1.1.1"], "testsPerServer": 5, "concurrency": 4 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/batch-test/stream</strong> - Same, streamed as Server-Sent Events (start, sample, server-complete, complete)
+                        <br>Close the connection to cancel
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET/POST /api/monitors</strong>, <strong>GET/DELETE /api/monitors/:id</strong> - Monitors that keep running on the server
+                        <br>Body: <code>{ "host": "https://example.com", "method": "http", "interval": 60000, "name": "Example" }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET/POST /api/schedules</strong>, <strong>GET/PATCH/DELETE /api/schedules/:id</strong>, <strong>GET /api/schedules/:id/runs</strong>, <strong>POST /api/schedules/:id/run</strong> - Tests run on a cron schedule
+                        <br>Body: <code>{ "cron": "*/5 * * * *", "type": "batch-test", "params": { "servers": ["8.8.8.8", "1.1.1.1"] } }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET/POST /api/webhooks</strong>, <strong>GET/PATCH/DELETE /api/webhooks/:id</strong>, <strong>POST /api/webhooks/:id/test</strong>, <strong>GET /api/webhooks/:id/deliveries</strong>, <strong>GET /api/alerts</strong> - Signed webhook alerts on monitor and schedule thresholds
+                        <br>Body: <code>{ "url": "https://hooks.slack.com/services/...", "template": "slack", "thresholds": { "latency": 200, "loss": 5 } }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET /api/history</strong> - Stored monitoring samples, aggregated per bucket (avg, p50, p95, p99, loss)
+                        <br>Query: <code>?target=google.com&amp;method=http&amp;from=2024-01-01T00:00:00Z&amp;to=2024-01-01T06:00:00Z&amp;bucket=300</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/dns-benchmark</strong> - Benchmark DNS resolvers with real queries
+                        <br>Body: <code>{ "servers": ["8.8.8.8", "1.1.1.1"], "domains": ["google.com"], "rounds": 3 }</code>
+                    </div>
+                    <div class="endpoint">
+                        <strong>GET /api/speedtest/download?bytes=N</strong> - Stream N random bytes
+                    </div>
+                    <div class="endpoint">
+                        <strong>POST /api/speedtest/upload</strong> - Consume an <code>application/octet-stream</code> body
                     </div>
                     <div class="endpoint">
                         <strong>WebSocket</strong> - ws://localhost:3001 for real-time monitoring
+                        <br>MTR: <code>{ "action": "start-mtr", "host": "google.com", "sessionId": "mtr-1", "interval": 1000 }</code>
+                        <br>Traceroute: <code>{ "action": "traceroute", "host": "google.com", "traceId": "trace-1" }</code> (cancel with <code>"cancel-traceroute"</code>)
+                        <br>Monitors: <code>{ "action": "attach-monitor", "monitorId": "..." }</code> (and <code>"detach-monitor"</code>)
+                        <br>With API keys enabled connect to <code>ws://localhost:3001/?apiKey=&lt;key&gt;</code> (needs the probe scope)
                     </div>
                 </div>
             </body>
@@ -80,98 +373,319 @@ app.get('/health', (req, res) => {
         status: 'OK',
         timestamp: new Date().toISOString(),
         service: 'Network Analyzer API',
-        version: '1.0.0'
+        version: '1.0.0',
+        udpReflectorPort: udpReflector ? udpReflector.port : null
     });
 });
 
+// OpenAPI document and an interactive explorer for it
+app.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+
+app.get('/docs', (req, res) => {
+    res.send(renderExplorer('/openapi.json'));
+});
+
+// Prometheus scrape endpoint: probe results of every active monitoring session
+// and monitor, plus process counters. Needs the read scope when API keys are on.
+app.get('/metrics', authenticate('read', { failures: clientRateLimiter }), (req, res) => {
+    try {
+        const sessionTargets = [...monitoringSessions.entries()].map(([sessionId, session]) => ({
+            labels: { source: 'session', id: sessionId, target: session.host, method: session.method },
+            stats: session.metrics
+        }));
+        const monitorTargets = monitorManager.list().map(monitor => ({
+            labels: { source: 'monitor', id: monitor.id, target: monitor.host, method: monitor.method },
+            stats: monitorStats.get(monitor.id) || createProbeStats()
+        }));
+        
+        res.set('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(renderMetrics([...sessionTargets, ...monitorTargets], processMetrics));
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'Metrics failed', 
+            message: error.message 
+        });
+    }
+});
+
+// Stored monitoring samples, aggregated into time buckets per target and method
+app.get('/api/history', async (req, res) => {
+    let query;
+    try {
+        query = historyStore.parseQuery(req.query);
+    } catch (error) {
+        if (!(error instanceof HistoryQueryError)) throw error;
+        return res.status(400).json({ error: 'Invalid history query', message: error.message });
+    }
+    
+    try {
+        const series = await historyStore.query(query);
+        
+        res.json({
+            from: new Date(query.from).toISOString(),
+            to: new Date(query.to).toISOString(),
+            bucket: query.bucket / 1000,
+            target: query.target,
+            method: query.method,
+            port: query.port,
+            series,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'History query failed', 
+            message: error.message 
+        });
+    }
+});
+
+// Whether the API needs a key, and what the presented key (if any) grants
+app.get('/api/auth', (req, res) => {
+    res.json(describeAuth(req));
+});
+
 // Ping endpoint with detailed metrics
-app.post('/api/ping', async (req, res) => {
+app.post('/api/ping', requireTarget('host'), limitCount('count'), async (req, res) => {
     try {
         const { host, count = 4, timeout = 2 } = req.body;
+
+        console.log(`Pinging ${host}...`);
         
-        if (!host) {
-            return res.status(400).json({ error: 'Host is required' });
+        const result = await performPing(host, count, timeout);
+        res.json(result);
+    } catch (error) {
+        console.error('Ping error:', error);
+        res.status(500).json({ 
+            error: 'Ping failed', 
+            message: error.message 
+        });
+    }
+});
+
+// TCP connect latency endpoint (handshake timing, works where ICMP is blocked)
+app.post('/api/tcp-ping', requireTarget('host'), limitCount('count'), async (req, res) => {
+    try {
+        const { host, port = 443, count = 4, timeout = 2000 } = req.body;
+
+        const portNumber = parseInt(port);
+        if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
         }
 
-        console.log(`Pinging ${host}...`);
+        console.log(`TCP ping ${host}:${portNumber}...`);
         
-        // Try ICMP ping first (may not work on Render)
-        try {
-            const result = await ping.promise.probe(host, {
-                min_reply: count,
-                timeout: timeout,
-                extra: ['-i', '0.2']
-            });
+        const result = await performTcpPing(host, portNumber, count, timeout);
+        res.json(result);
+    } catch (error) {
+        console.error('TCP ping error:', error);
+        res.status(500).json({ 
+            error: 'TCP ping failed', 
+            message: error.message 
+        });
+    }
+});
 
-            const detailedPing = await performDetailedPing(host, count);
-            
-            res.json({
-                alive: result.alive,
-                host: result.host,
-                ip: result.numeric_host,
-                time: result.time,
-                min: result.min,
-                max: result.max,
-                avg: result.avg,
-                stddev: result.stddev,
-                packetLoss: result.packetLoss || detailedPing.packetLoss,
-                times: detailedPing.times,
-                jitter: calculateJitter(detailedPing.times),
-                timestamp: new Date().toISOString()
-            });
-        } catch (icmpError) {
-            // Fallback to HTTP ping if ICMP fails
-            console.log('ICMP ping failed, using HTTP fallback');
-            const httpPing = await performHttpPing(host, count);
-            res.json(httpPing);
+// Dual-stack comparison: TCP connect latency over IPv4 vs IPv6
+app.post('/api/dual-stack', requireTarget('host'), limitCount('count'), async (req, res) => {
+    try {
+        const { host, port = 443, count = 4, timeout = 2000 } = req.body;
+
+        const portNumber = parseInt(port);
+        if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
         }
+
+        console.log(`Dual-stack test ${host}:${portNumber}...`);
+        
+        const result = await performDualStackTest(host, portNumber, count, timeout);
+        res.json(result);
     } catch (error) {
-        console.error('Ping error:', error);
+        console.error('Dual-stack test error:', error);
         res.status(500).json({ 
-            error: 'Ping failed', 
+            error: 'Dual-stack test failed', 
+            message: error.message 
+        });
+    }
+});
+
+// HTTP timing breakdown endpoint (DNS, connect, TLS, TTFB, download)
+app.post('/api/http-timing', requireTarget('host', { keepUrl: true }), limitCount('count'), async (req, res) => {
+    try {
+        const { host, count = 3, timeout = 5000, method = 'GET' } = req.body;
+
+        const requestMethod = String(method).toUpperCase();
+        if (!['GET', 'HEAD'].includes(requestMethod)) {
+            return res.status(400).json({ error: 'Method must be GET or HEAD' });
+        }
+
+        console.log(`HTTP timing ${host}...`);
+        
+        const result = await performHttpTiming(host, count, timeout, requestMethod);
+        res.json(result);
+    } catch (error) {
+        console.error('HTTP timing error:', error);
+        res.status(500).json({ 
+            error: 'HTTP timing failed', 
+            message: error.message 
+        });
+    }
+});
+
+// TLS handshake and certificate inspection endpoint
+app.post('/api/tls-inspect', requireTarget('host'), async (req, res) => {
+    try {
+        const { host, port = 443, timeout = 5000 } = req.body;
+
+        const portNumber = parseInt(port);
+        if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
+        }
+
+        console.log(`TLS inspect ${host}:${portNumber}...`);
+        
+        const result = await inspectTls(host, portNumber, timeout);
+        res.json(result);
+    } catch (error) {
+        console.error('TLS inspect error:', error);
+        res.status(500).json({ 
+            error: 'TLS inspection failed', 
+            message: error.message 
+        });
+    }
+});
+
+// UDP echo probe endpoint (needs a reflector on the target, see udp-echo.js)
+app.post('/api/udp-probe', requireTarget('host'), limitCount('count'), async (req, res) => {
+    try {
+        const { 
+            host, 
+            port = udpEcho.DEFAULT_PORT, 
+            count = 20, 
+            interval = 100, 
+            size = 64, 
+            timeout = 1000 
+        } = req.body;
+
+        const portNumber = parseInt(port);
+        if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
+        }
+
+        console.log(`UDP probe ${host}:${portNumber}...`);
+        
+        const result = await udpEcho.performUdpProbe(host, {
+            port: portNumber,
+            count,
+            interval,
+            size,
+            timeout
+        });
+        res.json(result);
+    } catch (error) {
+        if (error instanceof udpEcho.UdpProbeError) {
+            return res.status(400).json({ error: 'Invalid UDP probe', message: error.message });
+        }
+        console.error('UDP probe error:', error);
+        res.status(500).json({ 
+            error: 'UDP probe failed', 
             message: error.message 
         });
     }
 });
 
 // DNS lookup endpoint
-app.post('/api/dns-lookup', async (req, res) => {
+app.post('/api/dns-lookup', requireTarget('hostname'), requireTarget('server', { allowPort: true, optional: true }), async (req, res) => {
     try {
-        const { hostname } = req.body;
+        const { hostname, types = ['A', 'AAAA'], server, timeout = 2000 } = req.body;
+
+        const requestedTypes = getDnsRecordTypes(types);
         
-        if (!hostname) {
-            return res.status(400).json({ error: 'Hostname is required' });
+        const unsupported = requestedTypes.filter(type => !DNS_RECORD_TYPES.includes(type));
+        if (unsupported.length > 0) {
+            return res.status(400).json({ 
+                error: `Unsupported record type: ${unsupported.join(', ')}`,
+                supported: DNS_RECORD_TYPES
+            });
         }
         
-        const startTime = Date.now();
-        const addresses = await dns.resolve4(hostname);
-        const lookupTime = Date.now() - startTime;
+        const result = await performDnsLookup(hostname, requestedTypes, server, timeout);
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'DNS lookup failed', 
+            message: error.message 
+        });
+    }
+});
+
+// DNS resolver benchmark - real queries against each resolver
+app.post('/api/dns-benchmark', limitList('servers'), limitList('domains'), limitCount('rounds', 10), async (req, res) => {
+    try {
+        const { 
+            rounds = 3, 
+            timeout = 2000,
+            encrypted = []
+        } = req.body;
+        let { servers, domains = DNS_BENCHMARK_DOMAINS } = req.body;
         
-        const servers = await dns.getServers();
+        if (!Array.isArray(servers) || servers.length === 0) {
+            return res.status(400).json({ error: 'Servers array is required' });
+        }
+        
+        if (!Array.isArray(domains) || domains.length === 0) {
+            return res.status(400).json({ error: 'Domains array must not be empty' });
+        }
+        
+        try {
+            servers = servers.map(validateDnsServer);
+            domains = domains.map(domain => normalizeTarget(domain));
+        } catch (error) {
+            if (!(error instanceof TargetError)) throw error;
+            return res.status(400).json({ error: 'Invalid DNS server or domain', message: error.message });
+        }
+        
+        if (domains.length * rounds > LIMITS.maxProbes) {
+            return res.status(400).json({ 
+                error: 'Limit exceeded',
+                message: `At most ${LIMITS.maxProbes} queries per resolver (domains x rounds)`,
+                limit: LIMITS.maxProbes
+            });
+        }
+        
+        const unsupported = encrypted.filter(protocol => !ENCRYPTED_DNS_PROTOCOLS.includes(protocol));
+        if (unsupported.length > 0) {
+            return res.status(400).json({ 
+                error: `Unsupported protocol: ${unsupported.join(', ')}`,
+                supported: ENCRYPTED_DNS_PROTOCOLS
+            });
+        }
+
+        console.log(`DNS benchmark: ${servers.length} resolvers x ${domains.length} domains`);
+        
+        const results = await performDnsBenchmark(servers, domains, rounds, timeout, encrypted);
         
         res.json({
-            hostname,
-            addresses,
-            lookupTime,
-            dnsServers: servers,
+            results,
+            domains,
+            rounds,
+            encrypted,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        console.error('DNS benchmark error:', error);
         res.status(500).json({ 
-            error: 'DNS lookup failed', 
+            error: 'DNS benchmark failed', 
             message: error.message 
         });
     }
 });
 
 // Traceroute endpoint
-app.post('/api/traceroute', async (req, res) => {
+app.post('/api/traceroute', requireTarget('host'), async (req, res) => {
     try {
         const { host, maxHops = 30 } = req.body;
-        
-        if (!host) {
-            return res.status(400).json({ error: 'Host is required' });
-        }
 
         console.log(`Traceroute to ${host}...`);
         
@@ -201,12 +715,26 @@ app.post('/api/traceroute', async (req, res) => {
 });
 
 // Port check endpoint
-app.post('/api/port-check', async (req, res) => {
+app.post('/api/port-check', requireTarget('host'), async (req, res) => {
     try {
-        const { host, port, timeout = 2000 } = req.body;
+        const { host, port, timeout = 2000, detect = false } = req.body;
+        
+        if (!port) {
+            return res.status(400).json({ error: 'Port is required' });
+        }
         
-        if (!host || !port) {
-            return res.status(400).json({ error: 'Host and port are required' });
+        if (detect) {
+            const { address } = await dns.lookup(host);
+            const result = await scanPort(address, parseInt(port), timeout, { detect: true, host });
+            
+            return res.json({
+                host,
+                port,
+                open: result.state === 'open',
+                time: result.time,
+                detected: result.detected || null,
+                timestamp: new Date().toISOString()
+            });
         }
         
         const isOpen = await checkPort(host, port, timeout);
@@ -225,77 +753,581 @@ app.post('/api/port-check', async (req, res) => {
     }
 });
 
-// Batch test multiple servers
-app.post('/api/batch-test', async (req, res) => {
+// Scan a list or range of ports with bounded concurrency
+app.post('/api/port-scan', requireTarget('host'), async (req, res) => {
     try {
-        const { servers, testsPerServer = 5 } = req.body;
+        const { host, ports, concurrency = 50, timeout = 2000, detect = false } = req.body;
         
-        if (!Array.isArray(servers) || servers.length === 0) {
-            return res.status(400).json({ error: 'Servers array is required' });
+        if (!ports) {
+            return res.status(400).json({ error: 'Ports are required' });
         }
-
-        const results = await Promise.all(
-            servers.map(async (server) => {
-                try {
-                    const pingResult = await performHttpPing(server, testsPerServer);
-                    return {
-                        server,
-                        success: true,
-                        ...pingResult
-                    };
-                } catch (error) {
-                    return {
-                        server,
-                        success: false,
-                        error: error.message
-                    };
-                }
-            })
+        
+        const portList = parsePortList(ports);
+        if (!portList) {
+            return res.status(400).json({ error: 'Invalid port list', message: 'Use numbers 1-65535 and ranges like 8000-8010' });
+        }
+        if (portList.length > LIMITS.maxScanPorts) {
+            return res.status(400).json({ error: `At most ${LIMITS.maxScanPorts} ports per scan` });
+        }
+        
+        const result = await performPortScan(
+            host,
+            portList,
+            Math.min(Math.max(parseInt(concurrency) || 50, 1), PORT_SCAN_MAX_CONCURRENCY),
+            Math.min(Math.max(parseInt(timeout) || 2000, 100), 10000),
+            Boolean(detect)
         );
-
-        res.json({
-            results,
-            timestamp: new Date().toISOString()
-        });
+        res.json(result);
     } catch (error) {
+        console.error('Port scan error:', error);
         res.status(500).json({ 
-            error: 'Batch test failed', 
+            error: 'Port scan failed', 
             message: error.message 
         });
     }
 });
 
-// Network statistics endpoint
-app.get('/api/network-stats', async (req, res) => {
+// Batch test multiple servers
+app.post('/api/batch-test', limitList('servers'), requireTarget('servers', { list: true, keepUrl: true }), limitCount('testsPerServer'), limitCount('concurrency', BATCH_MAX_CONCURRENCY), async (req, res) => {
     try {
-        const stats = await getNetworkStatistics();
-        res.json(stats);
+        const { servers, testsPerServer = 5, concurrency = BATCH_DEFAULT_CONCURRENCY } = req.body;
+
+        const results = await performBatchTest(servers, testsPerServer, { concurrency });
+
+        res.json({
+            results,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
         res.status(500).json({ 
-            error: 'Failed to get network statistics', 
+            error: 'Batch test failed', 
             message: error.message 
         });
     }
 });
 
-// Serve static files - Fixed for Node.js v22
-app.get('/*', (req, res) => {
-    const indexPath = path.join(__dirname, '../index.html');
-    if (fs.existsSync(indexPath)) {
-        res.sendFile(indexPath);
-    } else {
+// Batch test streamed as Server-Sent Events: "start", then "sample" per ping
+// and "server-complete" per server, then "complete". Closing the connection
+// cancels the remaining pings.
+app.post('/api/batch-test/stream', limitList('servers'), requireTarget('servers', { list: true, keepUrl: true }), limitCount('testsPerServer'), limitCount('concurrency', BATCH_MAX_CONCURRENCY), async (req, res) => {
+    const { servers, testsPerServer = 5, concurrency = BATCH_DEFAULT_CONCURRENCY } = req.body;
+    const controller = new AbortController();
+    const startTime = Date.now();
+    let completed = 0;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    res.on('close', () => controller.abort());
+    
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    
+    console.log(`Streaming batch test: ${servers.length} servers x ${testsPerServer}`);
+    sendEvent('start', { servers, testsPerServer, concurrency });
+    
+    try {
+        const results = await performBatchTest(servers, testsPerServer, {
+            concurrency,
+            signal: controller.signal,
+            onSample: (server, sample) => sendEvent('sample', { server, ...sample }),
+            onResult: (result) => {
+                completed++;
+                sendEvent('server-complete', { ...result, completed, total: servers.length });
+            }
+        });
+        
+        sendEvent('complete', {
+            results,
+            cancelled: controller.signal.aborted,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Batch stream error:', error);
+        sendEvent('error', { error: 'Batch test failed', message: error.message });
+    }
+    
+    res.end();
+});
+
+// List persistent monitors with their latest status
+app.get('/api/monitors', (req, res) => {
+    res.json({
+        monitors: monitorManager.list(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Create a monitor that keeps running on the server (and after restarts)
+app.post('/api/monitors', requireTarget('host', { keepUrl: true }), async (req, res) => {
+    try {
+        const { host, method = 'http', port = 443, interval = 60000, name } = req.body;
+
+        if (!['http', 'tcp'].includes(method)) {
+            return res.status(400).json({ error: 'Method must be http or tcp' });
+        }
+
+        const portNumber = parseInt(port);
+        if (isNaN(portNumber) || portNumber < 1 || portNumber > 65535) {
+            return res.status(400).json({ error: 'Port must be between 1 and 65535' });
+        }
+
+        if (monitorManager.list().length >= LIMITS.maxMonitors) {
+            const error = new QuotaError(
+                `At most ${LIMITS.maxMonitors} monitors, delete one first`,
+                { limit: LIMITS.maxMonitors }
+            );
+            return res.status(error.status).json(quotaResponse(error));
+        }
+
+        // TCP monitors connect to the bare host, HTTP ones keep the URL
+        const target = method === 'tcp' ? parseTarget(host).host : host;
+        const monitor = await monitorManager.create({
+            name: name ? String(name).slice(0, 100) : target,
+            host: target,
+            method,
+            port: portNumber,
+            interval: getMonitorInterval(interval)
+        });
+
+        console.log(`Created monitor ${monitor.id} for ${monitor.host} (${method})`);
+        res.status(201).json(monitor);
+    } catch (error) {
+        console.error('Monitor create error:', error);
+        res.status(500).json({ 
+            error: 'Failed to create monitor', 
+            message: error.message 
+        });
+    }
+});
+
+// One monitor with its recent results
+app.get('/api/monitors/:id', (req, res) => {
+    const monitor = monitorManager.get(req.params.id);
+
+    if (!monitor) {
+        return res.status(404).json({ error: 'Monitor not found' });
+    }
+    res.json(monitor);
+});
+
+app.delete('/api/monitors/:id', async (req, res) => {
+    try {
+        const monitor = monitorManager.get(req.params.id);
+        const removed = await monitorManager.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Monitor not found' });
+        }
+        monitorStats.delete(req.params.id);
+        alertManager.forget(getMonitorSubject(monitor));
+
+        console.log(`Deleted monitor ${req.params.id}`);
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'Failed to delete monitor', 
+            message: error.message 
+        });
+    }
+});
+
+// List scheduled tests with their next and latest run
+app.get('/api/schedules', (req, res) => {
+    res.json({
+        schedules: scheduler.list(),
+        types: scheduler.types,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Create a test that runs on a cron expression (and after restarts)
+app.post('/api/schedules', async (req, res) => {
+    try {
+        const { name, cron, type, enabled = true } = req.body;
+
+        if (scheduler.list().length >= LIMITS.maxSchedules) {
+            const error = new QuotaError(
+                `At most ${LIMITS.maxSchedules} schedules, delete one first`,
+                { limit: LIMITS.maxSchedules }
+            );
+            return res.status(error.status).json(quotaResponse(error));
+        }
+
+        const params = prepareScheduleParams(type, req.body.params);
+        const schedule = await scheduler.create({
+            name: name || [type, params.host || params.hostname].filter(Boolean).join(' '),
+            cron,
+            type,
+            params,
+            enabled
+        });
+
+        console.log(`Created schedule ${schedule.id}: ${type} at "${cron}"`);
+        res.status(201).json(schedule);
+    } catch (error) {
+        sendScheduleError(res, error, 'Failed to create schedule');
+    }
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+    const schedule = scheduler.get(req.params.id);
+
+    if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+});
+
+// Stored runs with their full results, newest first
+app.get('/api/schedules/:id/runs', (req, res) => {
+    const runs = scheduler.getRuns(req.params.id, parseInt(req.query.limit) || undefined);
+
+    if (!runs) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({
+        id: req.params.id,
+        runs,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.patch('/api/schedules/:id', async (req, res) => {
+    try {
+        const current = scheduler.get(req.params.id);
+
+        if (!current) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        const { name, cron, type = current.type, enabled } = req.body;
+        if (type !== current.type && req.body.params === undefined) {
+            return res.status(400).json({ error: 'Changing the type needs new params' });
+        }
+
+        const params = req.body.params !== undefined
+            ? prepareScheduleParams(type, req.body.params)
+            : undefined;
+        const schedule = await scheduler.update(req.params.id, { name, cron, type, params, enabled });
+
+        console.log(`Updated schedule ${req.params.id}`);
+        res.json(schedule);
+    } catch (error) {
+        sendScheduleError(res, error, 'Failed to update schedule');
+    }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+    try {
+        const removed = await scheduler.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        console.log(`Deleted schedule ${req.params.id}`);
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'Failed to delete schedule', 
+            message: error.message 
+        });
+    }
+});
+
+// Run a schedule immediately; the response waits for the probe to finish
+app.post('/api/schedules/:id/run', async (req, res) => {
+    try {
+        const run = await scheduler.runNow(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        res.json(run);
+    } catch (error) {
+        sendScheduleError(res, error, 'Failed to run schedule');
+    }
+});
+
+// List alert webhooks (without their secrets) and the alerts firing now
+app.get('/api/webhooks', (req, res) => {
+    res.json({
+        webhooks: alertManager.list(),
+        templates: alertManager.templates,
+        defaultThresholds: alertManager.defaultThresholds,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Add a webhook; the response is the only one that includes its secret
+app.post('/api/webhooks', async (req, res) => {
+    try {
+        if (alertManager.list().length >= LIMITS.maxWebhooks) {
+            const error = new QuotaError(
+                `At most ${LIMITS.maxWebhooks} webhooks, delete one first`,
+                { limit: LIMITS.maxWebhooks }
+            );
+            return res.status(error.status).json(quotaResponse(error));
+        }
+
+        const webhook = await alertManager.create(req.body);
+
+        console.log(`Created webhook ${webhook.id} (${webhook.template}) for ${webhook.name}`);
+        res.status(201).json(webhook);
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(400).json({ error: 'Invalid webhook', message: error.message });
+        }
+        res.status(500).json({ 
+            error: 'Failed to create webhook', 
+            message: error.message 
+        });
+    }
+});
+
+app.get('/api/webhooks/:id', (req, res) => {
+    const webhook = alertManager.get(req.params.id);
+
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhook);
+});
+
+app.patch('/api/webhooks/:id', async (req, res) => {
+    try {
+        const webhook = await alertManager.update(req.params.id, req.body);
+
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        console.log(`Updated webhook ${req.params.id}`);
+        res.json(webhook);
+    } catch (error) {
+        if (error instanceof WebhookError) {
+            return res.status(400).json({ error: 'Invalid webhook', message: error.message });
+        }
+        res.status(500).json({ 
+            error: 'Failed to update webhook', 
+            message: error.message 
+        });
+    }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+    try {
+        const removed = await alertManager.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        console.log(`Deleted webhook ${req.params.id}`);
+        res.json({ deleted: true, id: req.params.id });
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'Failed to delete webhook', 
+            message: error.message 
+        });
+    }
+});
+
+// Send a test event. 202: the delivery and its retries continue in the
+// background, follow them in /api/webhooks/:id/deliveries
+app.post('/api/webhooks/:id/test', (req, res) => {
+    const delivery = alertManager.sendTest(req.params.id);
+
+    if (!delivery) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(202).json(delivery);
+});
+
+// Delivery log of a webhook with every attempt, newest first
+app.get('/api/webhooks/:id/deliveries', (req, res) => {
+    const deliveries = alertManager.getDeliveries(req.params.id, parseInt(req.query.limit) || undefined);
+
+    if (!deliveries) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({
+        id: req.params.id,
+        deliveries,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Alerts currently firing, per webhook
+app.get('/api/alerts', (req, res) => {
+    res.json({
+        alerts: alertManager.listFiring(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Throughput test: stream a random payload to the client
+app.get('/api/speedtest/download', (req, res) => {
+    const requested = parseInt(req.query.bytes) || SPEEDTEST_DEFAULT_BYTES;
+    const bytes = Math.min(Math.max(requested, 1), SPEEDTEST_MAX_BYTES);
+    let remaining = bytes;
+    let aborted = false;
+    
+    try {
+        speedtestBudget.consume(getClientKey(req), bytes);
+    } catch (error) {
+        return sendQuotaError(res, error);
+    }
+    
+    res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': bytes,
+        'Cache-Control': 'no-store'
+    });
+    
+    res.on('close', () => {
+        aborted = true;
+    });
+    
+    const writeChunks = () => {
+        while (remaining > 0 && !aborted) {
+            const size = Math.min(remaining, SPEEDTEST_CHUNK.length);
+            remaining -= size;
+            
+            if (!res.write(SPEEDTEST_CHUNK.subarray(0, size))) {
+                res.once('drain', writeChunks);
+                return;
+            }
+        }
+        
+        if (!aborted) {
+            res.end();
+        }
+    };
+    
+    writeChunks();
+});
+
+// Throughput test: consume an uploaded payload and report what arrived
+app.post('/api/speedtest/upload', (req, res) => {
+    const clientKey = getClientKey(req);
+    const startTime = process.hrtime.bigint();
+    let bytes = 0;
+    
+    req.on('data', (chunk) => {
+        // Already rejected, the connection is going away
+        if (res.headersSent) return;
+        
+        bytes += chunk.length;
+        
+        if (bytes > SPEEDTEST_MAX_BYTES) {
+            res.status(413).json({ error: 'Payload too large', maxBytes: SPEEDTEST_MAX_BYTES });
+            req.destroy();
+            return;
+        }
+        
+        try {
+            speedtestBudget.consume(clientKey, chunk.length);
+        } catch (error) {
+            sendQuotaError(res, error);
+            req.destroy();
+        }
+    });
+    
+    req.on('end', () => {
+        const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+        
+        res.json({
+            bytes,
+            duration,
+            mbps: duration > 0 ? (bytes * 8) / (duration / 1000) / 1e6 : null,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// Network statistics endpoint
+app.get('/api/network-stats', async (req, res) => {
+    try {
+        const stats = await getNetworkStatistics();
+        res.json(stats);
+    } catch (error) {
+        res.status(500).json({ 
+            error: 'Failed to get network statistics', 
+            message: error.message 
+        });
+    }
+});
+
+// Serve static files - Fixed for Node.js v22
+app.get('/*', (req, res) => {
+    const indexPath = path.join(__dirname, '../index.html');
+    if (fs.existsSync(indexPath)) {
+        res.sendFile(indexPath);
+    } else {
         res.status(404).json({ error: 'Page not found' });
     }
 });
 
 // ==================== WebSocket for Real-time Monitoring ====================
 
-wss.on('connection', (ws) => {
+// API keys on the upgrade request: header, or ?apiKey= from browsers. All
+// WebSocket actions run probes.
+function verifyWebSocketClient({ req }, done) {
+    try {
+        const key = authorize(req, 'probe', {
+            allowQuery: true,
+            failures: clientRateLimiter,
+            client: `ip:${getClientAddress(req)}`
+        });
+        req.apiKey = key ? key.name : null;
+        done(true);
+    } catch (error) {
+        if (!(error instanceof AuthError || error instanceof QuotaError)) throw error;
+        done(false, error.status, error.message);
+    }
+}
+
+wss.on('connection', (ws, req) => {
+    ws.clientAddress = getClientAddress(req);
+    ws.clientKey = req.apiKey ? `key:${req.apiKey}` : `ip:${ws.clientAddress}`;
+    // Persistent monitors this connection is attached to: monitorId -> unsubscribe
+    ws.monitorSubscriptions = new Map();
+    
+    const connections = [...wss.clients].filter(client => client.clientAddress === ws.clientAddress);
+    if (connections.length > LIMITS.maxConnectionsPerClient) {
+        ws.close(1008, `At most ${LIMITS.maxConnectionsPerClient} connections per client`);
+        return;
+    }
+    
     console.log('New WebSocket connection');
+    processMetrics.countWebSocket(ws);
     
     ws.on('message', async (message) => {
+        let data = {};
+        
         try {
-            const data = JSON.parse(message);
+            data = JSON.parse(message);
+            
+            // Same target rules as the REST routes for every action that takes a host
+            if (data.host !== undefined) {
+                data.host = normalizeTarget(data.host, {
+                    keepUrl: data.action === 'start-monitoring' && data.method !== 'tcp'
+                });
+            }
+            
+            checkWebSocketQuota(ws, data);
             
             switch (data.action) {
                 case 'start-monitoring':
@@ -310,6 +1342,34 @@ wss.on('connection', (ws) => {
                     await handleWebSocketPing(ws, data);
                     break;
                     
+                case 'udp-probe':
+                    await handleWebSocketUdpProbe(ws, data);
+                    break;
+                    
+                case 'start-mtr':
+                    await startMtr(ws, data);
+                    break;
+                    
+                case 'stop-mtr':
+                    stopMonitoring(ws, data.sessionId);
+                    break;
+                    
+                case 'traceroute':
+                    startStreamingTraceroute(ws, data);
+                    break;
+                    
+                case 'cancel-traceroute':
+                    cancelStreamingTraceroute(ws, data.traceId);
+                    break;
+                    
+                case 'attach-monitor':
+                    attachMonitor(ws, data.monitorId);
+                    break;
+                    
+                case 'detach-monitor':
+                    detachMonitor(ws, data.monitorId);
+                    break;
+                    
                 default:
                     ws.send(JSON.stringify({ 
                         error: 'Unknown action',
@@ -317,6 +1377,30 @@ wss.on('connection', (ws) => {
                     }));
             }
         } catch (error) {
+            if (error instanceof QuotaError) {
+                ws.send(JSON.stringify({ 
+                    ...quotaResponse(error),
+                    action: data.action,
+                    sessionId: data.sessionId,
+                    traceId: data.traceId,
+                    probeId: data.probeId
+                }));
+                return;
+            }
+            
+            if (error instanceof TargetError) {
+                // Echo the ids so the client can tell which request was rejected
+                ws.send(JSON.stringify({ 
+                    error: 'Invalid host',
+                    message: error.message,
+                    action: data.action,
+                    sessionId: data.sessionId,
+                    traceId: data.traceId,
+                    probeId: data.probeId
+                }));
+                return;
+            }
+            
             console.error('WebSocket error:', error);
             ws.send(JSON.stringify({ 
                 error: 'Processing failed',
@@ -333,27 +1417,68 @@ wss.on('connection', (ws) => {
                 monitoringSessions.delete(sessionId);
             }
         }
+        for (const [traceId, session] of tracerouteSessions.entries()) {
+            if (session.ws === ws) {
+                cancelStreamingTraceroute(ws, traceId);
+            }
+        }
+        // Persistent monitors keep running, only the subscriptions end
+        for (const unsubscribe of ws.monitorSubscriptions.values()) {
+            unsubscribe();
+        }
     });
 });
 
 // ==================== Helper Functions ====================
 
-// HTTP-based ping for compatibility
-async function performHttpPing(host, count = 4) {
+const SPEEDTEST_CHUNK = crypto.randomBytes(64 * 1024);
+const SPEEDTEST_DEFAULT_BYTES = 25 * 1024 * 1024;
+const SPEEDTEST_MAX_BYTES = 200 * 1024 * 1024;
+
+// ICMP ping (timeout in seconds), falling back to HTTP where ICMP is not
+// allowed (e.g. on Render)
+async function performPing(host, count = 4, timeout = 2) {
+    try {
+        const result = await ping.promise.probe(host, {
+            min_reply: count,
+            timeout: timeout,
+            extra: ['-i', '0.2']
+        });
+
+        const detailedPing = await performDetailedPing(host, count);
+        
+        return {
+            alive: result.alive,
+            host: result.host,
+            ip: result.numeric_host,
+            time: result.time,
+            min: result.min,
+            max: result.max,
+            avg: result.avg,
+            stddev: result.stddev,
+            packetLoss: result.packetLoss || detailedPing.packetLoss,
+            times: detailedPing.times,
+            jitter: calculateJitter(detailedPing.times),
+            timestamp: new Date().toISOString()
+        };
+    } catch (icmpError) {
+        console.log('ICMP ping failed, using HTTP fallback');
+        return performHttpPing(host, count);
+    }
+}
+
+// HTTP-based ping for compatibility. `onSample` gets { seq, time } after
+// each ping; an aborted `signal` stops before the next one.
+async function performHttpPing(host, count = 4, options = {}) {
+    const { onSample = () => {}, signal = null } = options;
     const times = [];
     let successCount = 0;
     
-    // Ensure host has protocol
-    if (!host.startsWith('http://') && !host.startsWith('https://')) {
-        // Check if it's an IP address
-        if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(host)) {
-            host = `http://${host}`;
-        } else {
-            host = `https://${host}`;
-        }
-    }
+    host = toHttpUrl(host);
     
     for (let i = 0; i < count; i++) {
+        if (signal && signal.aborted) break;
+        
         const startTime = Date.now();
         try {
             const controller = new AbortController();
@@ -373,17 +1498,108 @@ async function performHttpPing(host, count = 4) {
             times.push(null);
         }
         
+        onSample({ seq: i, time: times[i] });
+        
         // Small delay between pings
         await new Promise(resolve => setTimeout(resolve, 200));
     }
     
     const validTimes = times.filter(t => t !== null);
+    const sent = times.length;
     
     return {
         alive: successCount > 0,
         host: host.replace(/^https?:\/\//, ''),
         times,
         successCount,
+        totalCount: sent,
+        packetLoss: sent > 0 ? ((sent - successCount) / sent) * 100 : 100,
+        min: validTimes.length > 0 ? Math.min(...validTimes) : null,
+        max: validTimes.length > 0 ? Math.max(...validTimes) : null,
+        avg: validTimes.length > 0 ? 
+            validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
+        jitter: calculateJitter(validTimes),
+        timestamp: new Date().toISOString(),
+        method: 'HTTP'
+    };
+}
+
+// HTTP ping every server through a pool of `concurrency` workers. Results
+// keep the order of `servers`; servers not started before `signal` aborts
+// are left out.
+async function performBatchTest(servers, testsPerServer = 5, options = {}) {
+    const {
+        concurrency = BATCH_DEFAULT_CONCURRENCY,
+        signal = null,
+        onSample = () => {},
+        onResult = () => {}
+    } = options;
+    const results = new Array(servers.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < servers.length && !(signal && signal.aborted)) {
+            const index = next++;
+            const server = servers[index];
+            
+            try {
+                const pingResult = await performHttpPing(server, testsPerServer, {
+                    signal,
+                    onSample: (sample) => onSample(server, sample)
+                });
+                results[index] = {
+                    server,
+                    success: true,
+                    ...pingResult
+                };
+            } catch (error) {
+                results[index] = {
+                    server,
+                    success: false,
+                    error: error.message
+                };
+            }
+            
+            onResult(results[index]);
+        }
+    };
+    
+    await Promise.all(
+        Array.from({ length: Math.min(concurrency, servers.length) }, worker)
+    );
+    
+    return results.filter(Boolean);
+}
+
+// TCP handshake timing - the closest thing to RTT when ICMP is filtered
+async function performTcpPing(host, port = 443, count = 4, timeout = 2000) {
+    const times = [];
+    let successCount = 0;
+    
+    for (let i = 0; i < count; i++) {
+        const connectTime = await measureTcpConnect(host, port, timeout);
+        
+        if (connectTime !== null) {
+            times.push(connectTime);
+            successCount++;
+        } else {
+            times.push(null);
+        }
+        
+        // Small delay between connects
+        if (i < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    const validTimes = times.filter(t => t !== null);
+    
+    return {
+        alive: successCount > 0,
+        host,
+        port,
+        times,
+        successCount,
         totalCount: count,
         packetLoss: ((count - successCount) / count) * 100,
         min: validTimes.length > 0 ? Math.min(...validTimes) : null,
@@ -392,10 +1608,513 @@ async function performHttpPing(host, count = 4) {
             validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
         jitter: calculateJitter(validTimes),
         timestamp: new Date().toISOString(),
-        method: 'HTTP'
+        method: 'TCP'
+    };
+}
+
+// Time a single TCP handshake in milliseconds, null on failure or timeout
+function measureTcpConnect(host, port, timeout = 2000) {
+    return new Promise((resolve) => {
+        const socket = new net.Socket();
+        let startTime;
+        
+        socket.setTimeout(timeout);
+        
+        socket.on('lookup', () => {
+            // Exclude DNS resolution from the handshake time
+            startTime = process.hrtime.bigint();
+        });
+        
+        socket.on('connect', () => {
+            const elapsed = Number(process.hrtime.bigint() - startTime) / 1e6;
+            socket.destroy();
+            resolve(elapsed);
+        });
+        
+        socket.on('timeout', () => {
+            socket.destroy();
+            resolve(null);
+        });
+        
+        socket.on('error', () => {
+            socket.destroy();
+            resolve(null);
+        });
+        
+        startTime = process.hrtime.bigint();
+        socket.connect(port, host);
+    });
+}
+
+// Ensure host has protocol (plain IPs default to http, names to https)
+function toHttpUrl(host) {
+    if (host.startsWith('http://') || host.startsWith('https://')) {
+        return host;
+    }
+    
+    const family = net.isIP(host.replace(/^\[|\]$/g, ''));
+    if (family === 4) {
+        return `http://${host}`;
+    }
+    if (family === 6) {
+        return `http://[${host.replace(/^\[|\]$/g, '')}]`;
+    }
+    
+    return `https://${host}`;
+}
+
+// Resolve A and AAAA separately and time TCP connects to each family,
+// alternating rounds so both see the same network conditions
+async function performDualStackTest(host, port = 443, count = 4, timeout = 2000) {
+    const [resolved4, resolved6, systemOrder] = await Promise.all([
+        dns.resolve4(host).catch(() => []),
+        dns.resolve6(host).catch(() => []),
+        // `order` needs Node 20.13+/22.1+; older versions only read `verbatim`
+        dns.lookup(host, { all: true, order: 'verbatim', verbatim: true }).catch(() => [])
+    ]);
+    
+    // IP literals and hosts-file names only show up through the system resolver
+    const fromSystem = (family) => systemOrder.filter(entry => entry.family === family).map(entry => entry.address);
+    const ipv4Addresses = resolved4.length > 0 ? resolved4 : fromSystem(4);
+    const ipv6Addresses = resolved6.length > 0 ? resolved6 : fromSystem(6);
+    
+    if (ipv4Addresses.length === 0 && ipv6Addresses.length === 0) {
+        throw new Error(`No A or AAAA records for ${host}`);
+    }
+    
+    const families = [
+        { name: 'IPv4', addresses: ipv4Addresses, times: [] },
+        { name: 'IPv6', addresses: ipv6Addresses, times: [] }
+    ];
+    
+    for (let i = 0; i < count; i++) {
+        for (const family of families) {
+            if (family.addresses.length === 0) continue;
+            family.times.push(await measureTcpConnect(family.addresses[0], port, timeout));
+        }
+        
+        if (i < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    const [ipv4, ipv6] = families.map(summarizeFamilyProbe);
+    
+    let faster = null;
+    if (ipv4.alive && ipv6.alive) {
+        faster = ipv6.median <= ipv4.median ? 'IPv6' : 'IPv4';
+    } else if (ipv4.alive || ipv6.alive) {
+        faster = ipv4.alive ? 'IPv4' : 'IPv6';
+    }
+    
+    return {
+        host,
+        port,
+        ipv4,
+        ipv6,
+        faster,
+        difference: ipv4.alive && ipv6.alive ? Math.abs(ipv4.median - ipv6.median) : null,
+        systemPreference: systemOrder.length > 0 ? `IPv${systemOrder[0].family}` : null,
+        happyEyeballs: predictHappyEyeballs(ipv4, ipv6, systemOrder, faster),
+        timestamp: new Date().toISOString(),
+        method: 'TCP'
+    };
+}
+
+function summarizeFamilyProbe({ addresses, times }) {
+    if (addresses.length === 0) {
+        return { available: false, addresses, alive: false };
+    }
+    
+    const validTimes = times.filter(t => t !== null);
+    const sorted = [...validTimes].sort((a, b) => a - b);
+    
+    return {
+        available: true,
+        addresses,
+        address: addresses[0],
+        alive: validTimes.length > 0,
+        times,
+        successCount: validTimes.length,
+        totalCount: times.length,
+        packetLoss: ((times.length - validTimes.length) / times.length) * 100,
+        min: validTimes.length > 0 ? sorted[0] : null,
+        max: validTimes.length > 0 ? sorted[sorted.length - 1] : null,
+        avg: validTimes.length > 0 ?
+            validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
+        median: validTimes.length === 0 ? null
+            : sorted.length % 2 ? sorted[(sorted.length - 1) / 2]
+            : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2,
+        jitter: calculateJitter(validTimes)
+    };
+}
+
+// RFC 8305 connection attempt delay, used where Node cannot report its own (before 18.18/20.0)
+const HAPPY_EYEBALLS_ATTEMPT_DELAY = 250;
+
+// RFC 8305: connect to the first family in the system order, and start the
+// other one only if that has not connected within the attempt delay
+function predictHappyEyeballs(ipv4, ipv6, systemOrder, faster) {
+    const attemptDelay = typeof net.getDefaultAutoSelectFamilyAttemptTimeout === 'function'
+        ? net.getDefaultAutoSelectFamilyAttemptTimeout()
+        : HAPPY_EYEBALLS_ATTEMPT_DELAY;
+    const first = systemOrder.length > 0 && systemOrder[0].family === 4 ? 'IPv4' : 'IPv6';
+    const probes = { IPv4: ipv4, IPv6: ipv6 };
+    const second = first === 'IPv6' ? 'IPv4' : 'IPv6';
+    
+    let picks;
+    if (!probes[first].alive) {
+        picks = probes[second].alive ? second : null;
+    } else if (!probes[second].alive) {
+        picks = first;
+    } else {
+        picks = probes[first].median <= attemptDelay + probes[second].median ? first : second;
+    }
+    
+    return {
+        attemptDelay,
+        first,
+        picks,
+        picksFaster: picks !== null && picks === faster,
+        penalty: picks && faster && picks !== faster ?
+            probes[picks].median - probes[faster].median : 0
+    };
+}
+
+const HTTP_TIMING_PHASES = ['dns', 'connect', 'tls', 'ttfb', 'download', 'total'];
+const HTTP_TIMING_MAX_BODY = 1024 * 1024;
+
+// Per-phase HTTP timing over several fresh connections
+async function performHttpTiming(host, count = 3, timeout = 5000, method = 'GET') {
+    const url = toHttpUrl(host);
+    const attempts = [];
+    
+    for (let i = 0; i < count; i++) {
+        attempts.push(await measureHttpTiming(url, timeout, method));
+        
+        if (i < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    const successful = attempts.filter(a => !a.error);
+    const phases = {};
+    
+    for (const phase of HTTP_TIMING_PHASES) {
+        const values = successful.map(a => a.phases[phase]);
+        phases[phase] = {
+            min: values.length > 0 ? Math.min(...values) : null,
+            max: values.length > 0 ? Math.max(...values) : null,
+            avg: values.length > 0 ? 
+                values.reduce((a, b) => a + b, 0) / values.length : null
+        };
+    }
+    
+    return {
+        alive: successful.length > 0,
+        url,
+        method,
+        attempts,
+        phases,
+        successCount: successful.length,
+        totalCount: count,
+        packetLoss: ((count - successful.length) / count) * 100,
+        timestamp: new Date().toISOString()
     };
 }
 
+// Time one request over a new connection, split into phases (ms)
+function measureHttpTiming(url, timeout = 5000, method = 'GET') {
+    return new Promise((resolve) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const now = () => process.hrtime.bigint();
+        const ms = (from, to) => Number(to - from) / 1e6;
+        const marks = { start: now() };
+        let settled = false;
+        
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            resolve(result);
+        };
+        
+        const request = client.request(target, {
+            method,
+            agent: false,
+            headers: { 'User-Agent': 'Network-Analyzer/1.0' }
+        }, (response) => {
+            marks.firstByte = now();
+            let bytes = 0;
+            let truncated = false;
+            
+            const complete = () => {
+                marks.end = now();
+                const lookup = marks.lookup || marks.start;
+                const connect = marks.connect || lookup;
+                const secure = marks.secureConnect || connect;
+                
+                finish({
+                    statusCode: response.statusCode,
+                    httpVersion: response.httpVersion,
+                    remoteAddress: response.socket && response.socket.remoteAddress,
+                    bytes,
+                    truncated,
+                    phases: {
+                        dns: ms(marks.start, lookup),
+                        connect: ms(lookup, connect),
+                        tls: ms(connect, secure),
+                        ttfb: ms(secure, marks.firstByte),
+                        download: ms(marks.firstByte, marks.end),
+                        total: ms(marks.start, marks.end)
+                    }
+                });
+            };
+            
+            response.on('data', (chunk) => {
+                bytes += chunk.length;
+                if (bytes > HTTP_TIMING_MAX_BODY) {
+                    truncated = true;
+                    complete();
+                    response.destroy();
+                }
+            });
+            response.on('end', complete);
+            response.on('error', (error) => finish({ error: error.message }));
+        });
+        
+        request.setTimeout(timeout, () => {
+            request.destroy(new Error('Request timed out'));
+        });
+        
+        request.on('socket', (socket) => {
+            socket.on('lookup', () => { marks.lookup = now(); });
+            socket.on('connect', () => { marks.connect = now(); });
+            socket.on('secureConnect', () => { marks.secureConnect = now(); });
+        });
+        
+        request.on('error', (error) => finish({ error: error.message }));
+        request.end();
+    });
+}
+
+// Connect with TLS and report handshake timing, negotiated parameters and the certificate chain
+function inspectTls(host, port = 443, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const now = () => process.hrtime.bigint();
+        const ms = (from, to) => Number(to - from) / 1e6;
+        const marks = { start: now() };
+        
+        const socket = tls.connect({
+            host,
+            port,
+            servername: net.isIP(host) ? undefined : host,
+            ALPNProtocols: ['h2', 'http/1.1'],
+            // Inspect whatever the server presents, validity is reported separately
+            rejectUnauthorized: false
+        });
+        
+        socket.setTimeout(timeout);
+        
+        socket.on('lookup', () => { marks.lookup = now(); });
+        socket.on('connect', () => { marks.connect = now(); });
+        
+        socket.on('secureConnect', () => {
+            marks.secureConnect = now();
+            const lookup = marks.lookup || marks.start;
+            const connect = marks.connect || lookup;
+            const cipher = socket.getCipher();
+            
+            const result = {
+                host,
+                port,
+                remoteAddress: socket.remoteAddress,
+                timing: {
+                    dns: ms(marks.start, lookup),
+                    connect: ms(lookup, connect),
+                    handshake: ms(connect, marks.secureConnect),
+                    total: ms(marks.start, marks.secureConnect)
+                },
+                protocol: socket.getProtocol(),
+                cipher: cipher ? {
+                    name: cipher.name,
+                    standardName: cipher.standardName,
+                    version: cipher.version
+                } : null,
+                alpn: socket.alpnProtocol || null,
+                sessionReused: socket.isSessionReused(),
+                authorized: socket.authorized,
+                authorizationError: socket.authorizationError 
+                    ? String(socket.authorizationError) : null,
+                certificates: getCertificateChain(socket.getPeerCertificate(true)),
+                timestamp: new Date().toISOString()
+            };
+            
+            socket.end();
+            resolve(result);
+        });
+        
+        socket.on('timeout', () => {
+            socket.destroy();
+            reject(new Error(`TLS handshake timed out after ${timeout}ms`));
+        });
+        
+        socket.on('error', (error) => {
+            socket.destroy();
+            reject(error);
+        });
+    });
+}
+
+// Flatten a peer certificate and its issuers, leaf first
+function getCertificateChain(peerCertificate) {
+    const chain = [];
+    const seen = new Set();
+    let cert = peerCertificate;
+    
+    while (cert && cert.raw && !seen.has(cert.fingerprint256)) {
+        seen.add(cert.fingerprint256);
+        
+        const validTo = new Date(cert.valid_to);
+        chain.push({
+            subject: cert.subject || {},
+            issuer: cert.issuer || {},
+            subjectAltNames: cert.subjectaltname 
+                ? cert.subjectaltname.split(', ').map(name => name.replace(/^(DNS|IP Address):/, '')) 
+                : [],
+            validFrom: new Date(cert.valid_from).toISOString(),
+            validTo: validTo.toISOString(),
+            daysUntilExpiry: Math.floor((validTo - Date.now()) / 86400000),
+            serialNumber: cert.serialNumber,
+            fingerprint256: cert.fingerprint256,
+            selfSigned: cert.issuerCertificate === cert
+        });
+        
+        cert = cert.issuerCertificate;
+    }
+    
+    return chain;
+}
+
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA', 'CAA', 'SRV'];
+
+// Query each record type in parallel against one resolver, with TTLs and per-type timing
+// "ALL" or a type or list of types, upper-cased (unsupported ones included)
+function getDnsRecordTypes(types) {
+    return types === 'ALL' || types === 'all'
+        ? DNS_RECORD_TYPES
+        : (Array.isArray(types) ? types : [types]).map(type => String(type).toUpperCase());
+}
+
+// Look up `types` with `server`, or with each configured resolver in turn
+async function performDnsLookup(hostname, types, server, timeout = 2000) {
+    const servers = await dns.getServers();
+    const candidates = server ? [server] : servers;
+    
+    if (candidates.length === 0) {
+        throw new Error('No DNS servers configured');
+    }
+    
+    const startTime = Date.now();
+    let lookup;
+    
+    // Fall through to the next configured resolver only if one answers nothing at all
+    for (const candidate of candidates) {
+        lookup = await lookupDnsRecords(hostname, types, candidate, timeout);
+        if (Object.values(lookup.records).some(record => !record.error)) break;
+    }
+    
+    const lookupTime = Date.now() - startTime;
+    const failures = Object.values(lookup.records).filter(record => record.error);
+    
+    if (failures.length === types.length) {
+        throw new Error(failures[0].error);
+    }
+    
+    return {
+        hostname,
+        addresses: [
+            ...(lookup.records.A ? lookup.records.A.records : []),
+            ...(lookup.records.AAAA ? lookup.records.AAAA.records : [])
+        ],
+        records: lookup.records,
+        cnameChain: lookup.cnameChain,
+        server: lookup.server,
+        lookupTime,
+        dnsServers: servers,
+        timestamp: new Date().toISOString()
+    };
+}
+
+async function lookupDnsRecords(hostname, types, server, timeout = 2000) {
+    const entries = await Promise.all(types.map(async (type) => {
+        try {
+            const { message, time, transport } = await dnsMessage.query(server, hostname, type, timeout);
+            const answers = message.answers.filter(answer => answer.type === type);
+            
+            return [type, {
+                rcode: message.rcode,
+                records: answers.map(answer => answer.data),
+                ttl: answers.length > 0 ? Math.min(...answers.map(answer => answer.ttl)) : null,
+                answers: message.answers,
+                queryTime: time,
+                transport
+            }];
+        } catch (error) {
+            return [type, {
+                error: error.message,
+                records: [],
+                ttl: null,
+                queryTime: null
+            }];
+        }
+    }));
+    
+    const records = Object.fromEntries(entries);
+    
+    // Any address query that crossed aliases carries the CNAME chain in its answers
+    const withAliases = Object.values(records)
+        .find(record => record.answers && record.answers.some(answer => answer.type === 'CNAME'));
+    
+    const cnameChain = withAliases
+        ? withAliases.answers
+            .filter(answer => answer.type === 'CNAME')
+            .map(answer => ({ name: answer.name, target: answer.data, ttl: answer.ttl }))
+        : [];
+    
+    return { server, records, cnameChain };
+}
+
+// Accept "8.8.8.8" or { server, doh, dohJson, dot } and fill in known endpoints
+// Resolver definitions come from the client: check every address and URL in them
+function validateDnsServer(entry) {
+    if (typeof entry === 'string') {
+        return normalizeTarget(entry, { allowPort: true });
+    }
+    if (!entry || typeof entry !== 'object') {
+        throw new TargetError('DNS servers must be strings or { server, doh, dot } objects');
+    }
+    
+    const definition = { ...entry, server: normalizeTarget(entry.server, { allowPort: true }) };
+    
+    for (const key of ['doh', 'dohJson']) {
+        if (!definition[key]) continue;
+        const target = parseTarget(definition[key]);
+        if (!target.url || !target.url.startsWith('https:')) {
+            throw new TargetError(`${key} must be an https:// URL`);
+        }
+        definition[key] = target.url;
+    }
+    if (definition.dot) {
+        definition.dot = normalizeTarget(definition.dot);
+    }
+    if (definition.dotServer) {
+        definition.dotServer = normalizeTarget(definition.dotServer, { allowPort: true });
+    }
+    
+    return definition;
+}
+
 async function performDetailedPing(host, count = 4) {
     const times = [];
     let successCount = 0;
@@ -436,95 +2155,158 @@ async function performDetailedPing(host, count = 4) {
 }
 
 async function performTraceroute(host, maxHops = 30) {
-    const platform = process.platform;
-    let command;
-    
-    if (platform === 'win32') {
-        command = `tracert -h ${maxHops} ${host}`;
-    } else {
-        command = `traceroute -m ${maxHops} ${host}`;
-    }
+    const { command, args } = getTracerouteCommand(host, maxHops);
     
     try {
-        const { stdout } = await execAsync(command);
-        return parseTraceroute(stdout, platform);
+        const { stdout } = await runCommand(command, args, TRACEROUTE_LIMITS);
+        return parseTraceroute(stdout, process.platform);
     } catch (error) {
         throw new Error(`Traceroute failed: ${error.message}`);
     }
 }
 
-function parseTraceroute(output, platform) {
-    const lines = output.split('\n');
-    const hops = [];
-    
-    const startIndex = platform === 'win32' ? 4 : 1;
+async function checkPort(host, port, timeout) {
+    return new Promise((resolve) => {
+        const socket = new net.Socket();
+        
+        socket.setTimeout(timeout);
+        
+        socket.on('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+        
+        socket.on('timeout', () => {
+            socket.destroy();
+            resolve(false);
+        });
+        
+        socket.on('error', () => {
+            resolve(false);
+        });
+        
+        socket.connect(port, host);
+    });
+}
+
+const PORT_SCAN_MAX_CONCURRENCY = 200;
+
+// Service names for the ports the UI presets cover
+const WELL_KNOWN_PORTS = {
+    20: 'ftp-data', 21: 'ftp', 22: 'ssh', 23: 'telnet', 25: 'smtp', 53: 'dns',
+    80: 'http', 110: 'pop3', 143: 'imap', 443: 'https', 465: 'smtps', 587: 'submission',
+    993: 'imaps', 995: 'pop3s', 1433: 'mssql', 1521: 'oracle', 3074: 'xbox-live',
+    3306: 'mysql', 3389: 'rdp', 3478: 'stun', 3479: 'stun', 3480: 'stun',
+    5432: 'postgresql', 5900: 'vnc', 5938: 'teamviewer', 6379: 'redis',
+    8080: 'http-alt', 8443: 'https-alt', 9042: 'cassandra', 9200: 'elasticsearch',
+    25565: 'minecraft', 27015: 'steam', 27017: 'mongodb'
+};
+
+// Accept [80, 443], "80,443,8000-8010" or ["22", "8000-8010"]; null if invalid
+function parsePortList(ports) {
+    const items = Array.isArray(ports) ? ports : String(ports).split(',');
+    const portSet = new Set();
     
-    for (let i = startIndex; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+    for (const item of items) {
+        const text = String(item).trim();
+        if (!text) continue;
+        
+        const match = text.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) return null;
+        
+        const start = parseInt(match[1]);
+        const end = match[2] ? parseInt(match[2]) : start;
+        if (start < 1 || end > 65535 || start > end) return null;
         
-        const hop = parseTracerouteHop(line, platform);
-        if (hop) {
-            hops.push(hop);
+        for (let port = start; port <= end; port++) {
+            portSet.add(port);
+            // Stop early on huge ranges; the caller rejects oversized lists
+            if (portSet.size > LIMITS.maxScanPorts) return [...portSet];
         }
     }
     
-    return hops;
+    return portSet.size > 0 ? [...portSet].sort((a, b) => a - b) : null;
 }
 
-function parseTracerouteHop(line, platform) {
-    const parts = line.split(/\s+/);
+// Connect to each port, `concurrency` at a time, against one resolved address
+async function performPortScan(host, ports, concurrency = 50, timeout = 2000, detect = false) {
+    const startTime = process.hrtime.bigint();
+    const { address, family } = await dns.lookup(host);
+    const results = new Array(ports.length);
+    let next = 0;
     
-    if (parts.length < 2) return null;
+    const worker = async () => {
+        while (next < ports.length) {
+            const index = next++;
+            results[index] = await scanPort(address, ports[index], timeout, { detect, host });
+        }
+    };
     
-    const hopNumber = parseInt(parts[0]);
-    if (isNaN(hopNumber)) return null;
+    await Promise.all(
+        Array.from({ length: Math.min(concurrency, ports.length) }, worker)
+    );
     
-    const times = [];
-    let ip = null;
-    
-    for (const part of parts.slice(1)) {
-        if (/^\d+\.\d+\.\d+\.\d+$/.test(part)) {
-            ip = part;
-        } else if (/^\d+(\.\d+)?$/.test(part) || part.includes('ms')) {
-            const time = parseFloat(part.replace('ms', ''));
-            if (!isNaN(time)) {
-                times.push(time);
-            }
-        }
-    }
+    const countState = (state) => results.filter(r => r.state === state).length;
     
     return {
-        hop: hopNumber,
-        ip: ip || 'Unknown',
-        times: times.length > 0 ? times : null,
-        avg: times.length > 0 ? 
-            times.reduce((a, b) => a + b, 0) / times.length : null
+        host,
+        address,
+        family,
+        results,
+        open: countState('open'),
+        closed: countState('closed'),
+        filtered: countState('filtered'),
+        scanned: ports.length,
+        scanTime: Number(process.hrtime.bigint() - startTime) / 1e6,
+        timestamp: new Date().toISOString()
     };
 }
 
-async function checkPort(host, port, timeout) {
+// open: handshake completed; closed: refused; filtered: no answer or unreachable.
+// With `detect`, open sockets are kept to read a banner or send a protocol hello.
+function scanPort(address, port, timeout, options = {}) {
+    const { detect = false, host = address } = options;
+    
     return new Promise((resolve) => {
-        const net = require('net');
         const socket = new net.Socket();
+        const startTime = process.hrtime.bigint();
+        const service = WELL_KNOWN_PORTS[port] || null;
         
         socket.setTimeout(timeout);
         
         socket.on('connect', () => {
-            socket.destroy();
-            resolve(true);
+            const elapsed = Number(process.hrtime.bigint() - startTime) / 1e6;
+            
+            if (!detect) {
+                socket.destroy();
+                return resolve({ port, service, state: 'open', time: elapsed });
+            }
+            
+            socket.setTimeout(0);
+            detectService(socket, port, { host, timeout })
+                .then((detected) => resolve({ port, service, state: 'open', time: elapsed, detected }))
+                .catch(() => resolve({ port, service, state: 'open', time: elapsed, detected: null }));
         });
         
         socket.on('timeout', () => {
             socket.destroy();
-            resolve(false);
+            resolve({ port, service, state: 'filtered', time: null });
         });
         
-        socket.on('error', () => {
-            resolve(false);
+        socket.on('error', (error) => {
+            socket.destroy();
+            resolve({
+                port,
+                service,
+                state: error.code === 'ECONNREFUSED' ? 'closed' : 'filtered',
+                time: error.code === 'ECONNREFUSED'
+                    ? Number(process.hrtime.bigint() - startTime) / 1e6
+                    : null,
+                error: error.code
+            });
         });
         
-        socket.connect(port, host);
+        socket.connect(port, address);
     });
 }
 
@@ -544,18 +2326,10 @@ function calculateJitter(times) {
 
 async function getNetworkStatistics() {
     const platform = process.platform;
-    let command;
-    
-    if (platform === 'win32') {
-        command = 'netstat -s';
-    } else if (platform === 'darwin') {
-        command = 'netstat -s';
-    } else {
-        command = 'ss -s';
-    }
+    const command = platform === 'win32' || platform === 'darwin' ? 'netstat' : 'ss';
     
     try {
-        const { stdout } = await execAsync(command);
+        const { stdout } = await runCommand(command, ['-s'], { timeout: 10000 });
         return {
             raw: stdout,
             platform,
@@ -570,8 +2344,92 @@ async function getNetworkStatistics() {
     }
 }
 
+// Actions that start work on the server and count against the client's request budget
+const WS_METERED_ACTIONS = ['start-monitoring', 'start-mtr', 'ping', 'udp-probe', 'traceroute'];
+
+// Long-running actions, capped per connection
+const WS_SESSION_ACTIONS = ['start-monitoring', 'start-mtr', 'traceroute'];
+
+// Throws a QuotaError when a WebSocket action is over the client's limits
+function checkWebSocketQuota(ws, data) {
+    if (!WS_METERED_ACTIONS.includes(data.action)) return;
+    
+    clientRateLimiter.consume(ws.clientKey);
+    
+    if (data.action === 'udp-probe') {
+        checkCount('count', data.count);
+    }
+    
+    if (WS_SESSION_ACTIONS.includes(data.action)) {
+        // Restarting a session with the same id replaces it
+        const sessions = [...monitoringSessions.entries()]
+            .filter(([sessionId, session]) => session.ws === ws && sessionId !== data.sessionId).length
+            + [...tracerouteSessions.values()].filter(session => session.ws === ws).length;
+        
+        if (sessions >= LIMITS.maxSessionsPerSocket) {
+            throw new QuotaError(
+                `At most ${LIMITS.maxSessionsPerSocket} concurrent sessions per connection, stop one first`,
+                { limit: LIMITS.maxSessionsPerSocket }
+            );
+        }
+    }
+}
+
+// How a persistent monitor's results are labelled in the history and alerts
+function getMonitorSubject(monitor) {
+    return {
+        target: monitor.host,
+        method: monitor.method,
+        port: monitor.method === 'tcp' ? monitor.port : null,
+        source: 'monitor'
+    };
+}
+
+// Count a monitoring result for /metrics and store it for /api/history
+function recordResult(stats, { target, method, port = null, source }, result) {
+    recordProbe(stats, result);
+    historyStore.append({ target, method, port, source, ...result });
+}
+
+// Check a schedule's params against the body schema of its job's route, then
+// normalize them like that route would. Throws on invalid params.
+function prepareScheduleParams(type, params) {
+    const job = SCHEDULE_JOBS[type];
+    if (!job) {
+        throw new CronError(`Unknown schedule type "${type}" (use ${Object.keys(SCHEDULE_JOBS).join(', ')})`);
+    }
+
+    validateRequestBody(openApiSpec, job.route, 'post', params, 'params');
+    return job.prepare(params);
+}
+
+// 400 for invalid schedules, 500 for anything else
+function sendScheduleError(res, error, message) {
+    if (error instanceof ValidationError) {
+        return res.status(400).json(validationError(error));
+    }
+    if (error instanceof QuotaError) {
+        return res.status(error.status).json(quotaResponse(error));
+    }
+    if (error instanceof TargetError || error instanceof CronError) {
+        return res.status(400).json({ error: 'Invalid schedule', message: error.message });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({ 
+        error: message, 
+        message: error.message 
+    });
+}
+
+// Interval in ms for a monitoring loop, never below MIN_MONITOR_INTERVAL_MS
+function getMonitorInterval(interval) {
+    return Math.max(parseInt(interval) || 1000, LIMITS.minMonitorInterval);
+}
+
 function startMonitoring(ws, data) {
-    const { host, interval = 1000, sessionId } = data;
+    const { host, sessionId, method = 'http', port = 443 } = data;
+    const interval = getMonitorInterval(data.interval);
     
     if (!host || !sessionId) {
         ws.send(JSON.stringify({ 
@@ -580,16 +2438,22 @@ function startMonitoring(ws, data) {
         return;
     }
     
-    if (monitoringSessions.has(sessionId)) {
-        stopMonitoring(ws, sessionId);
-    }
+    if (!claimSession(ws, sessionId)) return;
     
-    console.log(`Starting monitoring session ${sessionId} for ${host}`);
+    console.log(`Starting monitoring session ${sessionId} for ${host} (${method})`);
     
+    const metrics = createProbeStats();
+    const sample = { target: host, method, port: method === 'tcp' ? port : null, source: 'session' };
     const monitorInterval = setInterval(async () => {
         try {
-            const result = await performHttpPing(host, 1);
+            const result = method === 'tcp'
+                ? await performTcpPing(host, port, 1)
+                : await performHttpPing(host, 1);
             
+            recordResult(metrics, sample, {
+                alive: result.alive,
+                time: result.avg
+            });
             ws.send(JSON.stringify({
                 type: 'monitoring-update',
                 sessionId,
@@ -600,6 +2464,7 @@ function startMonitoring(ws, data) {
                 }
             }));
         } catch (error) {
+            recordResult(metrics, sample, { error: error.message });
             ws.send(JSON.stringify({
                 type: 'monitoring-error',
                 sessionId,
@@ -612,6 +2477,8 @@ function startMonitoring(ws, data) {
         ws,
         interval: monitorInterval,
         host,
+        method,
+        metrics,
         startTime: new Date()
     });
     
@@ -619,19 +2486,38 @@ function startMonitoring(ws, data) {
         type: 'monitoring-started',
         sessionId,
         host,
+        method,
         interval
     }));
 }
 
+// A connection may restart its own session under the same id; ids held by
+// another connection are rejected
+function claimSession(ws, sessionId) {
+    const session = monitoringSessions.get(sessionId);
+    
+    if (session && session.ws !== ws) {
+        ws.send(JSON.stringify({ 
+            error: 'Session already running',
+            sessionId
+        }));
+        return false;
+    }
+    
+    stopMonitoring(ws, sessionId);
+    return true;
+}
+
+// Only the connection that started a monitoring or MTR session can stop it
 function stopMonitoring(ws, sessionId) {
     const session = monitoringSessions.get(sessionId);
     
-    if (session) {
+    if (session && session.ws === ws) {
         clearInterval(session.interval);
         monitoringSessions.delete(sessionId);
         
         ws.send(JSON.stringify({
-            type: 'monitoring-stopped',
+            type: session.method === 'mtr' ? 'mtr-stopped' : 'monitoring-stopped',
             sessionId,
             duration: new Date() - session.startTime
         }));
@@ -640,6 +2526,333 @@ function stopMonitoring(ws, sessionId) {
     }
 }
 
+// Stream a persistent monitor's results to this connection, starting with
+// its recent history
+function attachMonitor(ws, monitorId) {
+    const monitor = monitorId ? monitorManager.get(monitorId) : null;
+    
+    if (!monitor) {
+        ws.send(JSON.stringify({ 
+            error: 'Monitor not found',
+            action: 'attach-monitor',
+            monitorId
+        }));
+        return;
+    }
+    
+    if (!ws.monitorSubscriptions.has(monitorId)) {
+        const unsubscribe = monitorManager.subscribe(monitorId, (type, result) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            
+            if (type === 'removed') {
+                ws.monitorSubscriptions.delete(monitorId);
+                ws.send(JSON.stringify({ type: 'monitor-removed', monitorId }));
+                return;
+            }
+            
+            ws.send(JSON.stringify({
+                type: 'monitor-update',
+                monitorId,
+                data: result
+            }));
+        });
+        ws.monitorSubscriptions.set(monitorId, unsubscribe);
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'monitor-attached',
+        monitorId,
+        monitor
+    }));
+}
+
+function detachMonitor(ws, monitorId) {
+    const unsubscribe = ws.monitorSubscriptions.get(monitorId);
+    
+    if (unsubscribe) {
+        unsubscribe();
+        ws.monitorSubscriptions.delete(monitorId);
+        
+        ws.send(JSON.stringify({
+            type: 'monitor-detached',
+            monitorId
+        }));
+    }
+}
+
+// MTR-style path monitoring: discover the path with traceroute once, then
+// ping every hop each round and stream cumulative per-hop statistics
+async function startMtr(ws, data) {
+    const { host, sessionId, maxHops = 30, count = 0, timeout = 1000 } = data;
+    const interval = getMonitorInterval(data.interval);
+    
+    if (!host || !sessionId) {
+        ws.send(JSON.stringify({ 
+            error: 'Host and sessionId are required' 
+        }));
+        return;
+    }
+    
+    if (!claimSession(ws, sessionId)) return;
+    
+    console.log(`Starting MTR session ${sessionId} for ${host}`);
+    
+    // Registered before path discovery so a stop request can cancel it
+    const session = {
+        ws,
+        interval: null,
+        host,
+        method: 'mtr',
+        metrics: createProbeStats(),
+        startTime: new Date()
+    };
+    monitoringSessions.set(sessionId, session);
+    
+    let path;
+    try {
+        path = await performTraceroute(host, maxHops);
+    } catch (error) {
+        monitoringSessions.delete(sessionId);
+        ws.send(JSON.stringify({
+            type: 'mtr-error',
+            sessionId,
+            error: error.message
+        }));
+        return;
+    }
+    
+    if (monitoringSessions.get(sessionId) !== session) return;
+    
+    const hops = path.map(hop => createMtrHop(hop.hop, hop.ip === 'Unknown' ? null : hop.ip));
+    let round = 0;
+    let busy = false;
+    
+    ws.send(JSON.stringify({
+        type: 'mtr-started',
+        sessionId,
+        host,
+        interval,
+        hops: hops.map(hop => hop.stats)
+    }));
+    
+    const probeRound = async () => {
+        // Slow hops must not make rounds overlap
+        if (busy) return;
+        busy = true;
+        round++;
+        
+        const replies = await Promise.all(
+            hops.map(hop => hop.stats.ip ? pingHop(hop.stats.ip, timeout) : null)
+        );
+        replies.forEach((time, index) => recordMtrReply(hops[index], time));
+        busy = false;
+        
+        // The last hop is the target itself
+        const targetReply = replies[replies.length - 1];
+        recordResult(session.metrics, { target: host, method: 'mtr', source: 'session' }, {
+            alive: typeof targetReply === 'number',
+            time: targetReply
+        });
+        
+        if (monitoringSessions.get(sessionId) !== session) return;
+        
+        ws.send(JSON.stringify({
+            type: 'mtr-update',
+            sessionId,
+            round,
+            hops: hops.map(hop => hop.stats),
+            timestamp: new Date().toISOString()
+        }));
+        
+        if (count > 0 && round >= count) {
+            stopMonitoring(ws, sessionId);
+        }
+    };
+    
+    session.interval = setInterval(probeRound, interval);
+    probeRound();
+}
+
+function createMtrHop(hopNumber, ip) {
+    return {
+        sum: 0,
+        sumSquares: 0,
+        stats: {
+            hop: hopNumber,
+            ip,
+            sent: 0,
+            received: 0,
+            loss: 0,
+            last: null,
+            avg: null,
+            best: null,
+            worst: null,
+            stddev: null
+        }
+    };
+}
+
+function recordMtrReply(hop, time) {
+    const { stats } = hop;
+    stats.sent++;
+    
+    if (time !== null) {
+        stats.received++;
+        stats.last = time;
+        stats.best = stats.best === null ? time : Math.min(stats.best, time);
+        stats.worst = stats.worst === null ? time : Math.max(stats.worst, time);
+        
+        hop.sum += time;
+        hop.sumSquares += time * time;
+        stats.avg = hop.sum / stats.received;
+        stats.stddev = Math.sqrt(Math.max(0, hop.sumSquares / stats.received - stats.avg * stats.avg));
+    }
+    
+    stats.loss = ((stats.sent - stats.received) / stats.sent) * 100;
+}
+
+// Single ICMP echo to a hop, null when it does not answer
+async function pingHop(ip, timeout) {
+    try {
+        const result = await ping.promise.probe(ip, {
+            timeout: Math.max(1, Math.round(timeout / 1000))
+        });
+        const time = parseFloat(result.time);
+        return result.alive && !isNaN(time) ? time : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 30 hops x 3 probes can legitimately take minutes when most hops time out
+const TRACEROUTE_LIMITS = { timeout: 180000, maxOutput: 256 * 1024 };
+
+// Argument array for the platform's traceroute; `host` must already be validated
+function getTracerouteCommand(host, maxHops) {
+    const hopLimit = String(Math.min(Math.max(parseInt(maxHops) || 30, 1), 64));
+    
+    return process.platform === 'win32'
+        ? { command: 'tracert', args: ['-h', hopLimit, host] }
+        : { command: 'traceroute', args: ['-m', hopLimit, host] };
+}
+
+// Spawn traceroute and send each hop as soon as its line is printed. The
+// accumulated output is re-parsed per line so ECMP continuation lines update
+// the hop they belong to.
+function startStreamingTraceroute(ws, data) {
+    const { host, maxHops = 30, traceId } = data;
+    
+    if (!host || !traceId) {
+        ws.send(JSON.stringify({ 
+            error: 'Host and traceId are required' 
+        }));
+        return;
+    }
+    
+    // Each id names one running child process; it is neither replaced nor shared
+    if (tracerouteSessions.has(traceId)) {
+        ws.send(JSON.stringify({ 
+            error: 'Traceroute already running',
+            traceId
+        }));
+        return;
+    }
+    
+    const hopLimit = Math.min(Math.max(parseInt(maxHops) || 30, 1), 64);
+    const { command, args } = getTracerouteCommand(host, hopLimit);
+    const child = spawnCommand(command, args, TRACEROUTE_LIMITS);
+    const startTime = Date.now();
+    let output = '';
+    let pending = '';
+    const sent = [];
+    
+    console.log(`Streaming traceroute ${traceId} to ${host}...`);
+    tracerouteSessions.set(traceId, { ws, child, cancelled: false });
+    
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ traceId, ...message }));
+        }
+    };
+    
+    const emitHops = () => {
+        const hops = parseTraceroute(output, process.platform);
+        
+        hops.forEach((hop, index) => {
+            const serialized = JSON.stringify(hop);
+            if (sent[index] === serialized) return;
+            
+            sent[index] = serialized;
+            send({
+                type: 'traceroute-hop',
+                hop,
+                progress: Math.min(hop.hop / hopLimit, 1)
+            });
+        });
+        
+        return hops;
+    };
+    
+    child.stdout.on('data', (chunk) => {
+        pending += chunk.toString();
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+        
+        if (lines.length > 0) {
+            output += lines.join('\n') + '\n';
+            emitHops();
+        }
+    });
+    
+    child.on('error', (error) => {
+        tracerouteSessions.delete(traceId);
+        send({
+            type: 'traceroute-error',
+            error: `Traceroute failed: ${error.message}`
+        });
+    });
+    
+    child.on('close', (code) => {
+        const session = tracerouteSessions.get(traceId);
+        tracerouteSessions.delete(traceId);
+        // 'error' already reported a spawn failure
+        if (!session) return;
+        
+        output += pending;
+        const hops = emitHops();
+        
+        if (session.cancelled) {
+            send({ type: 'traceroute-cancelled', hops: hops.length });
+        } else if (child.limitExceeded) {
+            send({
+                type: 'traceroute-error',
+                error: child.limitExceeded === 'timeout' ? 'Traceroute timed out' : 'Traceroute output too large'
+            });
+        } else if (code !== 0 && hops.length === 0) {
+            send({ type: 'traceroute-error', error: `Traceroute exited with code ${code}` });
+        } else {
+            send({
+                type: 'traceroute-complete',
+                host,
+                hops,
+                totalHops: hops.length,
+                duration: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+}
+
+// Only the connection that started a traceroute can cancel it
+function cancelStreamingTraceroute(ws, traceId) {
+    const session = tracerouteSessions.get(traceId);
+    
+    if (session && session.ws === ws) {
+        session.cancelled = true;
+        session.child.kill();
+    }
+}
+
 async function handleWebSocketPing(ws, data) {
     const { host } = data;
     
@@ -670,6 +2883,60 @@ async function handleWebSocketPing(ws, data) {
     }
 }
 
+// Stream each UDP echo reply (or loss) as it happens, then the summary
+async function handleWebSocketUdpProbe(ws, data) {
+    const { 
+        host, 
+        port = udpEcho.DEFAULT_PORT, 
+        count = 50, 
+        interval = 200, 
+        size = 64, 
+        timeout = 1000, 
+        probeId 
+    } = data;
+    
+    if (!host) {
+        ws.send(JSON.stringify({ 
+            error: 'Host is required' 
+        }));
+        return;
+    }
+    
+    try {
+        const result = await udpEcho.performUdpProbe(host, {
+            port,
+            count,
+            interval,
+            size,
+            timeout,
+            onSample: (sample) => {
+                if (ws.readyState !== WebSocket.OPEN) return;
+                
+                ws.send(JSON.stringify({
+                    type: 'udp-probe-sample',
+                    probeId,
+                    data: {
+                        ...sample,
+                        timestamp: new Date().toISOString()
+                    }
+                }));
+            }
+        });
+        
+        ws.send(JSON.stringify({
+            type: 'udp-probe-result',
+            probeId,
+            data: result
+        }));
+    } catch (error) {
+        ws.send(JSON.stringify({
+            type: 'udp-probe-error',
+            probeId,
+            error: error.message
+        }));
+    }
+}
+
 // ==================== Server Initialization ====================
 
 const PORT = process.env.PORT || 3001;
@@ -684,18 +2951,105 @@ server.listen(PORT, () => {
     ║                                            ║
     ║   Endpoints:                               ║
     ║   POST /api/ping                           ║
+    ║   POST /api/tcp-ping                       ║
+    ║   POST /api/dual-stack                     ║
+    ║   POST /api/http-timing                    ║
+    ║   POST /api/tls-inspect                    ║
+    ║   POST /api/udp-probe                      ║
     ║   POST /api/dns-lookup                     ║
     ║   POST /api/traceroute                     ║
     ║   POST /api/port-check                     ║
+    ║   POST /api/port-scan                      ║
     ║   POST /api/batch-test                     ║
+    ║   POST /api/batch-test/stream              ║
+    ║   GET  /api/monitors                       ║
+    ║   POST /api/monitors                       ║
+    ║   GET  /api/monitors/:id                   ║
+    ║   DELETE /api/monitors/:id                 ║
+    ║   GET  /api/schedules                      ║
+    ║   POST /api/schedules                      ║
+    ║   GET  /api/schedules/:id                  ║
+    ║   PATCH /api/schedules/:id                 ║
+    ║   DELETE /api/schedules/:id                ║
+    ║   GET  /api/schedules/:id/runs             ║
+    ║   POST /api/schedules/:id/run              ║
+    ║   GET  /api/webhooks                       ║
+    ║   POST /api/webhooks                       ║
+    ║   GET  /api/webhooks/:id                   ║
+    ║   PATCH /api/webhooks/:id                  ║
+    ║   DELETE /api/webhooks/:id                 ║
+    ║   POST /api/webhooks/:id/test              ║
+    ║   GET  /api/webhooks/:id/deliveries        ║
+    ║   GET  /api/alerts                         ║
+    ║   GET  /api/history                        ║
+    ║   POST /api/dns-benchmark                  ║
+    ║   GET  /api/speedtest/download             ║
+    ║   POST /api/speedtest/upload               ║
     ║   GET  /api/network-stats                  ║
+    ║   GET  /api/auth                           ║
     ║   GET  /health                             ║
+    ║   GET  /metrics                            ║
+    ║   GET  /docs (OpenAPI: /openapi.json)      ║
     ║                                            ║
     ║   WebSocket: ws://localhost:${PORT}          ║
     ╚════════════════════════════════════════════╝
     `);
     
     console.log('Test the API at: http://localhost:' + PORT);
+    console.log(`Rate limit: ${LIMITS.maxRequests} requests per ${LIMITS.windowMs / 1000}s per client`);
+    console.log(`API key authentication: ${isAuthEnabled() ? 'enabled' : 'disabled (set API_KEYS)'}`);
+    
+    historyStore.prune()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Pruned ${count} history file(s) older than ${historyStore.retentionDays} days`);
+            }
+        })
+        .catch((error) => {
+            console.error('Failed to prune history:', error.message);
+        });
+    
+    // Before the monitors, so their first results are checked against the webhooks
+    alertManager.load()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Restored ${count} webhook(s) from ${alertManager.file}`);
+            }
+        })
+        .catch((error) => {
+            console.error('Failed to restore webhooks:', error.message);
+        });
+    
+    monitorManager.load()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Restored ${count} monitor(s) from ${monitorManager.file}`);
+            }
+        })
+        .catch((error) => {
+            console.error('Failed to restore monitors:', error.message);
+        });
+    
+    scheduler.load()
+        .then((count) => {
+            if (count > 0) {
+                console.log(`Restored ${count} schedule(s) from ${scheduler.file}`);
+            }
+        })
+        .catch((error) => {
+            console.error('Failed to restore schedules:', error.message);
+        });
+    
+    if (process.env.UDP_REFLECTOR_PORT) {
+        udpEcho.startUdpReflector(parseInt(process.env.UDP_REFLECTOR_PORT))
+            .then((reflector) => {
+                udpReflector = reflector;
+                console.log(`UDP echo reflector listening on port ${reflector.port}`);
+            })
+            .catch((error) => {
+                console.error('Failed to start UDP reflector:', error.message);
+            });
+    }
 });
 
 // Graceful shutdown
@@ -712,6 +3066,18 @@ process.on('SIGTERM', () => {
             clearInterval(session.interval);
         }
         
-        process.exit(0);
+        for (const session of tracerouteSessions.values()) {
+            session.child.kill();
+        }
+        
+        monitorManager.stopAll();
+        scheduler.stopAll();
+        
+        if (udpReflector) {
+            udpReflector.close();
+        }
+        
+        // Write out buffered history samples and the delivery log before exiting
+        Promise.all([historyStore.close(), alertManager.close()]).then(() => process.exit(0));
     });
 });
\ No newline at end of file
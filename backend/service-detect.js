@@ -0,0 +1,242 @@
+// service-detect.js - Banner grabbing and protocol hellos to identify services on open TCP ports
+const net = require('net');
+const tls = require('tls');
+
+const MAX_RESPONSE_BYTES = 4096;
+const BANNER_WAIT = 1000; // server-first protocols (SSH, SMTP, FTP...) greet well within this
+const IDLE_AFTER_DATA = 150; // stop reading once the server pauses
+const MAX_BANNER_LENGTH = 200;
+
+// Ports where the service is normally wrapped in TLS from the first byte
+const TLS_PORTS = new Set([443, 465, 636, 853, 993, 995, 8443]);
+
+// Ports whose protocol waits for the client to speak first
+const CLIENT_FIRST_PORTS = {
+    80: 'http', 443: 'http', 3000: 'http', 5000: 'http', 8000: 'http', 8008: 'http',
+    8080: 'http', 8443: 'http', 8888: 'http', 9200: 'http',
+    6379: 'redis',
+    5432: 'postgresql'
+};
+
+function buildHello(protocol, host) {
+    switch (protocol) {
+        case 'http':
+            return Buffer.from(
+                `HEAD / HTTP/1.1\r\nHost: ${host}\r\nUser-Agent: NetworkLatencyAnalyzer\r\nConnection: close\r\n\r\n`
+            );
+        case 'redis':
+            return Buffer.from('PING\r\n');
+        case 'postgresql':
+            // SSLRequest: the server answers a single 'S' or 'N' byte
+            return Buffer.from([0x00, 0x00, 0x00, 0x08, 0x04, 0xd2, 0x16, 0x2f]);
+        default:
+            return null;
+    }
+}
+
+// Each signature returns { service, version } when it recognises the response
+const SIGNATURES = [
+    (text) => {
+        const match = text.match(/^SSH-[\d.]+-([^\r\n]+)/);
+        return match && { service: 'ssh', version: match[1].trim() };
+    },
+    (text) => {
+        const match = text.match(/^HTTP\/(\d(?:\.\d)?) \d{3}/);
+        if (!match) return null;
+        const server = text.match(/\r\nServer: *([^\r\n]*)/i);
+        return { service: 'http', version: server ? server[1].trim() : `HTTP/${match[1]}` };
+    },
+    (text) => {
+        const match = text.match(/^220[ -]([^\r\n]*(?:FTP|FileZilla)[^\r\n]*)/i);
+        return match && { service: 'ftp', version: match[1].trim() };
+    },
+    (text) => {
+        const match = text.match(/^220[ -]([^\r\n]*)/);
+        return match && { service: 'smtp', version: match[1].trim() };
+    },
+    (text) => {
+        const match = text.match(/^\+OK ?([^\r\n]*)/);
+        return match && !text.startsWith('+PONG') && { service: 'pop3', version: match[1].trim() || null };
+    },
+    (text) => {
+        const match = text.match(/^\* OK(?: \[[^\]]*\])? ?([^\r\n]*)/);
+        return match && { service: 'imap', version: match[1].trim() || null };
+    },
+    (text, data, probe) => {
+        if (probe !== 'redis') return null;
+        return /^(\+PONG|-NOAUTH|-DENIED|-ERR)/.test(text) && { service: 'redis', version: null };
+    },
+    (text, data, probe) => {
+        if (probe !== 'postgresql' || data.length !== 1) return null;
+        return (text === 'S' || text === 'N') && { service: 'postgresql', version: null };
+    },
+    (text, data) => {
+        // MySQL/MariaDB initial handshake: 3-byte length, sequence 0, protocol 10, version\0
+        if (data.length < 6 || data[3] !== 0x00 || data[4] !== 0x0a) return null;
+        const end = data.indexOf(0x00, 5);
+        return end > 5 && { service: 'mysql', version: data.subarray(5, end).toString('latin1') };
+    },
+    (text) => {
+        const match = text.match(/^RFB (\d{3}\.\d{3})/);
+        return match && { service: 'vnc', version: `RFB ${match[1]}` };
+    },
+    (text, data) => {
+        // Telnet servers open with IAC option negotiation
+        return data[0] === 0xff && { service: 'telnet', version: null };
+    }
+];
+
+function identify(data, probe) {
+    const text = data.toString('latin1');
+
+    for (const signature of SIGNATURES) {
+        const match = signature(text, data, probe);
+        if (match) return match;
+    }
+
+    return { service: null, version: null };
+}
+
+// First line of the response with non-printable bytes masked
+function toBanner(data) {
+    const line = data.toString('latin1').split(/\r?\n/).find(part => part.trim()) || '';
+    return line.replace(/[^\x20-\x7e]/g, '.').slice(0, MAX_BANNER_LENGTH);
+}
+
+// Optionally write `payload`, then collect the reply until the server goes quiet
+function readResponse(stream, payload, wait) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let received = 0;
+        let ttfb = null;
+        let idleTimer = null;
+        let startTime;
+
+        const finish = () => {
+            clearTimeout(waitTimer);
+            clearTimeout(idleTimer);
+            stream.removeListener('data', onData);
+            stream.removeListener('end', finish);
+            stream.removeListener('error', finish);
+            stream.pause();
+            resolve({ data: received > 0 ? Buffer.concat(chunks) : null, ttfb });
+        };
+
+        const onData = (chunk) => {
+            if (ttfb === null) {
+                ttfb = Number(process.hrtime.bigint() - startTime) / 1e6;
+            }
+
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= MAX_RESPONSE_BYTES) return finish();
+
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(finish, IDLE_AFTER_DATA);
+        };
+
+        const waitTimer = setTimeout(finish, wait);
+
+        stream.on('data', onData);
+        stream.once('end', finish);
+        stream.once('error', finish);
+        stream.resume();
+
+        startTime = process.hrtime.bigint();
+        if (payload) {
+            stream.write(payload);
+        }
+    });
+}
+
+function upgradeToTls(socket, host, timeout) {
+    return new Promise((resolve) => {
+        const secure = tls.connect({
+            socket,
+            servername: net.isIP(host) ? undefined : host,
+            rejectUnauthorized: false,
+            ALPNProtocols: ['http/1.1']
+        });
+
+        const timer = setTimeout(() => {
+            secure.destroy();
+            resolve(null);
+        }, timeout);
+
+        secure.once('secureConnect', () => {
+            clearTimeout(timer);
+            resolve({
+                stream: secure,
+                tls: {
+                    protocol: secure.getProtocol(),
+                    alpn: secure.alpnProtocol || null
+                }
+            });
+        });
+
+        secure.once('error', () => {
+            clearTimeout(timer);
+            secure.destroy();
+            resolve(null);
+        });
+    });
+}
+
+// Identify the service behind an already connected socket. Server-first
+// protocols are read as-is; otherwise a hello for the port (or HTTP as a
+// generic fallback) is sent. The socket is always destroyed afterwards.
+async function detectService(socket, port, options = {}) {
+    const { host = socket.remoteAddress, timeout = 3000 } = options;
+    let stream = socket;
+    let tlsInfo = null;
+
+    try {
+        if (TLS_PORTS.has(port)) {
+            const upgraded = await upgradeToTls(socket, host, timeout);
+            if (!upgraded) {
+                return { service: null, version: null, banner: null, ttfb: null, probe: 'tls', tls: null };
+            }
+            stream = upgraded.stream;
+            tlsInfo = upgraded.tls;
+        }
+
+        // Resets between reads must not surface as unhandled errors
+        stream.on('error', () => {});
+
+        let probe = CLIENT_FIRST_PORTS[port] || 'banner';
+        let response = await readResponse(
+            stream,
+            buildHello(probe, host),
+            probe === 'banner' ? Math.min(BANNER_WAIT, timeout) : timeout
+        );
+
+        // Silent server: it is probably waiting for the client, try HTTP
+        if (!response.data && probe === 'banner' && !stream.destroyed && stream.writable) {
+            probe = 'http';
+            response = await readResponse(stream, buildHello(probe, host), timeout);
+        }
+
+        if (!response.data) {
+            return { service: null, version: null, banner: null, ttfb: null, probe, tls: tlsInfo };
+        }
+
+        const { service, version } = identify(response.data, probe);
+
+        return {
+            service: tlsInfo && service === 'http' ? 'https' : service,
+            version,
+            banner: toBanner(response.data),
+            ttfb: response.ttfb,
+            probe,
+            tls: tlsInfo
+        };
+    } finally {
+        stream.destroy();
+        socket.destroy();
+    }
+}
+
+module.exports = {
+    TLS_PORTS,
+    detectService
+};
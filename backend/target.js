@@ -0,0 +1,185 @@
+// target.js - Parse and validate user-supplied targets (hostnames, IPv4, IPv6, URLs)
+const net = require('net');
+const url = require('url');
+const { validationError } = require('./validation');
+
+const MAX_HOSTNAME_LENGTH = 253;
+const MAX_URL_LENGTH = 2048;
+
+// Letters, digits, hyphens and underscores (SRV/_dmarc style names); no leading
+// or trailing hyphen, which also keeps targets from parsing as tool options
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9_-]{1,63}(?<!-)$/i;
+
+class TargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TargetError';
+        this.status = 400;
+    }
+}
+
+function parsePort(value, input) {
+    const port = Number(value);
+    if (!/^\d{1,5}$/.test(value) || port < 1 || port > 65535) {
+        throw new TargetError(`Invalid port in "${input}": must be between 1 and 65535`);
+    }
+    return port;
+}
+
+function parseHostname(value, input) {
+    if (/^[\d.]+$/.test(value)) {
+        throw new TargetError(`Invalid IPv4 address: "${input}"`);
+    }
+
+    const hostname = url.domainToASCII(value.replace(/\.$/, '')).toLowerCase();
+
+    if (!hostname) {
+        throw new TargetError(`Invalid hostname: "${input}"`);
+    }
+    if (hostname.length > MAX_HOSTNAME_LENGTH) {
+        throw new TargetError(`Hostname is longer than ${MAX_HOSTNAME_LENGTH} characters`);
+    }
+    if (!hostname.split('.').every(label => HOSTNAME_LABEL.test(label))) {
+        throw new TargetError(`Invalid hostname: "${input}"`);
+    }
+    return hostname;
+}
+
+// Host part only: IPv4, IPv6 (bare or in brackets) or hostname
+function parseHost(value, input) {
+    const unbracketed = value.replace(/^\[(.*)\]$/, '$1');
+    const family = net.isIP(unbracketed);
+
+    if (family === 6 && unbracketed.includes('%')) {
+        throw new TargetError(`IPv6 zone identifiers are not supported: "${input}"`);
+    }
+    if (family) {
+        return { host: unbracketed, type: family === 4 ? 'ipv4' : 'ipv6' };
+    }
+    if (unbracketed !== value) {
+        throw new TargetError(`Invalid IPv6 address: "${input}"`);
+    }
+
+    return { host: parseHostname(value, input), type: 'hostname' };
+}
+
+// Parse a target into { host, type, port, url }. Accepts "example.com",
+// "192.0.2.1", "2001:db8::1", "[2001:db8::1]" and http(s) URLs; "host:port"
+// and "[v6]:port" only with `allowPort`. Throws TargetError (status 400)
+// with a message suitable for the client.
+function parseTarget(input, options = {}) {
+    const { allowPort = false } = options;
+
+    if (typeof input !== 'string') {
+        throw new TargetError('Target must be a string');
+    }
+
+    const value = input.trim();
+    if (!value) {
+        throw new TargetError('Target must not be empty');
+    }
+    if (value.length > MAX_URL_LENGTH) {
+        throw new TargetError(`Target is longer than ${MAX_URL_LENGTH} characters`);
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+        let parsed;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            throw new TargetError(`Invalid URL: "${input}"`);
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new TargetError(`Unsupported URL scheme "${parsed.protocol}" (use http or https)`);
+        }
+
+        const { host, type } = parseHost(parsed.hostname, input);
+        return {
+            host,
+            type,
+            port: parsed.port ? Number(parsed.port) : null,
+            url: parsed.href
+        };
+    }
+
+    // [v6]:port or host:port (a single colon; bare IPv6 has several)
+    const bracketedPort = value.match(/^(\[[^\]]+\]):(\d+)$/);
+    const hostPort = value.match(/^([^:]+):(\d+)$/);
+    const withPort = bracketedPort || hostPort;
+
+    if (withPort) {
+        if (!allowPort) {
+            throw new TargetError(`Ports are not accepted here, pass the port separately: "${input}"`);
+        }
+        return { ...parseHost(withPort[1], input), port: parsePort(withPort[2], input), url: null };
+    }
+
+    return { ...parseHost(value, input), port: null, url: null };
+}
+
+// Normalised string form: URL (when kept), host:port or the bare host
+function formatTarget(target, options = {}) {
+    if (options.keepUrl && target.url) {
+        return target.url;
+    }
+    if (target.port && options.allowPort) {
+        return target.type === 'ipv6' ? `[${target.host}]:${target.port}` : `${target.host}:${target.port}`;
+    }
+    return target.host;
+}
+
+function normalizeTarget(input, options = {}) {
+    return formatTarget(parseTarget(input, options), options);
+}
+
+// Express middleware validating req.body[field] in place. Options: keepUrl
+// (keep http(s) URLs instead of reducing them to the host), allowPort,
+// list (an array of targets), optional. Rejections use the API's
+// "Invalid request" error with the offending path in `details`.
+function requireTarget(field, options = {}) {
+    const { list = false, optional = false } = options;
+    const path = `body.${field}`;
+
+    return (req, res, next) => {
+        const value = req.body ? req.body[field] : undefined;
+
+        if (value === undefined || value === null || value === '') {
+            if (optional) return next();
+            return res.status(400).json(validationError([{ path, message: 'is required' }]));
+        }
+
+        if (list && (!Array.isArray(value) || value.length === 0)) {
+            return res.status(400).json(validationError([{ path, message: 'must be a non-empty array' }]));
+        }
+
+        const errors = [];
+        const normalize = (item, itemPath) => {
+            try {
+                return normalizeTarget(item, options);
+            } catch (error) {
+                if (!(error instanceof TargetError)) throw error;
+                errors.push({ path: itemPath, message: error.message });
+                return item;
+            }
+        };
+
+        const normalized = list
+            ? value.map((item, index) => normalize(item, `${path}[${index}]`))
+            : normalize(value, path);
+
+        if (errors.length > 0) {
+            return res.status(400).json(validationError(errors));
+        }
+
+        req.body[field] = normalized;
+        next();
+    };
+}
+
+module.exports = {
+    TargetError,
+    parseTarget,
+    normalizeTarget,
+    requireTarget
+};
@@ -0,0 +1,79 @@
+// dns-benchmark.test.js - performDnsBenchmark against scripted resolvers on 127.0.0.1
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { performDnsBenchmark } = require('../dns-benchmark');
+const { startStubResolver } = require('./stub-resolver');
+
+const DOMAINS = ['one.test', 'two.test'];
+const ROUNDS = 2;
+const TIMEOUT = 300;
+const DELAY = 25;
+
+const AGREED = { 'one.test': ['10.0.0.3', '10.0.0.1'], 'two.test': ['10.0.0.2'] };
+
+function average(times) {
+    const valid = times.filter(t => t !== null);
+    return valid.reduce((a, b) => a + b, 0) / valid.length;
+}
+
+test('per-server latency, loss and consistency', async (t) => {
+    const resolvers = await Promise.all([
+        startStubResolver(AGREED, { delay: DELAY }),
+        startStubResolver(AGREED),
+        // Disagrees with the majority on two.test
+        startStubResolver({ ...AGREED, 'two.test': ['10.9.9.9'] }),
+        // Negative answer for one.test, never answers two.test
+        startStubResolver({ 'one.test': 'NXDOMAIN', 'two.test': 'drop' })
+    ]);
+    t.after(() => Promise.all(resolvers.map(resolver => resolver.close())));
+
+    const results = await performDnsBenchmark(resolvers.map(resolver => resolver.server), DOMAINS, ROUNDS, TIMEOUT);
+    const [slow, fast, divergent, lossy] = results;
+
+    assert.deepEqual(results.map(result => result.server), resolvers.map(resolver => resolver.server));
+
+    for (const result of [slow, fast, divergent]) {
+        assert.equal(result.success, true);
+        assert.equal(result.times.length, ROUNDS * DOMAINS.length);
+        assert.equal(result.successCount, ROUNDS * DOMAINS.length);
+        assert.equal(result.failureRate, 0);
+        assert.deepEqual(result.errors, {});
+        assert.equal(result.avg, average(result.times));
+    }
+
+    // Answers are compared sorted, so record order does not matter
+    assert.deepEqual(fast.answers, { 'one.test': '10.0.0.1,10.0.0.3', 'two.test': '10.0.0.2' });
+    // libuv timers run off a millisecond-rounded loop clock and can fire up to 1 ms early
+    assert.ok(slow.min >= DELAY - 1, `slow resolver min ${slow.min} ms`);
+    assert.ok(slow.avg > fast.avg);
+
+    assert.equal(slow.consistency, 100);
+    assert.equal(fast.consistency, 100);
+    assert.equal(divergent.consistency, 50);
+
+    // NXDOMAIN still counts as an answer; the dropped queries are loss
+    assert.equal(lossy.success, true);
+    assert.equal(lossy.successCount, ROUNDS);
+    assert.equal(lossy.totalCount, ROUNDS * DOMAINS.length);
+    assert.equal(lossy.failureRate, 50);
+    assert.deepEqual(lossy.times.map(time => time === null), [false, true, false, true]);
+    assert.equal(lossy.avg, average(lossy.times));
+    assert.deepEqual(lossy.answers, { 'one.test': 'ENOTFOUND' });
+    assert.equal(lossy.errors.ETIMEOUT, ROUNDS);
+    assert.equal(lossy.consistency, 0);
+});
+
+test('a resolver that never answers', async (t) => {
+    const silent = await startStubResolver({});
+    t.after(() => silent.close());
+
+    const [result] = await performDnsBenchmark([silent.server], ['one.test'], 1, TIMEOUT);
+
+    assert.equal(result.success, false);
+    assert.equal(result.failureRate, 100);
+    assert.deepEqual(result.times, [null]);
+    assert.equal(result.avg, null);
+    assert.equal(result.min, null);
+    assert.equal(result.jitter, 0);
+    assert.equal(result.consistency, 0);
+});
@@ -0,0 +1,72 @@
+// stub-resolver.js - Scripted UDP DNS server on 127.0.0.1 for resolver tests
+const dgram = require('dgram');
+const { RECORD_TYPES, decodeMessage } = require('../dns-message');
+
+const RCODE_NXDOMAIN = 3;
+
+// zone: { 'name': ['10.0.0.1', ...] | 'NXDOMAIN' | 'drop' }; names missing from the zone are dropped too
+function startStubResolver(zone, { delay = 0 } = {}) {
+    const socket = dgram.createSocket('udp4');
+
+    socket.on('message', (query, remote) => {
+        let question;
+        try {
+            question = decodeMessage(query).questions[0];
+        } catch (error) {
+            return;
+        }
+
+        const entry = question && zone[question.name.toLowerCase()];
+        if (!entry || entry === 'drop') return;
+
+        const reply = encodeReply(query, question, entry);
+        setTimeout(() => socket.send(reply, remote.port, remote.address), delay);
+    });
+
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(0, '127.0.0.1', () => {
+            const { port } = socket.address();
+            resolve({
+                server: `127.0.0.1:${port}`,
+                close: () => new Promise(done => socket.close(done))
+            });
+        });
+    });
+}
+
+function encodeReply(query, question, entry) {
+    // Header plus the question exactly as asked: QNAME, QTYPE, QCLASS
+    const questionEnd = 12 + encodedNameLength(query, 12) + 4;
+    const addresses = question.type === 'A' && Array.isArray(entry) ? entry : [];
+    const rcode = entry === 'NXDOMAIN' ? RCODE_NXDOMAIN : 0;
+
+    const header = Buffer.alloc(12);
+    query.copy(header, 0, 0, 2); // ID
+    header.writeUInt16BE(0x8180 | rcode, 2); // QR, RD, RA
+    header.writeUInt16BE(1, 4); // QDCOUNT
+    header.writeUInt16BE(addresses.length, 6); // ANCOUNT
+
+    const answers = addresses.map((address) => {
+        const record = Buffer.alloc(16);
+        record.writeUInt16BE(0xc00c, 0); // pointer to the question name
+        record.writeUInt16BE(RECORD_TYPES.A, 2);
+        record.writeUInt16BE(1, 4); // IN
+        record.writeUInt32BE(60, 6); // TTL
+        record.writeUInt16BE(4, 10);
+        address.split('.').forEach((octet, index) => record.writeUInt8(Number(octet), 12 + index));
+        return record;
+    });
+
+    return Buffer.concat([header, query.subarray(12, questionEnd), ...answers]);
+}
+
+function encodedNameLength(buffer, offset) {
+    let position = offset;
+    while (buffer[position] !== 0) {
+        position += buffer[position] + 1;
+    }
+    return position + 1 - offset;
+}
+
+module.exports = { startStubResolver };
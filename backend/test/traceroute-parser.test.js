@@ -0,0 +1,109 @@
+// traceroute-parser.test.js - parseTraceroute against captured traceroute/tracert output
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTraceroute } = require('../traceroute-parser');
+
+function parseFixture(name, platform = 'linux') {
+    const output = fs.readFileSync(path.join(__dirname, 'fixtures', 'traceroute', name), 'utf8');
+    return parseTraceroute(output, platform);
+}
+
+// Compact view of a hop: primary responder, its times and the loss
+function summary(hop) {
+    return { hop: hop.hop, ip: hop.ip, hostname: hop.hostname, times: hop.times, loss: hop.loss };
+}
+
+function assertTimedOut(hop, probes = 3) {
+    assert.equal(hop.ip, 'Unknown');
+    assert.deepEqual(hop.responders, []);
+    assert.equal(hop.times, null);
+    assert.equal(hop.avg, null);
+    assert.equal(hop.loss, 100);
+    assert.equal(hop.probes.length, probes);
+}
+
+test('Linux traceroute with names, ECMP responders on one line and !H', () => {
+    const hops = parseFixture('linux.txt');
+
+    assert.equal(hops.length, 5);
+    assert.deepEqual(summary(hops[0]), { hop: 1, ip: '192.168.1.1', hostname: '_gateway', times: [1.123, 0.987, 1.045], loss: 0 });
+    assert.deepEqual(summary(hops[1]), { hop: 2, ip: '10.20.0.1', hostname: null, times: [8.412, 8.39, 8.511], loss: 0 });
+    assertTimedOut(hops[2]);
+
+    assert.deepEqual(hops[3].responders, [
+        { ip: '203.0.113.9', hostname: 'ae-1.r01.fra.example.net', times: [12.034] },
+        { ip: '203.0.113.10', hostname: 'ae-2.r02.fra.example.net', times: [12.551, 12.498] }
+    ]);
+
+    assert.deepEqual(summary(hops[4]), { hop: 5, ip: '203.0.113.77', hostname: null, times: [13.02, 13.11], loss: (1 / 3) * 100 });
+    assert.deepEqual(hops[4].annotations, ['!H']);
+    assert.deepEqual(hops[4].probes.map(probe => probe.annotation), ['!H', '!H', null]);
+});
+
+test('Linux traceroute -n with bare addresses', () => {
+    const hops = parseFixture('linux-numeric.txt');
+
+    assert.deepEqual(hops.map(summary), [
+        { hop: 1, ip: '192.168.1.1', hostname: null, times: [1.201, 1.154, 1.098], loss: 0 },
+        { hop: 2, ip: 'Unknown', hostname: null, times: null, loss: 100 },
+        { hop: 3, ip: '93.184.216.34', hostname: null, times: [14.201, 14.187, 14.305], loss: 0 }
+    ]);
+});
+
+test('BSD/macOS traceroute with ECMP continuation lines', () => {
+    const hops = parseFixture('bsd.txt', 'darwin');
+
+    assert.equal(hops.length, 4);
+    assertTimedOut(hops[1]);
+
+    // The indented lines belong to hop 3
+    assert.equal(hops[2].probes.length, 3);
+    assert.deepEqual(hops[2].times, [10.12, 10.543, 10.301]);
+    assert.deepEqual(hops[2].responders, [
+        { ip: '198.51.100.1', hostname: 'xe-0-0-1.core1.example.net', times: [10.12, 10.301] },
+        { ip: '198.51.100.2', hostname: 'xe-0-0-2.core1.example.net', times: [10.543] }
+    ]);
+
+    assert.equal(hops[3].ip, '93.184.216.34');
+    assert.deepEqual(hops[3].annotations, ['!H']);
+    assert.equal(hops[3].loss, (1 / 3) * 100);
+});
+
+test('busybox traceroute', () => {
+    const hops = parseFixture('busybox.txt');
+
+    assert.deepEqual(hops.map(summary), [
+        { hop: 1, ip: '192.168.1.1', hostname: null, times: [0.612, 0.508, 0.497], loss: 0 },
+        { hop: 2, ip: 'Unknown', hostname: null, times: null, loss: 100 },
+        { hop: 3, ip: '93.184.216.34', hostname: null, times: [11.842, 11.514, 11.63], loss: 0 }
+    ]);
+});
+
+test('Windows tracert over IPv4', () => {
+    // Detected from the "Tracing route to" header whatever the platform
+    const hops = parseFixture('windows-ipv4.txt', 'linux');
+
+    assert.equal(hops.length, 6);
+    // "<1 ms" counts as its 1 ms upper bound
+    assert.deepEqual(summary(hops[0]), { hop: 1, ip: '192.168.1.1', hostname: null, times: [1, 1, 1], loss: 0 });
+    assertTimedOut(hops[2]);
+    assert.deepEqual(summary(hops[3]), { hop: 4, ip: '203.0.113.9', hostname: 'ae-1.r01.fra.example.net', times: [12, 12, 13], loss: 0 });
+    assert.deepEqual(summary(hops[4]), { hop: 5, ip: '93.184.216.34', hostname: null, times: [14, 15], loss: (1 / 3) * 100 });
+
+    assert.equal(hops[5].ip, '10.0.0.1');
+    assert.equal(hops[5].loss, 100);
+    assert.deepEqual(hops[5].annotations, ['Destination host unreachable']);
+});
+
+test('Windows tracert over IPv6', () => {
+    const hops = parseFixture('windows-ipv6.txt', 'win32');
+
+    assert.deepEqual(hops.map(summary), [
+        { hop: 1, ip: 'fe80::1', hostname: null, times: [1, 1, 1], loss: 0 },
+        { hop: 2, ip: '2001:db8:2::1', hostname: 'edge.example.net', times: [9, 8, 8], loss: 0 },
+        { hop: 3, ip: 'Unknown', hostname: null, times: null, loss: 100 },
+        { hop: 4, ip: '2606:2800:220:1:248:1893:25c8:1946', hostname: null, times: [15, 14, 15], loss: 0 }
+    ]);
+});
@@ -0,0 +1,41 @@
+// udp-echo.test.js - performUdpProbe against a local reflector
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UdpProbeError, startUdpReflector, performUdpProbe } = require('../udp-echo');
+
+test('string options from the WebSocket are coerced', async (t) => {
+    const reflector = await startUdpReflector(0, '127.0.0.1');
+    t.after(() => reflector.close());
+
+    const result = await performUdpProbe('127.0.0.1', {
+        port: String(reflector.port),
+        count: '3',
+        interval: '10',
+        size: '64',
+        timeout: '500'
+    });
+
+    assert.equal(result.sent, 3);
+    assert.equal(result.times.length, 3);
+    assert.equal(result.received, 3);
+    assert.equal(result.packetLoss, 0);
+    assert.equal(reflector.echoed, 3);
+});
+
+test('options that are not positive integers are rejected', async () => {
+    for (const options of [{ count: 'three' }, { count: 0 }, { interval: -100 }, { size: 1.5 }, { timeout: '' }, { port: 70000 }]) {
+        await assert.rejects(performUdpProbe('127.0.0.1', options), UdpProbeError);
+    }
+});
+
+test('unanswered packets count as loss', async () => {
+    // Nothing listens on the reflector's old port once it is closed
+    const reflector = await startUdpReflector(0, '127.0.0.1');
+    reflector.close();
+
+    const result = await performUdpProbe('127.0.0.1', { port: reflector.port, count: 2, interval: 10, timeout: 100 });
+
+    assert.equal(result.alive, false);
+    assert.deepEqual(result.times, [null, null]);
+    assert.equal(result.packetLoss, 100);
+});
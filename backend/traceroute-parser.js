@@ -0,0 +1,167 @@
+// traceroute-parser.js - Parse Linux/BSD traceroute, busybox traceroute and Windows tracert output
+const net = require('net');
+
+// One token of a Unix traceroute hop line: "*", "1.234 ms", "!H", "name (ip)" or a bare name/IP
+const UNIX_TOKEN = /(\*)|(\d+(?:\.\d+)?)\s*ms\b|(![A-Za-z]*(?:\d+)?(?:-\d+)?)(?=\s|$)|([^\s()]+)\s+\(([^)]+)\)|(\S+)/g;
+
+// Windows probe column: "<1 ms", "12 ms" or "*"
+const WINDOWS_PROBE = /<?(\d+)\s*ms|\*/g;
+
+function isWindowsOutput(output, platform) {
+    return platform === 'win32' || /^Tracing route to /m.test(output);
+}
+
+function parseTraceroute(output, platform = process.platform) {
+    const windows = isWindowsOutput(output, platform);
+    const hops = [];
+
+    for (const rawLine of output.split(/\r?\n/)) {
+        if (!rawLine.trim()) continue;
+
+        const hopMatch = rawLine.match(/^\s*(\d+)\s+(.*)$/);
+
+        if (!hopMatch) {
+            // Some traceroutes print further ECMP responders on indented continuation lines
+            const previous = hops[hops.length - 1];
+            if (!windows && previous && /^\s/.test(rawLine) && /\d\s*ms\b|\*/.test(rawLine)) {
+                previous.probes.push(...parseUnixProbes(rawLine.trim()));
+            }
+            continue;
+        }
+
+        const hopNumber = parseInt(hopMatch[1]);
+        const probes = windows
+            ? parseWindowsProbes(hopMatch[2])
+            : parseUnixProbes(hopMatch[2]);
+
+        if (probes) {
+            hops.push({ hop: hopNumber, probes });
+        }
+    }
+
+    return hops.map(summarizeHop);
+}
+
+function parseUnixProbes(text) {
+    const probes = [];
+    let responder = null;
+    let match;
+
+    UNIX_TOKEN.lastIndex = 0;
+    while ((match = UNIX_TOKEN.exec(text)) !== null) {
+        const [, star, time, annotation, name, address, bare] = match;
+
+        if (star) {
+            probes.push({ ip: null, hostname: null, time: null, annotation: null });
+        } else if (time !== undefined) {
+            probes.push({
+                ip: responder ? responder.ip : null,
+                hostname: responder ? responder.hostname : null,
+                time: parseFloat(time),
+                annotation: null
+            });
+        } else if (annotation) {
+            // !H, !N, !P, !X, !<num>... qualify the probe printed just before
+            const last = probes[probes.length - 1];
+            if (last) {
+                last.annotation = annotation;
+            }
+        } else if (name) {
+            responder = {
+                ip: net.isIP(address) ? address : null,
+                hostname: name === address ? null : name
+            };
+        } else if (bare) {
+            responder = net.isIP(bare)
+                ? { ip: bare, hostname: null }
+                : { ip: null, hostname: bare };
+        }
+    }
+
+    return probes;
+}
+
+// "  4    12 ms    11 ms    12 ms  name [1.2.3.4]" / "  3     *        *        *     Request timed out."
+// / "  6  10.0.0.1  reports: Destination host unreachable."
+function parseWindowsProbes(text) {
+    const columns = text.match(/^((?:(?:<?\d+\s*ms|\*)\s*){1,})(.*)$/);
+    const target = columns ? columns[2].trim() : text.trim();
+    let responder = { ip: null, hostname: null };
+    let annotation = null;
+
+    const named = target.match(/^(\S+)\s+\[([^\]]+)\]/);
+    const reports = target.match(/^(\S+?):?\s+reports:\s*(.*)$/);
+
+    if (named) {
+        responder = { ip: named[2], hostname: named[1] };
+    } else if (reports) {
+        // "10.0.0.1  reports: Destination host unreachable."
+        responder = { ip: net.isIP(reports[1]) ? reports[1] : null, hostname: null };
+        annotation = reports[2].replace(/\.$/, '');
+    } else if (net.isIP(target.split(/\s+/)[0])) {
+        responder = { ip: target.split(/\s+/)[0], hostname: null };
+    }
+
+    if (!columns) {
+        return reports ? [{ ...responder, time: null, annotation }] : null;
+    }
+
+    const probes = [];
+    let match;
+
+    WINDOWS_PROBE.lastIndex = 0;
+    while ((match = WINDOWS_PROBE.exec(columns[1])) !== null) {
+        const replied = match[1] !== undefined;
+        probes.push({
+            ip: replied ? responder.ip : null,
+            hostname: replied ? responder.hostname : null,
+            // "<1 ms" is reported as its 1 ms upper bound
+            time: replied ? parseFloat(match[1]) : null,
+            annotation: null
+        });
+    }
+
+    if (annotation && probes.length > 0) {
+        probes[probes.length - 1].annotation = annotation;
+    }
+
+    return probes;
+}
+
+function summarizeHop({ hop, probes }) {
+    const responders = [];
+
+    for (const probe of probes) {
+        if (!probe.ip && !probe.hostname) continue;
+
+        let responder = responders.find(r => r.ip === probe.ip && r.hostname === probe.hostname);
+        if (!responder) {
+            responder = { ip: probe.ip, hostname: probe.hostname, times: [] };
+            responders.push(responder);
+        }
+        if (probe.time !== null) {
+            responder.times.push(probe.time);
+        }
+    }
+
+    const times = probes.filter(p => p.time !== null).map(p => p.time);
+    const annotations = [...new Set(probes.map(p => p.annotation).filter(Boolean))];
+    const primary = responders[0] || null;
+
+    return {
+        hop,
+        // ip/times/avg keep the shape of the previous single-responder parser
+        ip: primary && primary.ip ? primary.ip : 'Unknown',
+        hostname: primary ? primary.hostname : null,
+        responders,
+        probes,
+        times: times.length > 0 ? times : null,
+        avg: times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : null,
+        loss: probes.length > 0 ? ((probes.length - times.length) / probes.length) * 100 : 100,
+        annotations
+    };
+}
+
+module.exports = {
+    parseTraceroute
+};
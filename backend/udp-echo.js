@@ -0,0 +1,267 @@
+// udp-echo.js - UDP echo reflector and sequenced probe client
+//
+// Run standalone on any host you want to measure UDP latency to:
+//   node udp-echo.js [port] [bindAddress]
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 5005;
+
+// Probe packet layout: magic | session id | sequence | send time (ns) | padding
+const MAGIC = Buffer.from('NLAU');
+const HEADER_SIZE = 20;
+const MAX_PACKET_SIZE = 1400;
+
+// Slack on top of the last packet's timeout before a probe gives up on the rest
+const DEADLINE_GRACE_MS = 1000;
+
+class UdpProbeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UdpProbeError';
+        this.status = 400;
+    }
+}
+
+function isProbePacket(buffer) {
+    return buffer.length >= HEADER_SIZE && buffer.subarray(0, 4).equals(MAGIC);
+}
+
+// ==================== Reflector ====================
+
+// Echo probe packets back to their sender; anything else is dropped so the
+// reflector cannot be used to bounce arbitrary traffic.
+function startUdpReflector(port = DEFAULT_PORT, address = '::') {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket({ type: address.includes(':') ? 'udp6' : 'udp4' });
+        let echoed = 0;
+
+        socket.on('message', (buffer, remote) => {
+            if (!isProbePacket(buffer) || buffer.length > MAX_PACKET_SIZE) return;
+
+            echoed++;
+            socket.send(buffer, remote.port, remote.address);
+        });
+
+        socket.once('error', reject);
+
+        socket.bind(port, address, () => {
+            socket.removeListener('error', reject);
+            socket.on('error', (error) => {
+                console.error('UDP reflector error:', error.message);
+            });
+
+            resolve({
+                port: socket.address().port,
+                get echoed() {
+                    return echoed;
+                },
+                close() {
+                    socket.close();
+                }
+            });
+        });
+    });
+}
+
+// ==================== Probe Client ====================
+
+// Send `count` sequenced packets every `interval` ms and track RTT, loss,
+// reordering and duplicates. `onSample` is called for every reply or loss.
+async function performUdpProbe(host, options = {}) {
+    const { onSample = () => {} } = options;
+
+    // Options may arrive as strings (e.g. over the WebSocket): coerce them once here
+    const port = positiveInteger('port', options.port, DEFAULT_PORT, 65535);
+    const count = positiveInteger('count', options.count, 20);
+    const interval = positiveInteger('interval', options.interval, 100);
+    const size = positiveInteger('size', options.size, 64);
+    const timeout = positiveInteger('timeout', options.timeout, 1000);
+
+    const packetSize = Math.min(Math.max(size, HEADER_SIZE), MAX_PACKET_SIZE);
+    const { address, family } = await dns.lookup(host);
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+        const sessionId = crypto.randomInt(0, 2 ** 32);
+        const times = new Array(count).fill(null);
+        const pending = new Map();
+        const received = new Set();
+        let duplicates = 0;
+        let reordered = 0;
+        let late = 0;
+        let highestSeq = -1;
+        let settledCount = 0;
+        let sendTimer = null;
+        let deadlineTimer = null;
+        let finished = false;
+
+        const stop = () => {
+            finished = true;
+            clearInterval(sendTimer);
+            clearTimeout(deadlineTimer);
+            for (const entry of pending.values()) {
+                clearTimeout(entry.timer);
+            }
+            socket.close();
+        };
+
+        const finish = () => {
+            if (finished) return;
+            stop();
+
+            const validTimes = times.filter(t => t !== null);
+
+            resolve({
+                alive: validTimes.length > 0,
+                host,
+                address,
+                port,
+                size: packetSize,
+                interval,
+                times,
+                sent: count,
+                received: validTimes.length,
+                successCount: validTimes.length,
+                totalCount: count,
+                packetLoss: ((count - validTimes.length) / count) * 100,
+                duplicates,
+                reordered,
+                late,
+                min: validTimes.length > 0 ? Math.min(...validTimes) : null,
+                max: validTimes.length > 0 ? Math.max(...validTimes) : null,
+                avg: validTimes.length > 0 ?
+                    validTimes.reduce((a, b) => a + b, 0) / validTimes.length : null,
+                jitter: calculateJitter(validTimes),
+                timestamp: new Date().toISOString(),
+                method: 'UDP'
+            });
+        };
+
+        const settle = () => {
+            settledCount++;
+            if (settledCount === count) finish();
+        };
+
+        socket.on('message', (buffer) => {
+            if (!isProbePacket(buffer) || buffer.readUInt32BE(4) !== sessionId) return;
+
+            const seq = buffer.readUInt32BE(8);
+            if (seq >= count) return;
+
+            if (received.has(seq)) {
+                duplicates++;
+                onSample({ seq, duplicate: true });
+                return;
+            }
+
+            const entry = pending.get(seq);
+            if (!entry) {
+                // Arrived after its timeout already counted it as lost
+                late++;
+                return;
+            }
+
+            clearTimeout(entry.timer);
+            pending.delete(seq);
+            received.add(seq);
+
+            const rtt = Number(process.hrtime.bigint() - entry.sentAt) / 1e6;
+            const outOfOrder = seq < highestSeq;
+            times[seq] = rtt;
+
+            if (outOfOrder) {
+                reordered++;
+            } else {
+                highestSeq = seq;
+            }
+
+            onSample({ seq, rtt, reordered: outOfOrder });
+            settle();
+        });
+
+        socket.on('error', (error) => {
+            if (finished) return;
+            stop();
+            reject(error);
+        });
+
+        let seq = 0;
+        const sendNext = () => {
+            if (seq >= count) {
+                clearInterval(sendTimer);
+                return;
+            }
+
+            const currentSeq = seq++;
+            const packet = Buffer.alloc(packetSize);
+            const sentAt = process.hrtime.bigint();
+
+            MAGIC.copy(packet, 0);
+            packet.writeUInt32BE(sessionId, 4);
+            packet.writeUInt32BE(currentSeq, 8);
+            packet.writeBigUInt64BE(sentAt, 12);
+
+            const timer = setTimeout(() => {
+                pending.delete(currentSeq);
+                onSample({ seq: currentSeq, lost: true });
+                settle();
+            }, timeout);
+
+            pending.set(currentSeq, { sentAt, timer });
+            socket.send(packet, port, address);
+        };
+
+        sendNext();
+        sendTimer = setInterval(sendNext, interval);
+
+        // Whatever happens to the replies, resolve with what has settled by then
+        deadlineTimer = setTimeout(finish, (count - 1) * interval + timeout + DEADLINE_GRACE_MS);
+    });
+}
+
+function positiveInteger(name, value, fallback, max = Infinity) {
+    if (value === undefined || value === null) return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new UdpProbeError(max === Infinity
+            ? `${name} must be a positive integer`
+            : `${name} must be an integer between 1 and ${max}`);
+    }
+    return number;
+}
+
+function calculateJitter(times) {
+    if (times.length < 2) return 0;
+
+    const differences = [];
+    for (let i = 1; i < times.length; i++) {
+        differences.push(Math.abs(times[i] - times[i - 1]));
+    }
+
+    return differences.reduce((a, b) => a + b, 0) / differences.length;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    UdpProbeError,
+    startUdpReflector,
+    performUdpProbe
+};
+
+// Standalone reflector
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.UDP_REFLECTOR_PORT || DEFAULT_PORT);
+    const address = process.argv[3] || '::';
+
+    startUdpReflector(port, address)
+        .then(({ port: boundPort }) => {
+            console.log(`UDP echo reflector listening on ${address} port ${boundPort}`);
+        })
+        .catch((error) => {
+            console.error('Failed to start UDP reflector:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,234 @@
+// validation.js - Check requests and responses against the OpenAPI document
+//
+// Supports the JSON Schema keywords openapi.js uses: type (incl. lists),
+// enum, minimum/maximum/exclusiveMinimum, minLength/maxLength, minItems,
+// items, properties, required, oneOf and local $refs.
+
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => `${error.path} ${error.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.details = errors;
+    }
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+function matchesType(schema, value) {
+    return !schema.type || [].concat(schema.type).some(type => TYPE_CHECKS[type](value));
+}
+
+function resolveRef(spec, schema) {
+    while (schema && schema.$ref) {
+        schema = schema.$ref
+            .replace(/^#\//, '')
+            .split('/')
+            .reduce((node, key) => node[key], spec);
+    }
+    return schema;
+}
+
+// Returns a list of { path, message }; empty when `value` matches `schema`
+function validateSchema(spec, schema, value, path) {
+    schema = resolveRef(spec, schema);
+    if (!schema) return [];
+
+    if (schema.oneOf) {
+        const options = schema.oneOf.map(option => resolveRef(spec, option));
+        const matches = options.filter(option => validateSchema(spec, option, value, path).length === 0);
+        if (matches.length === 1) return [];
+        if (matches.length > 1) return [{ path, message: 'matches more than one allowed form' }];
+
+        // When only one form has the right type, its errors say what is wrong
+        const sameType = options.filter(option => matchesType(option, value));
+        return sameType.length === 1
+            ? validateSchema(spec, sameType[0], value, path)
+            : [{ path, message: 'does not match any allowed form' }];
+    }
+
+    if (!matchesType(schema, value)) {
+        const types = [].concat(schema.type);
+        return [{ path, message: `must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}` }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path, message: `must be one of ${schema.enum.filter(option => option !== null).join(', ')}` }];
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return [{ path, message: `must be at least ${schema.minimum}` }];
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            return [{ path, message: `must be greater than ${schema.exclusiveMinimum}` }];
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return [{ path, message: `must be at most ${schema.maximum}` }];
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return [{ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` }];
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return [{ path, message: `must be at most ${schema.maxLength} characters` }];
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return [{ path, message: `must have at least ${schema.minItems} item(s)` }];
+        }
+        if (schema.items) {
+            return value.flatMap((item, index) => validateSchema(spec, schema.items, item, `${path}[${index}]`));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const missing = (schema.required || [])
+            .filter(name => value[name] === undefined)
+            .map(name => ({ path: `${path}.${name}`, message: 'is required' }));
+
+        const invalid = Object.entries(schema.properties || {})
+            .filter(([name]) => value[name] !== undefined)
+            .flatMap(([name, property]) => validateSchema(spec, property, value[name], `${path}.${name}`));
+
+        return [...missing, ...invalid];
+    }
+
+    return [];
+}
+
+// Query strings are text: convert the values whose schema expects a number or boolean
+function coerceQueryValue(spec, schema, value) {
+    const types = [].concat(resolveRef(spec, schema).type || []);
+
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Express-style paths ("/api/monitors/{id}" matches "/api/monitors/abc")
+function compilePaths(spec) {
+    return Object.entries(spec.paths).map(([template, item]) => ({
+        pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`),
+        item
+    }));
+}
+
+function findOperation(routes, method, requestPath) {
+    const route = routes.find(candidate => candidate.pattern.test(requestPath));
+    return route ? route.item[method.toLowerCase()] || null : null;
+}
+
+// JSON body of a 400 for a ValidationError or a list of { path, message }
+function validationError(errors) {
+    const error = errors instanceof ValidationError ? errors : new ValidationError(errors);
+    return {
+        error: 'Invalid request',
+        message: error.message,
+        details: error.details
+    };
+}
+
+// Check `body` against the request body schema of `method` `path` (e.g.
+// 'post', '/api/ping') outside a request to it, as when a schedule stores
+// the body for later. Throws a ValidationError with paths under `prefix`.
+function validateRequestBody(spec, path, method, body, prefix = 'body') {
+    const operation = spec.paths[path] && spec.paths[path][method];
+    const content = operation && operation.requestBody && operation.requestBody.content['application/json'];
+    if (!content) return;
+
+    const errors = validateSchema(spec, content.schema, body, prefix);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+}
+
+function getResponseSchema(spec, operation, status) {
+    const response = resolveRef(spec,
+        operation.responses[status] || operation.responses[`${String(status)[0]}XX`] || operation.responses.default
+    );
+    const content = response && response.content && response.content['application/json'];
+    return content ? content.schema : null;
+}
+
+// Express middleware validating the query and JSON body of every request
+// the document describes (400 with an Error object), and the JSON responses
+// they send. Response mismatches are logged; with `strictResponses` the
+// client gets a 500 instead of the invalid body.
+function validateRequests(spec, options = {}) {
+    const { strictResponses = false } = options;
+    const routes = compilePaths(spec);
+
+    return (req, res, next) => {
+        const operation = findOperation(routes, req.method, req.path);
+        if (!operation) return next();
+
+        const errors = [];
+
+        for (const parameter of (operation.parameters || []).filter(candidate => candidate.in === 'query')) {
+            const value = req.query[parameter.name];
+            if (value === undefined) continue;
+
+            errors.push(...validateSchema(
+                spec,
+                parameter.schema,
+                coerceQueryValue(spec, parameter.schema, value),
+                `query.${parameter.name}`
+            ));
+        }
+
+        const bodyContent = operation.requestBody && operation.requestBody.content['application/json'];
+        if (bodyContent) {
+            errors.push(...validateSchema(spec, bodyContent.schema, req.body, 'body'));
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json(validationError(errors));
+        }
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const schema = getResponseSchema(spec, operation, res.statusCode);
+            const problems = schema ? validateSchema(spec, schema, body, 'response') : [];
+
+            if (problems.length === 0) return json(body);
+
+            console.error(`Response of ${req.method} ${req.path} does not match the API document:`,
+                problems.map(problem => `${problem.path} ${problem.message}`).join('; '));
+
+            if (!strictResponses) return json(body);
+            res.status(500);
+            return json({
+                error: 'Invalid response',
+                message: 'The server produced a response that does not match its API document',
+                details: problems
+            });
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    ValidationError,
+    validateSchema,
+    validationError,
+    validateRequestBody,
+    validateRequests
+};
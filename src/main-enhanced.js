@@ -10,6 +10,15 @@ const WS_URL = window.location.hostname === 'localhost'
     ? 'ws://localhost:3001'
     : `wss://${window.location.host}`;
 
+// Port scanner presets (ports accept single numbers and ranges)
+const PORT_SCAN_PRESETS = {
+    web: { label: '🌐 Web', ports: '80,443,8080,8443' },
+    mail: { label: '✉️ Mail', ports: '25,110,143,465,587,993,995' },
+    remote: { label: '🖥️ Remote Access', ports: '22,23,3389,5900,5938' },
+    databases: { label: '🗄️ Databases', ports: '1433,1521,3306,5432,6379,9042,9200,27017' },
+    games: { label: '🎮 Game Ports', ports: '3074,3478-3480,25565,27015' }
+};
+
 // Enhanced Network Analyzer with Backend Support
 class EnhancedNetworkAnalyzer {
     constructor() {
@@ -26,10 +35,27 @@ class EnhancedNetworkAnalyzer {
         this.testHistory = [];
         this.gamingModeEnabled = false;
         this.comparisonResults = null;
+        this.comparisonProgress = null; // { completed, total, samples } while a comparison streams
+        this.batchController = null; // Aborts the streamed server comparison
         this.currentSort = 'avg';
         this.useBackend = true; // Flag to use backend when available
         this.ws = null; // WebSocket connection
+        this.backendAuthRequired = false; // Backend rejected our API key (or its absence)
         this.monitoringSessionId = null;
+        this.udpProbeId = null; // Active streamed UDP probe
+        this.mtrSessionId = null; // Active MTR path monitoring session
+        this.mtrHost = null;
+        this.traceId = null; // Streamed traceroute in progress
+        this.traceHops = [];
+        this.monitors = []; // Persistent backend monitors (GET /api/monitors)
+        this.attachedMonitors = new Map(); // monitorId -> recent results streamed over the WebSocket
+        this.schedules = []; // Cron-scheduled backend tests (GET /api/schedules)
+        this.webhooks = []; // Backend alert webhooks (GET /api/webhooks)
+        this.webhookDeliveries = new Map(); // webhookId -> delivery log, while it is expanded
+        this.speedTestRunning = false;
+        this.lastSpeedTest = null; // Latest throughput result, stored with history
+        this.bufferbloat = null; // Target, phase and samples of a running latency-under-load test
+        this.lastBufferbloat = null;
         this.db = null; // IndexedDB instance
         
         // Enhanced server locations database
@@ -63,12 +89,29 @@ class EnhancedNetworkAnalyzer {
                 testCount: 10,
                 interval: 1,
                 timeout: 5000,
-                testsPerBatch: 5
+                testsPerBatch: 5,
+                tcpPort: 443,
+                udpPort: 5005
             },
             history: {
                 maxItems: 100,
                 autoSave: true
             },
+            speedTest: {
+                duration: 8000,
+                streams: 4,
+                downloadBytes: 25 * 1024 * 1024,
+                uploadBytes: 256 * 1024
+            },
+            bufferbloat: {
+                idleDuration: 5000,
+                interval: 200
+            },
+            dnsBenchmark: {
+                domains: ['google.com', 'cloudflare.com', 'wikipedia.org', 'amazon.com', 'github.com'],
+                rounds: 3,
+                encrypted: ['doh', 'doh-json', 'dot']
+            },
             ui: {
                 darkModeDefault: false,
                 soundEnabled: true,
@@ -78,7 +121,10 @@ class EnhancedNetworkAnalyzer {
             backend: {
                 enabled: true,
                 autoReconnect: true,
-                reconnectInterval: 5000
+                reconnectInterval: 5000,
+                // [{ name, key, scopes }] checked against GET /api/auth
+                apiKeys: [],
+                activeApiKey: null
             }
         };
         
@@ -87,15 +133,19 @@ class EnhancedNetworkAnalyzer {
 
     async init() {
         await this.initIndexedDB();
+        // Before connecting, so a saved API key is used from the start
+        await this.loadSettings();
         await this.checkBackendConnection();
         this.initWebSocket();
         this.initializeHistory();
         this.renderUI();
         this.bindEvents();
+        this.loadMonitors();
+        this.loadSchedules();
+        this.loadWebhooks();
         this.initChart();
         this.checkPWASupport();
         this.initNotifications();
-        this.loadSettings();
         console.log('Enhanced Network Analyzer v2.0 Initialized');
         
         // Show backend status
@@ -147,6 +197,28 @@ class EnhancedNetworkAnalyzer {
         });
     }
 
+    // API key selected in settings, if any
+    getActiveApiKey() {
+        const apiKeys = this.config.backend.apiKeys || [];
+        const active = apiKeys.find(entry => entry.name === this.config.backend.activeApiKey);
+        return active ? active.key : null;
+    }
+
+    getAuthHeaders(apiKey = this.getActiveApiKey()) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    }
+
+    // fetch() against the backend, sending the active API key
+    apiFetch(path, options = {}) {
+        return fetch(`${API_BASE_URL}${path}`, {
+            ...options,
+            headers: {
+                ...options.headers,
+                ...this.getAuthHeaders()
+            }
+        });
+    }
+
     // Check if backend server is available
     async checkBackendConnection() {
         if (!this.config.backend.enabled) {
@@ -155,15 +227,18 @@ class EnhancedNetworkAnalyzer {
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/network-stats`, {
+            const response = await this.apiFetch(`/api/network-stats`, {
                 method: 'GET',
                 signal: AbortSignal.timeout(2000)
             });
             
             this.useBackend = response.ok;
+            // 401/403: the backend has API keys enabled and ours is missing or lacks a scope
+            this.backendAuthRequired = response.status === 401 || response.status === 403;
             console.log(`Backend server ${this.useBackend ? 'connected' : 'not available'}`);
         } catch (error) {
             this.useBackend = false;
+            this.backendAuthRequired = false;
             console.log('Backend server not available, using fallback mode');
         }
     }
@@ -173,7 +248,9 @@ class EnhancedNetworkAnalyzer {
         if (!this.useBackend) return;
 
         try {
-            this.ws = new WebSocket(WS_URL);
+            // Browsers cannot set headers on the WebSocket handshake
+            const apiKey = this.getActiveApiKey();
+            this.ws = new WebSocket(apiKey ? `${WS_URL}/?apiKey=${encodeURIComponent(apiKey)}` : WS_URL);
             
             this.ws.onopen = () => {
                 console.log('WebSocket connected');
@@ -192,6 +269,17 @@ class EnhancedNetworkAnalyzer {
                 console.log('WebSocket disconnected');
                 this.updateBackendStatus();
                 
+                // The backend ends MTR sessions with the connection
+                if (this.mtrSessionId) {
+                    this.setMtrStopped();
+                }
+                
+                // Monitors keep running on the server; only the live view stops
+                if (this.attachedMonitors.size > 0) {
+                    this.attachedMonitors.clear();
+                    this.renderMonitorList();
+                }
+                
                 // Auto-reconnect if enabled
                 if (this.config.backend.autoReconnect && this.useBackend) {
                     setTimeout(() => this.initWebSocket(), this.config.backend.reconnectInterval);
@@ -207,6 +295,11 @@ class EnhancedNetworkAnalyzer {
         try {
             const data = JSON.parse(event.data);
             
+            if (data.error && !data.type) {
+                this.handleWebSocketError(data);
+                return;
+            }
+            
             switch (data.type) {
                 case 'monitoring-update':
                     this.handleMonitoringUpdate(data.data);
@@ -224,6 +317,102 @@ class EnhancedNetworkAnalyzer {
                     this.handlePingResult(data.data);
                     break;
                     
+                case 'udp-probe-sample':
+                    if (data.probeId === this.udpProbeId) {
+                        this.handleUdpProbeSample(data.data);
+                    }
+                    break;
+                    
+                case 'udp-probe-result':
+                    if (data.probeId === this.udpProbeId) {
+                        this.handleUdpProbeResult(data.data);
+                    }
+                    break;
+                    
+                case 'traceroute-hop':
+                    if (data.traceId === this.traceId) {
+                        this.handleTracerouteHop(data.hop, data.progress);
+                    }
+                    break;
+                    
+                case 'traceroute-complete':
+                    if (data.traceId === this.traceId) {
+                        this.traceId = null;
+                        this.displayTraceroute(data.hops);
+                    }
+                    break;
+                    
+                case 'traceroute-cancelled':
+                    if (data.traceId === this.traceId) {
+                        this.traceId = null;
+                        this.displayTraceroute(this.traceHops, null, true);
+                        this.addLog(`⏹️ Traceroute cancelled after ${data.hops} hops`, 'info');
+                    }
+                    break;
+                    
+                case 'traceroute-error':
+                    if (data.traceId === this.traceId) {
+                        this.traceId = null;
+                        this.addLog(`❌ ${this.escapeHtml(data.error)}`, 'error');
+                    }
+                    break;
+                    
+                case 'mtr-started':
+                    if (data.sessionId === this.mtrSessionId) {
+                        this.mtrHost = data.host;
+                        this.addLog(`📡 Path monitoring started: ${data.hops.length} hops to ${data.host}`, 'success');
+                        this.displayMtr(data.host, data.hops, 0);
+                    }
+                    break;
+                    
+                case 'mtr-update':
+                    if (data.sessionId === this.mtrSessionId) {
+                        this.displayMtr(this.mtrHost, data.hops, data.round);
+                    }
+                    break;
+                    
+                case 'mtr-stopped':
+                    if (data.sessionId === this.mtrSessionId) {
+                        this.addLog(`⏹️ Path monitoring stopped (Duration: ${(data.duration / 1000).toFixed(1)}s)`, 'info');
+                        this.setMtrStopped();
+                    }
+                    break;
+                    
+                case 'mtr-error':
+                    if (data.sessionId === this.mtrSessionId) {
+                        this.addLog(`❌ Path monitoring failed: ${this.escapeHtml(data.error)}`, 'error');
+                        this.setMtrStopped();
+                    }
+                    break;
+                    
+                case 'monitor-attached':
+                    this.attachedMonitors.set(data.monitorId, data.monitor.history);
+                    this.updateMonitor(data.monitor);
+                    break;
+                    
+                case 'monitor-update':
+                    this.handleMonitorUpdate(data.monitorId, data.data);
+                    break;
+                    
+                case 'monitor-detached':
+                    this.attachedMonitors.delete(data.monitorId);
+                    this.renderMonitorList();
+                    break;
+                    
+                case 'monitor-removed':
+                    this.attachedMonitors.delete(data.monitorId);
+                    this.monitors = this.monitors.filter(monitor => monitor.id !== data.monitorId);
+                    this.renderMonitorList();
+                    break;
+                    
+                case 'udp-probe-error':
+                    if (data.probeId === this.udpProbeId) {
+                        this.addLog(`❌ UDP probe failed: ${data.error}`, 'error');
+                        this.udpProbeId = null;
+                        if (this.isRunning) this.stopTest();
+                    }
+                    break;
+                    
                 default:
                     console.log('Unknown WebSocket message type:', data.type);
             }
@@ -232,6 +421,29 @@ class EnhancedNetworkAnalyzer {
         }
     }
 
+    // Rejected WebSocket request (e.g. an invalid host): reset whatever was waiting on it
+    handleWebSocketError(data) {
+        this.addLog(`❌ ${this.escapeHtml(data.error)}${data.message ? `: ${this.escapeHtml(data.message)}` : ''}`, 'error');
+
+        if (data.traceId && data.traceId === this.traceId) {
+            this.traceId = null;
+        }
+        if (data.sessionId && data.sessionId === this.mtrSessionId) {
+            this.setMtrStopped();
+        }
+        if (data.sessionId && data.sessionId === this.monitoringSessionId) {
+            this.monitoringSessionId = null;
+            if (this.isRunning) this.stopTest();
+        }
+        if (data.probeId && data.probeId === this.udpProbeId) {
+            this.udpProbeId = null;
+            if (this.isRunning) this.stopTest();
+        }
+        if (data.monitorId && this.attachedMonitors.delete(data.monitorId)) {
+            this.renderMonitorList();
+        }
+    }
+
     // Handle real-time monitoring updates
     handleMonitoringUpdate(data) {
         if (!data.alive) {
@@ -266,13 +478,22 @@ class EnhancedNetworkAnalyzer {
     async performSingleTest() {
         this.testCount++;
         const testNumber = this.testCount;
+        // Attribute the sample to the load phase (and bufferbloat run) it was sent in
+        const bufferbloat = this.bufferbloat;
+        const loadPhase = bufferbloat?.phase;
 
         try {
             let latency;
             
-            if (this.useBackend) {
+            if (loadPhase) {
+                // Latency under load is measured over the path the load runs on
+                latency = await this.measureBackendRtt();
+            } else if (this.useBackend) {
                 // Use backend for accurate ping
-                latency = await this.backendPing();
+                const method = this.getTestMethod();
+                latency = method === 'tcp' ? await this.backendTcpPing()
+                    : method === 'udp' ? await this.backendUdpPing()
+                    : await this.backendPing();
             } else {
                 // Fallback to browser-based measurement
                 latency = await this.measureLatency();
@@ -282,6 +503,9 @@ class EnhancedNetworkAnalyzer {
                 this.successCount++;
                 this.testResults.push(latency);
                 this.chartData.push({ x: testNumber, y: latency });
+                if (loadPhase) {
+                    bufferbloat.samples[loadPhase].push(latency);
+                }
 
                 if (this.chartData.length > this.maxDataPoints) {
                     this.chartData.shift();
@@ -297,8 +521,11 @@ class EnhancedNetworkAnalyzer {
                 this.checkAlerts(latency);
 
                 const quality = this.getQuality(latency);
+                const methodLabel = loadPhase ? '(Backend RTT)' : this.useBackend
+                    ? ({ tcp: '(Backend TCP)', udp: '(Backend UDP)' }[this.getTestMethod()] || '(Backend)')
+                    : '(Browser)';
                 this.addLog(
-                    `✅ Test #${testNumber}: ${latency.toFixed(2)}ms - ${quality.label} ${this.useBackend ? '(Backend)' : '(Browser)'}`,
+                    `✅ Test #${testNumber}: ${latency.toFixed(2)}ms - ${quality.label} ${methodLabel}`,
                     quality.class
                 );
                 
@@ -307,9 +534,18 @@ class EnhancedNetworkAnalyzer {
                     testNumber,
                     latency,
                     timestamp: Date.now(),
-                    target: this.currentTarget,
-                    method: this.useBackend ? 'backend' : 'browser'
+                    target: loadPhase ? bufferbloat.target : this.currentTarget,
+                    method: loadPhase ? 'backend-rtt' : this.useBackend
+                        ? ({ tcp: 'backend-tcp', udp: 'backend-udp' }[this.getTestMethod()] || 'backend')
+                        : 'browser'
                 });
+            } else {
+                // No reply (or the probe could not run): count it as loss
+                this.failCount++;
+                this.testResults.push(null);
+                this.addLog(`❌ Test #${testNumber}: No reply`, 'error');
+                this.updateMetrics();
+                this.calculateAdvancedMetrics();
             }
         } catch (error) {
             this.failCount++;
@@ -323,7 +559,7 @@ class EnhancedNetworkAnalyzer {
     // Backend ping implementation
     async backendPing() {
         try {
-            const response = await fetch(`${API_BASE_URL}/api/ping`, {
+            const response = await this.apiFetch(`/api/ping`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -349,6 +585,146 @@ class EnhancedNetworkAnalyzer {
         }
     }
 
+    // Backend TCP connect probe (handshake time to host:port)
+    async backendTcpPing() {
+        try {
+            const response = await this.apiFetch(`/api/tcp-ping`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    host: this.currentTarget,
+                    port: this.getTcpPort(),
+                    count: 1,
+                    timeout: 2000
+                }),
+                signal: AbortSignal.timeout(5000)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Backend TCP ping failed: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            return data.alive ? data.avg : null;
+        } catch (error) {
+            // No browser fallback: an HTTP timing would be logged as a TCP sample
+            console.error('Backend TCP ping error:', error);
+            return null;
+        }
+    }
+
+    // Backend UDP echo probe (single packet to a reflector)
+    async backendUdpPing() {
+        const response = await this.apiFetch(`/api/udp-probe`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                host: this.currentTarget,
+                port: this.getUdpPort(),
+                count: 1,
+                timeout: 1000
+            }),
+            signal: AbortSignal.timeout(5000)
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Backend UDP probe failed: ${response.statusText}`);
+        }
+        
+        // No browser fallback: HTTP timing would not say anything about UDP
+        const data = await response.json();
+        return data.alive ? data.avg : null;
+    }
+
+    // Selected probe method ('icmp', 'tcp' or 'udp')
+    getTestMethod() {
+        return document.getElementById('testMethod')?.value || 'icmp';
+    }
+
+    getTcpPort() {
+        const port = parseInt(document.getElementById('tcpPort')?.value);
+        return isNaN(port) ? this.config.defaults.tcpPort : port;
+    }
+
+    getUdpPort() {
+        const port = parseInt(document.getElementById('udpPort')?.value);
+        return isNaN(port) ? this.config.defaults.udpPort : port;
+    }
+
+    // Stream a sequenced UDP probe over the WebSocket (per-packet RTT, loss, reordering)
+    startUdpProbeStream(count, interval) {
+        this.udpProbeId = `udp-${Date.now()}`;
+        
+        this.ws.send(JSON.stringify({
+            action: 'udp-probe',
+            probeId: this.udpProbeId,
+            host: this.currentTarget,
+            port: this.getUdpPort(),
+            count,
+            // The backend takes whole milliseconds (1.1 s * 1000 is not one)
+            interval: Math.round(interval)
+        }));
+        
+        this.addLog(`📦 Streaming ${count} UDP packets to ${this.currentTarget}:${this.getUdpPort()}`, 'info');
+    }
+
+    handleUdpProbeSample(data) {
+        if (data.duplicate) {
+            this.addLog(`⚠️ UDP #${data.seq}: duplicate reply`, 'warning');
+            return;
+        }
+        
+        this.testCount++;
+        
+        if (data.lost) {
+            this.failCount++;
+            this.testResults.push(null);
+            this.addLog(`❌ UDP #${data.seq}: packet lost`, 'error');
+            this.updateMetrics();
+            this.calculateAdvancedMetrics();
+            this.updateGamingStats();
+            return;
+        }
+        
+        this.successCount++;
+        this.testResults.push(data.rtt);
+        this.chartData.push({ x: this.testCount, y: data.rtt });
+        
+        if (this.chartData.length > this.maxDataPoints) {
+            this.chartData.shift();
+        }
+        
+        this.updateMetrics();
+        this.calculateAdvancedMetrics();
+        this.drawChart();
+        this.drawHistogram();
+        this.updateQualityScore();
+        this.updateGamingStats();
+        this.checkAlerts(data.rtt);
+        
+        const quality = this.getQuality(data.rtt);
+        this.addLog(
+            `✅ UDP #${data.seq}: ${data.rtt.toFixed(2)}ms - ${quality.label}${data.reordered ? ' (out of order)' : ''}`,
+            quality.class
+        );
+    }
+
+    handleUdpProbeResult(data) {
+        this.udpProbeId = null;
+        this.addLog(
+            `📦 UDP: ${data.received}/${data.sent} received, loss ${data.packetLoss.toFixed(1)}%, reordered ${data.reordered}, duplicates ${data.duplicates}`,
+            data.packetLoss > 0 || data.reordered > 0 ? 'warning' : 'success'
+        );
+        
+        if (this.isRunning) {
+            this.stopTest();
+        }
+    }
+
     // Enhanced traceroute functionality
     async performTraceroute() {
         if (!this.useBackend) {
@@ -356,10 +732,29 @@ class EnhancedNetworkAnalyzer {
             return;
         }
 
+        this.currentTarget = this.currentTarget || document.getElementById('target').value.trim();
         this.addLog(`🔍 Starting traceroute to ${this.currentTarget}...`, 'info');
 
+        // Stream hops as they arrive when the WebSocket is up
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            if (this.traceId) {
+                this.cancelTraceroute();
+            }
+
+            this.traceId = `trace-${Date.now()}`;
+            this.traceHops = [];
+            this.displayTraceroute([], 0);
+            this.ws.send(JSON.stringify({
+                action: 'traceroute',
+                host: this.currentTarget,
+                maxHops: 30,
+                traceId: this.traceId
+            }));
+            return;
+        }
+
         try {
-            const response = await fetch(`${API_BASE_URL}/api/traceroute`, {
+            const response = await this.apiFetch(`/api/traceroute`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -381,22 +776,78 @@ class EnhancedNetworkAnalyzer {
         }
     }
 
-    // Display traceroute results
-    displayTraceroute(hops) {
+    // A hop line arrived (or was updated by an ECMP continuation line)
+    handleTracerouteHop(hop, progress) {
+        const index = this.traceHops.findIndex(existing => existing.hop === hop.hop);
+        if (index === -1) {
+            this.traceHops.push(hop);
+        } else {
+            this.traceHops[index] = hop;
+        }
+
+        this.displayTraceroute(this.traceHops, progress);
+    }
+
+    cancelTraceroute() {
+        if (!this.traceId) return;
+
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                action: 'cancel-traceroute',
+                traceId: this.traceId
+            }));
+        }
+    }
+
+    // Display traceroute results; `progress` (0-1) renders a running trace
+    displayTraceroute(hops, progress = null, cancelled = false) {
+        const running = progress !== null;
+
         let html = `
             <div class="card traceroute-results">
                 <h3>🔍 Traceroute Results</h3>
                 <div class="traceroute-target">Target: ${this.currentTarget}</div>
+                ${running ? `
+                    <div class="traceroute-progress">
+                        <div class="traceroute-progress-bar">
+                            <div class="traceroute-progress-fill" style="width: ${(progress * 100).toFixed(0)}%;"></div>
+                        </div>
+                        <button class="btn btn-secondary" onclick="window.analyzer.cancelTraceroute()">✖ Cancel</button>
+                    </div>
+                ` : ''}
                 <div class="traceroute-hops">
         `;
         
         hops.forEach((hop) => {
             const avgTime = hop.avg ? hop.avg.toFixed(2) : 'N/A';
+            // Every responder for ECMP hops, "*" when nothing answered
+            const responders = (hop.responders || []).length > 0
+                ? hop.responders.map(responder => `
+                    <div class="hop-responder">
+                        ${responder.hostname ? `${this.escapeHtml(responder.hostname)} ` : ''}${responder.ip
+                            ? (responder.hostname ? `(${responder.ip})` : responder.ip)
+                            : ''}
+                    </div>
+                `).join('')
+                : `<div class="hop-responder hop-timeout">${hop.ip === 'Unknown' ? '*' : hop.ip}</div>`;
+            const probes = (hop.probes || []).map(probe => probe.time === null
+                ? '<span class="hop-probe hop-timeout">*</span>'
+                : `<span class="hop-probe">${probe.time.toFixed(2)}</span>`
+            ).join('');
+
             html += `
                 <div class="hop-item">
                     <span class="hop-number">${hop.hop}</span>
-                    <span class="hop-ip">${hop.ip}</span>
-                    <span class="hop-time">${avgTime}ms</span>
+                    <span class="hop-ip">
+                        ${responders}
+                        ${(hop.annotations || []).map(annotation => `
+                            <span class="hop-annotation">${this.escapeHtml(annotation)}</span>
+                        `).join('')}
+                    </span>
+                    <span class="hop-time">
+                        ${probes ? `<span class="hop-probes">${probes}</span>` : ''}
+                        ${avgTime}ms
+                    </span>
                 </div>
             `;
         });
@@ -404,7 +855,7 @@ class EnhancedNetworkAnalyzer {
         html += `
                 </div>
                 <div class="traceroute-summary">
-                    Total hops: ${hops.length}
+                    ${running ? 'Tracing... ' : ''}${cancelled ? 'Cancelled · ' : ''}Total hops: ${hops.length}
                 </div>
             </div>
         `;
@@ -415,7 +866,109 @@ class EnhancedNetworkAnalyzer {
             container.innerHTML = html;
         }
         
-        this.addLog(`✅ Traceroute complete: ${hops.length} hops`, 'success');
+        if (!running && !cancelled) {
+            this.addLog(`✅ Traceroute complete: ${hops.length} hops`, 'success');
+        }
+    }
+
+    // MTR-style path monitoring over the WebSocket
+    toggleMtr() {
+        if (this.mtrSessionId) {
+            this.stopMtr();
+        } else {
+            this.startMtr();
+        }
+    }
+
+    startMtr() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.addLog('⚠️ Path monitoring requires a WebSocket connection to the backend', 'warning');
+            return;
+        }
+
+        this.currentTarget = this.currentTarget || document.getElementById('target').value.trim();
+        if (!this.currentTarget) {
+            this.addLog('⚠️ Please enter a target', 'warning');
+            return;
+        }
+
+        this.mtrSessionId = `mtr-${Date.now()}`;
+        this.ws.send(JSON.stringify({
+            action: 'start-mtr',
+            host: this.currentTarget,
+            sessionId: this.mtrSessionId,
+            interval: 1000,
+            maxHops: 30
+        }));
+
+        document.getElementById('mtrBtn').textContent = '⏹️ Stop Path Monitor';
+        this.addLog(`📡 Discovering path to ${this.currentTarget}...`, 'info');
+    }
+
+    stopMtr() {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({
+                action: 'stop-mtr',
+                sessionId: this.mtrSessionId
+            }));
+        }
+        this.setMtrStopped();
+    }
+
+    setMtrStopped() {
+        this.mtrSessionId = null;
+        const button = document.getElementById('mtrBtn');
+        if (button) {
+            button.textContent = '📡 Path Monitor (MTR)';
+        }
+    }
+
+    // Live per-hop table: loss, last/avg/best/worst and standard deviation
+    displayMtr(host, hops, round) {
+        const format = (value) => value === null ? '—' : value.toFixed(1);
+        const lossClass = (loss) => loss === 0 ? '' : loss < 10 ? 'mtr-loss-low' : 'mtr-loss-high';
+
+        const html = `
+            <div class="card traceroute-results mtr-results">
+                <h3>📡 Path Monitor</h3>
+                <div class="traceroute-target">Target: ${host} · Round ${round}</div>
+                <table class="mtr-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Host</th>
+                            <th>Loss%</th>
+                            <th>Sent</th>
+                            <th>Last</th>
+                            <th>Avg</th>
+                            <th>Best</th>
+                            <th>Worst</th>
+                            <th>StDev</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${hops.map(hop => `
+                            <tr>
+                                <td>${hop.hop}</td>
+                                <td class="mtr-host">${hop.ip || '???'}</td>
+                                <td class="${hop.ip ? lossClass(hop.loss) : ''}">${hop.loss.toFixed(1)}</td>
+                                <td>${hop.sent}</td>
+                                <td>${format(hop.last)}</td>
+                                <td>${format(hop.avg)}</td>
+                                <td>${format(hop.best)}</td>
+                                <td>${format(hop.worst)}</td>
+                                <td>${format(hop.stddev)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const container = document.getElementById('tracerouteContainer');
+        if (container) {
+            container.innerHTML = html;
+        }
     }
 
     // Enhanced batch testing with backend
@@ -433,25 +986,27 @@ class EnhancedNetworkAnalyzer {
         this.addLog('🔄 Starting comprehensive DNS comparison...', 'info');
 
         if (this.useBackend) {
-            // Use backend batch test for better performance
+            // Real DNS queries against each resolver
             try {
-                const response = await fetch(`${API_BASE_URL}/api/batch-test`, {
+                const response = await this.apiFetch(`/api/dns-benchmark`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
                         servers: dnsServers,
-                        testsPerServer: 10
+                        domains: this.config.dnsBenchmark.domains,
+                        rounds: this.config.dnsBenchmark.rounds,
+                        encrypted: this.config.dnsBenchmark.encrypted
                     })
                 });
                 
                 if (!response.ok) {
-                    throw new Error(`Batch test failed: ${response.statusText}`);
+                    throw new Error(`DNS benchmark failed: ${response.statusText}`);
                 }
                 
                 const data = await response.json();
-                this.processBackendBatchResults(data.results);
+                this.processBackendBenchmarkResults(data.results);
             } catch (error) {
                 this.addLog(`⚠️ Backend batch test failed, using fallback`, 'warning');
                 await this.fallbackDNSComparison(dnsServers);
@@ -463,33 +1018,232 @@ class EnhancedNetworkAnalyzer {
 
     // Process backend batch test results
     processBackendBatchResults(results) {
-        const processedResults = results.map(result => {
-            if (!result.success) {
-                return null;
+        const processedResults = results
+            .filter(result => result.success && result.avg !== null)
+            .map(result => this.toBatchComparisonResult(result));
+        
+        this.displayComparisonResults(processedResults);
+    }
+
+    toBatchComparisonResult(result) {
+        const serverInfo = this.serverLocations[result.server] || {
+            name: result.server,
+            location: 'Unknown',
+            flag: '🌐'
+        };
+        
+        return {
+            server: result.server,
+            info: serverInfo,
+            avg: result.avg,
+            min: result.min,
+            max: result.max,
+            jitter: result.jitter,
+            successRate: (result.successCount / result.totalCount) * 100,
+            packetLoss: result.packetLoss,
+            method: 'backend'
+        };
+    }
+
+    // HTTP latency to every known server, streamed from /api/batch-test/stream:
+    // the list re-sorts with each sample and the run can be cancelled
+    async compareServerLatency() {
+        if (this.batchController) {
+            this.cancelServerComparison();
+            return;
+        }
+        if (!this.useBackend) {
+            this.addLog('⚠️ Server latency comparison needs the backend', 'warning');
+            return;
+        }
+
+        const servers = Object.keys(this.serverLocations);
+        const samples = new Map(servers.map(server => [server, []]));
+        const finished = new Map();
+        const controller = new AbortController();
+
+        this.batchController = controller;
+        this.comparisonProgress = { completed: 0, total: servers.length, samples: 0 };
+        document.getElementById('batchCompareBtn').textContent = '⏹️ Cancel Comparison';
+        this.addLog(`📶 Comparing HTTP latency to ${servers.length} servers...`, 'info');
+
+        // Finished servers as reported, running ones from their samples so far
+        const collectResults = () => servers
+            .map(server => finished.get(server) || this.getLiveBatchResult(server, samples.get(server)))
+            .filter(result => result && result.avg !== null);
+
+        const render = () => {
+            const results = collectResults();
+            if (results.length > 0) {
+                this.displayComparisonResults(results, this.comparisonProgress);
             }
-            
-            const serverInfo = this.serverLocations[result.server] || {
-                name: result.server,
-                location: 'Unknown',
-                flag: '🌐'
-            };
-            
-            return {
+        };
+
+        try {
+            const response = await this.apiFetch('/api/batch-test/stream', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    servers,
+                    testsPerServer: this.config.defaults.testsPerBatch
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            await this.readServerSentEvents(response, (event, data) => {
+                switch (event) {
+                    case 'sample':
+                        samples.get(data.server)?.push(data.time);
+                        this.comparisonProgress.samples++;
+                        render();
+                        break;
+
+                    case 'server-complete':
+                        if (data.success && data.avg !== null) {
+                            finished.set(data.server, this.toBatchComparisonResult(data));
+                        } else {
+                            this.addLog(`❌ ${data.server}: ${data.error || 'no response'}`, 'error');
+                        }
+                        samples.delete(data.server);
+                        this.comparisonProgress.completed = data.completed;
+                        render();
+                        break;
+
+                    case 'error':
+                        throw new Error(data.message || data.error);
+                }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.addLog('⏹️ Server latency comparison cancelled', 'warning');
+            } else {
+                this.addLog(`❌ Server latency comparison failed: ${error.message}`, 'error');
+            }
+        } finally {
+            // Also closes the stream when a handler threw
+            controller.abort();
+            this.batchController = null;
+            this.comparisonProgress = null;
+            document.getElementById('batchCompareBtn').textContent = '📶 Compare Server Latency';
+
+            // Keep partial results from a cancelled run, without the progress bar
+            const results = collectResults();
+            if (results.length > 0) {
+                this.displayComparisonResults(results);
+            }
+        }
+    }
+
+    cancelServerComparison() {
+        if (this.batchController) {
+            this.batchController.abort();
+        }
+    }
+
+    // Comparison entry for a server still being tested
+    getLiveBatchResult(server, times) {
+        if (!times || times.length === 0) return null;
+
+        const valid = times.filter(time => time !== null);
+        return {
+            ...this.toBatchComparisonResult({
+                server,
+                avg: valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : null,
+                min: valid.length > 0 ? Math.min(...valid) : null,
+                max: valid.length > 0 ? Math.max(...valid) : null,
+                jitter: this.calculateJitter(valid),
+                successCount: valid.length,
+                totalCount: times.length,
+                packetLoss: ((times.length - valid.length) / times.length) * 100
+            }),
+            pending: true
+        };
+    }
+
+    // Read a text/event-stream response body, calling onEvent(event, data) per message
+    async readServerSentEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+
+            messages.forEach((message) => {
+                let event = 'message';
+                const data = [];
+
+                message.split('\n').forEach((line) => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+                });
+
+                if (data.length > 0) {
+                    onEvent(event, JSON.parse(data.join('\n')));
+                }
+            });
+        }
+    }
+
+    // Process backend DNS benchmark results (resolution latency per resolver)
+    processBackendBenchmarkResults(results) {
+        const processedResults = results
+            .filter(result => result.success)
+            .map(result => ({
                 server: result.server,
-                info: serverInfo,
+                info: this.serverLocations[result.server] || {
+                    name: result.server,
+                    location: 'Unknown',
+                    flag: '🌐'
+                },
                 avg: result.avg,
                 min: result.min,
                 max: result.max,
                 jitter: result.jitter,
                 successRate: (result.successCount / result.totalCount) * 100,
-                packetLoss: result.packetLoss,
-                method: 'backend'
-            };
-        }).filter(r => r !== null);
+                packetLoss: result.failureRate,
+                consistency: result.consistency,
+                encrypted: this.getEncryptedDNSColumns(result.protocols),
+                // Flattened reused-connection averages so they sort like avg/jitter
+                doh: result.protocols?.doh?.warm?.avg ?? null,
+                dohJson: result.protocols?.['doh-json']?.warm?.avg ?? null,
+                dot: result.protocols?.dot?.warm?.avg ?? null,
+                method: 'dns'
+            }));
+        
+        results.filter(result => !result.success).forEach(result => {
+            const reason = result.error || Object.keys(result.errors || {}).join(', ');
+            this.addLog(`❌ ${result.server}: no DNS answers (${reason})`, 'error');
+        });
         
         this.displayComparisonResults(processedResults);
     }
 
+    // DoH / DoT columns for the comparison view (warm = reused connection)
+    getEncryptedDNSColumns(protocols = {}) {
+        const labels = { doh: 'DoH', 'doh-json': 'DoH JSON', dot: 'DoT' };
+
+        return Object.entries(protocols).map(([protocol, stats]) => ({
+            label: labels[protocol] || protocol,
+            supported: stats.supported,
+            warm: stats.warm?.avg ?? null,
+            cold: stats.cold?.avg ?? null,
+            failureRate: stats.failureRate
+        }));
+    }
+
     // Fallback DNS comparison (browser-based)
     async fallbackDNSComparison(dnsServers) {
         const results = [];
@@ -589,11 +1343,11 @@ class EnhancedNetworkAnalyzer {
             const transaction = this.db.transaction(['settings'], 'readwrite');
             const store = transaction.objectStore('settings');
             
-            await store.put({
+            await this.idbRequest(store.put({
                 key: 'config',
                 value: this.config,
                 timestamp: Date.now()
-            });
+            }));
         } catch (error) {
             console.error('Failed to save settings:', error);
             localStorage.setItem('networkAnalyzerSettings', JSON.stringify(this.config));
@@ -605,7 +1359,7 @@ class EnhancedNetworkAnalyzer {
         if (!this.db) {
             const saved = localStorage.getItem('networkAnalyzerSettings');
             if (saved) {
-                this.config = { ...this.config, ...JSON.parse(saved) };
+                this.applySavedConfig(JSON.parse(saved));
             }
             return;
         }
@@ -613,19 +1367,37 @@ class EnhancedNetworkAnalyzer {
         try {
             const transaction = this.db.transaction(['settings'], 'readonly');
             const store = transaction.objectStore('settings');
-            const result = await store.get('config');
+            const result = await this.idbRequest(store.get('config'));
             
             if (result) {
-                this.config = { ...this.config, ...result.value };
+                this.applySavedConfig(result.value);
             }
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
     }
 
-    // Update backend status indicator
-    updateBackendStatus() {
-        const statusEl = document.getElementById('backendStatus');
+    // Merge per section so settings added since the config was saved keep their defaults
+    applySavedConfig(saved) {
+        Object.entries(saved).forEach(([section, value]) => {
+            const current = this.config[section];
+            this.config[section] = current && typeof current === 'object' && !Array.isArray(current)
+                ? { ...current, ...value }
+                : value;
+        });
+    }
+
+    // Resolve an IndexedDB request with its result
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Update backend status indicator
+    updateBackendStatus() {
+        const statusEl = document.getElementById('backendStatus');
         if (!statusEl) return;
         
         if (this.useBackend && this.ws && this.ws.readyState === WebSocket.OPEN) {
@@ -642,6 +1414,13 @@ class EnhancedNetworkAnalyzer {
                     Backend Available (No WebSocket)
                 </span>
             `;
+        } else if (this.backendAuthRequired) {
+            statusEl.innerHTML = `
+                <span class="backend-indicator partial">
+                    <span class="pulse"></span>
+                    API Key Required (see Settings)
+                </span>
+            `;
         } else {
             statusEl.innerHTML = `
                 <span class="backend-indicator offline">
@@ -735,6 +1514,25 @@ class EnhancedNetworkAnalyzer {
                             <input type="number" id="interval" value="${this.config.defaults.interval}" min="0.2" max="10" step="0.1">
                         </div>
 
+                        <div class="form-group">
+                            <label>Test Method:</label>
+                            <select id="testMethod" ${this.useBackend ? '' : 'disabled'}>
+                                <option value="icmp">ICMP / HTTP (Auto)</option>
+                                <option value="tcp">TCP Connect ${!this.useBackend ? '(Backend Required)' : ''}</option>
+                                <option value="udp">UDP Echo (Reflector) ${!this.useBackend ? '(Backend Required)' : ''}</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group" id="tcpPortGroup" style="display: none;">
+                            <label>TCP Port:</label>
+                            <input type="number" id="tcpPort" value="${this.config.defaults.tcpPort}" min="1" max="65535">
+                        </div>
+
+                        <div class="form-group" id="udpPortGroup" style="display: none;">
+                            <label>UDP Reflector Port:</label>
+                            <input type="number" id="udpPort" value="${this.config.defaults.udpPort}" min="1" max="65535">
+                        </div>
+
                         <div class="checkbox-group">
                             <label>
                                 <input type="checkbox" id="continuous">
@@ -764,12 +1562,24 @@ class EnhancedNetworkAnalyzer {
                             <button class="btn btn-secondary" onclick="window.analyzer.performTraceroute()" ${this.useBackend ? '' : 'disabled'}>
                                 📍 Traceroute
                             </button>
+                            <button class="btn btn-secondary" id="mtrBtn" onclick="window.analyzer.toggleMtr()" ${this.useBackend ? '' : 'disabled'}>
+                                📡 Path Monitor (MTR)
+                            </button>
                             <button class="btn btn-secondary" onclick="window.analyzer.performDNSLookup()" ${this.useBackend ? '' : 'disabled'}>
                                 🔍 DNS Lookup
                             </button>
                             <button class="btn btn-secondary" onclick="window.analyzer.performPortCheck()" ${this.useBackend ? '' : 'disabled'}>
                                 🔌 Port Check
                             </button>
+                            <button class="btn btn-secondary" onclick="window.analyzer.performHttpTiming()" ${this.useBackend ? '' : 'disabled'}>
+                                ⏱️ HTTP Timing
+                            </button>
+                            <button class="btn btn-secondary" onclick="window.analyzer.performTlsInspect()" ${this.useBackend ? '' : 'disabled'}>
+                                🔒 TLS Inspect
+                            </button>
+                            <button class="btn btn-secondary" onclick="window.analyzer.performDualStackTest()" ${this.useBackend ? '' : 'disabled'}>
+                                🌐 IPv4 vs IPv6
+                            </button>
                         </div>
 
                         <div class="export-options">
@@ -787,6 +1597,10 @@ class EnhancedNetworkAnalyzer {
                         <button class="btn btn-secondary" onclick="window.analyzer.compareAllDNS()">
                             🔄 Compare All DNS Servers
                         </button>
+
+                        <button class="btn btn-secondary" id="batchCompareBtn" onclick="window.analyzer.compareServerLatency()">
+                            📶 Compare Server Latency
+                        </button>
                     </div>
 
                     <!-- Results Panel -->
@@ -830,6 +1644,9 @@ class EnhancedNetworkAnalyzer {
                             </div>
                         </div>
 
+                        <!-- HTTP Timing Breakdown -->
+                        <div id="httpTimingContainer"></div>
+
                         <!-- Advanced Statistics Panel -->
                         <div class="card stats-panel">
                             <h3>📊 Advanced Statistics</h3>
@@ -861,6 +1678,118 @@ class EnhancedNetworkAnalyzer {
                             </div>
                         </div>
 
+                        <!-- Speed Test Panel -->
+                        <div class="card speed-test-panel">
+                            <h3>🚀 Speed Test</h3>
+                            <div class="speed-test-controls">
+                                <label>
+                                    Parallel streams:
+                                    <select id="speedTestStreams">
+                                        ${[1, 2, 4, 8].map(n => `
+                                            <option value="${n}" ${n === this.config.speedTest.streams ? 'selected' : ''}>${n}</option>
+                                        `).join('')}
+                                    </select>
+                                </label>
+                                <div class="speed-test-buttons">
+                                    <button class="btn btn-primary" id="speedTestBtn" onclick="window.analyzer.runSpeedTest()" ${this.useBackend ? '' : 'disabled'}>
+                                        ▶️ Run Speed Test ${!this.useBackend ? '(Backend Required)' : ''}
+                                    </button>
+                                    <button class="btn btn-secondary" id="bufferbloatBtn" onclick="window.analyzer.runBufferbloatTest()" ${this.useBackend ? '' : 'disabled'}>
+                                        🌊 Bufferbloat Test
+                                    </button>
+                                </div>
+                            </div>
+                            <div class="speed-test-results">
+                                <div class="speed-result">
+                                    <span class="speed-label">⬇️ Download</span>
+                                    <span class="speed-value" id="downloadSpeed">--</span>
+                                    <span class="metric-unit">Mbit/s</span>
+                                </div>
+                                <div class="speed-result">
+                                    <span class="speed-label">⬆️ Upload</span>
+                                    <span class="speed-value" id="uploadSpeed">--</span>
+                                    <span class="metric-unit">Mbit/s</span>
+                                </div>
+                            </div>
+                            <div class="speed-test-status" id="speedTestStatus"></div>
+                            <div id="bufferbloatResults"></div>
+                        </div>
+
+                        <!-- Persistent Monitors Panel -->
+                        <div class="card monitors-panel">
+                            <h3>🛰️ Always-on Monitors</h3>
+                            <div class="monitor-controls">
+                                <select id="monitorMethod">
+                                    <option value="http">HTTP</option>
+                                    <option value="tcp">TCP connect</option>
+                                </select>
+                                <select id="monitorInterval">
+                                    <option value="30000">Every 30s</option>
+                                    <option value="60000" selected>Every 1 min</option>
+                                    <option value="300000">Every 5 min</option>
+                                    <option value="900000">Every 15 min</option>
+                                </select>
+                                <button class="btn btn-primary" onclick="window.analyzer.createMonitor()" ${this.useBackend ? '' : 'disabled'}>
+                                    ➕ Monitor Target ${!this.useBackend ? '(Backend Required)' : ''}
+                                </button>
+                                <button class="btn btn-secondary" onclick="window.analyzer.loadMonitors()" ${this.useBackend ? '' : 'disabled'}>
+                                    🔄 Refresh
+                                </button>
+                            </div>
+                            <div id="monitorList" class="monitor-list"></div>
+                        </div>
+
+                        <!-- Scheduled Tests Panel -->
+                        <div class="card schedules-panel">
+                            <h3>🗓️ Scheduled Tests</h3>
+                            <div class="schedule-controls">
+                                <input type="text" id="scheduleName" placeholder="Name (optional)" maxlength="100">
+                                <select id="scheduleType">
+                                    <option value="ping">Ping</option>
+                                    <option value="batch-test">Batch test</option>
+                                    <option value="dns-lookup">DNS lookup</option>
+                                    <option value="dns-benchmark">DNS benchmark</option>
+                                    <option value="traceroute">Traceroute</option>
+                                </select>
+                                <input type="text" id="scheduleCron" list="scheduleCronPresets" value="*/5 * * * *" placeholder="Cron: min hour day month weekday">
+                                <datalist id="scheduleCronPresets">
+                                    <option value="*/5 * * * *">Every 5 minutes</option>
+                                    <option value="0 * * * *">Hourly</option>
+                                    <option value="0 3 * * *">Nightly at 03:00</option>
+                                </datalist>
+                                <input type="text" id="scheduleTargets" placeholder="Targets or resolvers, comma-separated (default: current target)">
+                                <button class="btn btn-primary" onclick="window.analyzer.createSchedule()" ${this.useBackend ? '' : 'disabled'}>
+                                    ➕ Schedule ${!this.useBackend ? '(Backend Required)' : ''}
+                                </button>
+                                <button class="btn btn-secondary" onclick="window.analyzer.loadSchedules()" ${this.useBackend ? '' : 'disabled'}>
+                                    🔄 Refresh
+                                </button>
+                            </div>
+                            <div id="scheduleList" class="monitor-list"></div>
+                        </div>
+
+                        <!-- Webhook Alerts Panel -->
+                        <div class="card webhooks-panel">
+                            <h3>🔔 Webhook Alerts</h3>
+                            <p class="webhook-hint">Monitors and scheduled tests are checked on the server against your alert thresholds (⚙️ Settings), even with this page closed.</p>
+                            <div class="schedule-controls">
+                                <input type="url" id="webhookUrl" placeholder="https://hooks.slack.com/services/...">
+                                <select id="webhookTemplate">
+                                    <option value="json">JSON (signed)</option>
+                                    <option value="slack">Slack</option>
+                                    <option value="teams">Microsoft Teams</option>
+                                    <option value="discord">Discord</option>
+                                </select>
+                                <button class="btn btn-primary" onclick="window.analyzer.createWebhook()" ${this.useBackend ? '' : 'disabled'}>
+                                    ➕ Add Webhook ${!this.useBackend ? '(Backend Required)' : ''}
+                                </button>
+                                <button class="btn btn-secondary" onclick="window.analyzer.loadWebhooks()" ${this.useBackend ? '' : 'disabled'}>
+                                    🔄 Refresh
+                                </button>
+                            </div>
+                            <div id="webhookList" class="monitor-list"></div>
+                        </div>
+
                         <!-- Quality Score Card -->
                         <div id="qualityScoreContainer"></div>
 
@@ -936,6 +1865,10 @@ class EnhancedNetworkAnalyzer {
                         <span class="gaming-label">STATUS</span>
                         <span class="gaming-value" id="gamingStatus">--</span>
                     </div>
+                    <div class="gaming-stat">
+                        <span class="gaming-label">PROTO</span>
+                        <span class="gaming-value" id="gamingProtocol">--</span>
+                    </div>
                 </div>
             </div>
 
@@ -961,6 +1894,35 @@ class EnhancedNetworkAnalyzer {
                             </div>
                         </div>
                         
+                        <div class="settings-section">
+                            <h3>API Keys</h3>
+                            <p class="setting-hint">Needed when the backend sets <code>API_KEYS</code>. Scopes: <strong>read</strong> (history and statistics), <strong>probe</strong> (run tests).</p>
+                            <div id="apiKeyList" class="api-key-list">${this.renderApiKeyList()}</div>
+                            <div class="setting-item api-key-add">
+                                <input type="text" id="apiKeyName" placeholder="Name">
+                                <input type="password" id="apiKeyValue" placeholder="API key or bearer token">
+                                <button class="btn btn-secondary" onclick="window.analyzer.addApiKey()">Add Key</button>
+                            </div>
+                        </div>
+                        
+                        <div class="settings-section">
+                            <h3>DNS Benchmark</h3>
+                            <div class="setting-item">
+                                <label>Test Domains (comma-separated):</label>
+                                <input type="text" id="dnsBenchmarkDomains" value="${this.config.dnsBenchmark.domains.join(', ')}">
+                            </div>
+                            <div class="setting-item">
+                                <label>Rounds per Domain:</label>
+                                <input type="number" id="dnsBenchmarkRounds" value="${this.config.dnsBenchmark.rounds}" min="1" max="10">
+                            </div>
+                            <div class="setting-item">
+                                <label>
+                                    <input type="checkbox" id="dnsBenchmarkEncrypted" ${this.config.dnsBenchmark.encrypted.length > 0 ? 'checked' : ''}>
+                                    Measure DNS-over-HTTPS / DNS-over-TLS
+                                </label>
+                            </div>
+                        </div>
+                        
                         <div class="settings-section">
                             <h3>Alert Thresholds</h3>
                             <div class="setting-item">
@@ -998,126 +1960,1231 @@ class EnhancedNetworkAnalyzer {
         `;
     }
 
-    // Show settings modal
-    showSettings() {
-        document.getElementById('settingsModal').style.display = 'flex';
+    renderApiKeyList() {
+        const apiKeys = this.config.backend.apiKeys || [];
+        if (apiKeys.length === 0) {
+            return '<p class="api-key-empty">No API keys saved</p>';
+        }
+
+        return apiKeys.map(entry => `
+            <div class="api-key-item ${entry.name === this.config.backend.activeApiKey ? 'active' : ''}">
+                <span class="api-key-name">${entry.name}</span>
+                <span class="api-key-value">••••${entry.key.slice(-4)}</span>
+                <span class="api-key-scopes">
+                    ${entry.scopes === null
+                        ? '<span class="api-key-scope unknown">unchecked</span>'
+                        : entry.scopes.length === 0
+                            ? '<span class="api-key-scope invalid">invalid</span>'
+                            : entry.scopes.map(scope => `<span class="api-key-scope">${scope}</span>`).join('')}
+                </span>
+                ${entry.name === this.config.backend.activeApiKey
+                    ? '<span class="api-key-active">In use</span>'
+                    : `<button class="btn btn-secondary" onclick="window.analyzer.useApiKey('${entry.name}')">Use</button>`}
+                <button class="btn btn-secondary" onclick="window.analyzer.removeApiKey('${entry.name}')">Remove</button>
+            </div>
+        `).join('');
     }
 
-    // Close settings modal
-    closeSettings() {
-        document.getElementById('settingsModal').style.display = 'none';
+    // Ask the backend what a key grants: { required, authenticated, scopes }
+    async checkApiKey(apiKey) {
+        const response = await fetch(`${API_BASE_URL}/api/auth`, {
+            headers: this.getAuthHeaders(apiKey),
+            signal: AbortSignal.timeout(5000)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Key check failed: ${response.statusText}`);
+        }
+        return response.json();
     }
 
-    // Save settings from modal
-    async saveSettingsFromModal() {
-        this.config.backend.enabled = document.getElementById('backendEnabled').checked;
-        this.config.alerts.highLatency = parseInt(document.getElementById('highLatencyThreshold').value);
-        this.config.alerts.highJitter = parseInt(document.getElementById('highJitterThreshold').value);
-        this.config.ui.animationsEnabled = document.getElementById('animationsEnabled').checked;
-        this.config.ui.soundEnabled = document.getElementById('soundEnabled').checked;
-        
+    async addApiKey() {
+        const name = document.getElementById('apiKeyName').value.trim();
+        const key = document.getElementById('apiKeyValue').value.trim();
+
+        if (!name || !key) {
+            this.addLog('⚠️ Enter a name and an API key', 'warning');
+            return;
+        }
+        if (!/^[\w.-]+$/.test(name)) {
+            this.addLog('⚠️ Key names may only contain letters, digits, ".", "-" and "_"', 'warning');
+            return;
+        }
+
+        const apiKeys = (this.config.backend.apiKeys || []).filter(entry => entry.name !== name);
+        let scopes = null;
+
+        try {
+            const auth = await this.checkApiKey(key);
+            scopes = auth.authenticated ? auth.scopes : [];
+
+            if (!auth.required) {
+                this.addLog('ℹ️ The backend does not require API keys right now', 'info');
+            } else if (!auth.authenticated) {
+                this.addLog(`❌ The backend rejected API key "${name}"`, 'error');
+            } else {
+                this.addLog(`🔑 API key "${name}" grants: ${scopes.join(', ')}`, 'success');
+            }
+        } catch (error) {
+            this.addLog(`⚠️ Could not check API key: ${error.message}`, 'warning');
+        }
+
+        this.config.backend.apiKeys = [...apiKeys, { name, key, scopes }];
+        if (!this.getActiveApiKey()) {
+            this.config.backend.activeApiKey = name;
+        }
+
+        document.getElementById('apiKeyName').value = '';
+        document.getElementById('apiKeyValue').value = '';
+        await this.saveApiKeys();
+    }
+
+    async useApiKey(name) {
+        this.config.backend.activeApiKey = name;
+        this.addLog(`🔑 Using API key "${name}"`, 'info');
+        await this.saveApiKeys();
+    }
+
+    async removeApiKey(name) {
+        this.config.backend.apiKeys = (this.config.backend.apiKeys || []).filter(entry => entry.name !== name);
+        if (this.config.backend.activeApiKey === name) {
+            this.config.backend.activeApiKey = this.config.backend.apiKeys.length > 0
+                ? this.config.backend.apiKeys[0].name
+                : null;
+        }
+        await this.saveApiKeys();
+    }
+
+    // Persist key changes right away and reconnect with the active key
+    async saveApiKeys() {
         await this.saveSettings();
-        this.closeSettings();
-        this.addLog('✅ Settings saved successfully', 'success');
-        
-        // Reconnect if backend settings changed
+        document.getElementById('apiKeyList').innerHTML = this.renderApiKeyList();
+
+        if (this.ws) {
+            // Replace the connection instead of letting onclose reconnect with the old key
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+            
+            if (this.mtrSessionId) {
+                this.setMtrStopped();
+            }
+        }
         if (this.config.backend.enabled) {
             await this.checkBackendConnection();
             this.initWebSocket();
         }
-        
         this.updateBackendStatus();
     }
 
-    // Start real-time monitoring with WebSocket
-    startRealtimeMonitoring() {
+    // Monitors run on the backend whether or not a tab is open
+    async loadMonitors() {
+        if (!this.useBackend) return;
+
+        try {
+            const response = await this.apiFetch('/api/monitors');
+            if (!response.ok) {
+                throw new Error(`Failed to load monitors: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.monitors = data.monitors;
+            this.renderMonitorList();
+        } catch (error) {
+            this.addLog(`❌ ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async createMonitor() {
+        const target = document.getElementById('target').value.trim();
+        if (!target) {
+            this.addLog('⚠️ Please enter a target to monitor', 'warning');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/monitors', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    host: target,
+                    method: document.getElementById('monitorMethod').value,
+                    port: this.getTcpPort(),
+                    interval: parseInt(document.getElementById('monitorInterval').value)
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const monitor = await response.json();
+            this.monitors.push(monitor);
+            this.renderMonitorList();
+            this.addLog(`🛰️ Monitoring ${this.escapeHtml(monitor.name)} every ${monitor.interval / 1000}s on the server`, 'success');
+            this.toggleMonitorLive(monitor.id);
+        } catch (error) {
+            this.addLog(`❌ Failed to create monitor: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async deleteMonitor(monitorId) {
+        try {
+            const response = await this.apiFetch(`/api/monitors/${encodeURIComponent(monitorId)}`, {
+                method: 'DELETE'
+            });
+
+            // 404: already deleted elsewhere
+            if (!response.ok && response.status !== 404) {
+                throw new Error(response.statusText);
+            }
+
+            this.attachedMonitors.delete(monitorId);
+            this.monitors = this.monitors.filter(monitor => monitor.id !== monitorId);
+            this.renderMonitorList();
+            this.addLog('🗑️ Monitor deleted', 'info');
+        } catch (error) {
+            this.addLog(`❌ Failed to delete monitor: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Attach to (or detach from) a monitor's live results over the WebSocket
+    toggleMonitorLive(monitorId) {
         if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
             this.addLog('⚠️ WebSocket not connected', 'warning');
             return;
         }
-        
-        this.monitoringSessionId = `session-${Date.now()}`;
-        
+
         this.ws.send(JSON.stringify({
-            action: 'start-monitoring',
-            host: this.currentTarget,
-            interval: parseFloat(document.getElementById('interval').value) * 1000,
-            sessionId: this.monitoringSessionId
+            action: this.attachedMonitors.has(monitorId) ? 'detach-monitor' : 'attach-monitor',
+            monitorId
         }));
     }
 
-    // Stop real-time monitoring
-    stopRealtimeMonitoring() {
-        if (!this.ws || !this.monitoringSessionId) return;
-        
-        this.ws.send(JSON.stringify({
-            action: 'stop-monitoring',
-            sessionId: this.monitoringSessionId
-        }));
-        
-        this.monitoringSessionId = null;
+    updateMonitor(monitor) {
+        const index = this.monitors.findIndex(existing => existing.id === monitor.id);
+        if (index === -1) {
+            this.monitors.push(monitor);
+        } else {
+            this.monitors[index] = monitor;
+        }
+        this.renderMonitorList();
+    }
+
+    handleMonitorUpdate(monitorId, result) {
+        const history = this.attachedMonitors.get(monitorId);
+        if (history) {
+            history.push(result);
+            // Same window the backend replays on attach
+            if (history.length > 100) history.shift();
+        }
+
+        const monitor = this.monitors.find(existing => existing.id === monitorId);
+        if (monitor) {
+            monitor.status = result.alive ? 'up' : 'down';
+            monitor.lastCheck = result.timestamp;
+            monitor.lastLatency = result.time;
+            monitor.checks++;
+            if (!result.alive) monitor.failures++;
+            if (history && history.length > 0) {
+                monitor.uptime = (history.filter(entry => entry.alive).length / history.length) * 100;
+            }
+        }
+
+        this.renderMonitorList();
+    }
+
+    renderMonitorList() {
+        const container = document.getElementById('monitorList');
+        if (!container) return;
+
+        if (this.monitors.length === 0) {
+            container.innerHTML = '<p class="monitor-empty">No monitors yet. Add one to keep measuring the current target on the server.</p>';
+            return;
+        }
+
+        container.innerHTML = this.monitors.map((monitor) => {
+            const history = this.attachedMonitors.get(monitor.id);
+            const recent = (history || []).slice(-40);
+            const maxTime = Math.max(...recent.map(entry => entry.time || 0), 1);
+
+            return `
+                <div class="monitor-item">
+                    <span class="monitor-status ${monitor.status}" title="${monitor.status}"></span>
+                    <div class="monitor-info">
+                        <span class="monitor-name">${this.escapeHtml(monitor.name)}</span>
+                        <span class="monitor-meta">${monitor.method.toUpperCase()} ${this.escapeHtml(monitor.host)}${monitor.method === 'tcp' ? `:${monitor.port}` : ''} · every ${monitor.interval / 1000}s</span>
+                    </div>
+                    <div class="monitor-stats">
+                        <span>${monitor.lastLatency !== null ? `${monitor.lastLatency.toFixed(1)}ms` : '--'}</span>
+                        <span>Uptime: ${monitor.uptime !== null ? `${monitor.uptime.toFixed(1)}%` : '--'}</span>
+                        <span>${monitor.checks} checks</span>
+                    </div>
+                    ${history ? `
+                        <div class="monitor-sparkline">
+                            ${recent.map(entry => `<span class="${entry.alive ? '' : 'failed'}" style="height: ${entry.alive ? Math.max((entry.time / maxTime) * 100, 5) : 100}%;"></span>`).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="monitor-actions">
+                        <button class="btn btn-secondary" onclick="window.analyzer.toggleMonitorLive('${monitor.id}')">
+                            ${history ? '⏸️ Detach' : '📡 Live'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.deleteMonitor('${monitor.id}')">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Schedules run on the backend on their cron expression (server local time)
+    async loadSchedules() {
+        if (!this.useBackend) return;
+
+        try {
+            const response = await this.apiFetch('/api/schedules');
+            if (!response.ok) {
+                throw new Error(`Failed to load schedules: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.schedules = data.schedules;
+            this.renderScheduleList();
+        } catch (error) {
+            this.addLog(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // Request body of the probe route the schedule runs
+    getScheduleParams(type, targets) {
+        switch (type) {
+            case 'ping':
+            case 'traceroute':
+                return { host: targets[0] };
+            case 'dns-lookup':
+                return { hostname: targets[0], types: ['A', 'AAAA'] };
+            case 'dns-benchmark':
+                return {
+                    servers: targets,
+                    // Empty: the backend's default domains
+                    ...(this.config.dnsBenchmark.domains.length > 0 ? { domains: this.config.dnsBenchmark.domains } : {}),
+                    rounds: this.config.dnsBenchmark.rounds,
+                    encrypted: this.config.dnsBenchmark.encrypted
+                };
+            case 'batch-test':
+                return { servers: targets };
+        }
+    }
+
+    async createSchedule() {
+        const type = document.getElementById('scheduleType').value;
+        const targetList = document.getElementById('scheduleTargets').value
+            .split(',')
+            .map(target => target.trim())
+            .filter(Boolean);
+        const currentTarget = document.getElementById('target').value.trim();
+        const targets = targetList.length > 0 ? targetList : [currentTarget].filter(Boolean);
+
+        if (targets.length === 0 || (type === 'dns-benchmark' && targetList.length === 0)) {
+            this.addLog(`⚠️ Please enter ${type === 'dns-benchmark' ? 'the resolvers to benchmark' : 'a target to schedule'}`, 'warning');
+            return;
+        }
+        if (targets.length > 1 && !['batch-test', 'dns-benchmark'].includes(type)) {
+            this.addLog('⚠️ Use a batch test to schedule several targets at once', 'warning');
+            return;
+        }
+
+        const name = document.getElementById('scheduleName').value.trim();
+
+        try {
+            const response = await this.apiFetch('/api/schedules', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ...(name ? { name } : {}),
+                    cron: document.getElementById('scheduleCron').value.trim(),
+                    type,
+                    params: this.getScheduleParams(type, targets)
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const schedule = await response.json();
+            this.schedules.push(schedule);
+            this.renderScheduleList();
+            this.addLog(`🗓️ Scheduled ${this.escapeHtml(schedule.name)} at "${this.escapeHtml(schedule.cron)}", next run ${new Date(schedule.nextRunAt).toLocaleString()}`, 'success');
+        } catch (error) {
+            this.addLog(`❌ Failed to create schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    updateSchedule(schedule) {
+        const index = this.schedules.findIndex(existing => existing.id === schedule.id);
+        if (index === -1) {
+            this.schedules.push(schedule);
+        } else {
+            this.schedules[index] = schedule;
+        }
+        this.renderScheduleList();
+    }
+
+    async toggleSchedule(scheduleId) {
+        const schedule = this.schedules.find(existing => existing.id === scheduleId);
+        if (!schedule) return;
+
+        try {
+            const response = await this.apiFetch(`/api/schedules/${encodeURIComponent(scheduleId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ enabled: !schedule.enabled })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            this.updateSchedule(await response.json());
+        } catch (error) {
+            this.addLog(`❌ Failed to update schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async runScheduleNow(scheduleId) {
+        const schedule = this.schedules.find(existing => existing.id === scheduleId);
+        if (!schedule) return;
+
+        this.addLog(`▶️ Running ${this.escapeHtml(schedule.name)}...`, 'info');
+
+        try {
+            const response = await this.apiFetch(`/api/schedules/${encodeURIComponent(scheduleId)}/run`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const run = await response.json();
+            this.addLog(`${run.success ? '✅' : '❌'} ${this.escapeHtml(schedule.name)}: ${this.escapeHtml(run.summary)}`, run.success ? 'success' : 'error');
+            await this.loadSchedules();
+        } catch (error) {
+            this.addLog(`❌ Failed to run schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async deleteSchedule(scheduleId) {
+        try {
+            const response = await this.apiFetch(`/api/schedules/${encodeURIComponent(scheduleId)}`, {
+                method: 'DELETE'
+            });
+
+            // 404: already deleted elsewhere
+            if (!response.ok && response.status !== 404) {
+                throw new Error(response.statusText);
+            }
+
+            this.schedules = this.schedules.filter(schedule => schedule.id !== scheduleId);
+            this.renderScheduleList();
+            this.addLog('🗑️ Schedule deleted', 'info');
+        } catch (error) {
+            this.addLog(`❌ Failed to delete schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    renderScheduleList() {
+        const container = document.getElementById('scheduleList');
+        if (!container) return;
+
+        if (this.schedules.length === 0) {
+            container.innerHTML = '<p class="monitor-empty">No scheduled tests yet. Results of each run are kept on the server.</p>';
+            return;
+        }
+
+        container.innerHTML = this.schedules.map((schedule) => {
+            const lastRun = schedule.lastRun;
+            const status = lastRun ? (lastRun.success ? 'up' : 'down') : 'pending';
+
+            return `
+                <div class="monitor-item ${schedule.enabled ? '' : 'schedule-paused'}">
+                    <span class="monitor-status ${status}" title="${status}"></span>
+                    <div class="monitor-info">
+                        <span class="monitor-name">${this.escapeHtml(schedule.name)}</span>
+                        <span class="monitor-meta">${schedule.type} · <code>${this.escapeHtml(schedule.cron)}</code> · ${schedule.enabled ? `next ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'never'}` : 'paused'}</span>
+                    </div>
+                    <div class="monitor-stats">
+                        <span>${lastRun ? `${new Date(lastRun.startedAt).toLocaleString()}: ${this.escapeHtml(lastRun.summary)}` : 'Not run yet'}</span>
+                        <span>${schedule.runCount} runs</span>
+                    </div>
+                    <div class="monitor-actions">
+                        <button class="btn btn-secondary" onclick="window.analyzer.runScheduleNow('${schedule.id}')" ${schedule.running ? 'disabled' : ''}>▶️ Run now</button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.toggleSchedule('${schedule.id}')">
+                            ${schedule.enabled ? '⏸️ Disable' : '✅ Enable'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.deleteSchedule('${schedule.id}')">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Webhooks get alerts from monitors and schedules evaluated on the backend
+    async loadWebhooks() {
+        if (!this.useBackend) return;
+
+        try {
+            const response = await this.apiFetch('/api/webhooks');
+            if (!response.ok) {
+                throw new Error(`Failed to load webhooks: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.webhooks = data.webhooks;
+            this.renderWebhookList();
+        } catch (error) {
+            this.addLog(`❌ ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async createWebhook() {
+        const url = document.getElementById('webhookUrl').value.trim();
+        if (!url) {
+            this.addLog('⚠️ Please enter a webhook URL', 'warning');
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch('/api/webhooks', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    url,
+                    template: document.getElementById('webhookTemplate').value,
+                    // The same thresholds as the browser alerts
+                    thresholds: {
+                        latency: this.config.alerts.highLatency,
+                        jitter: this.config.alerts.highJitter,
+                        loss: this.config.alerts.packetLossThreshold
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const webhook = await response.json();
+            this.webhooks.push({ ...webhook, secret: undefined });
+            this.renderWebhookList();
+            document.getElementById('webhookUrl').value = '';
+            this.addLog(`🔔 Alerts will be sent to ${this.escapeHtml(webhook.name)}`, 'success');
+            this.addLog(`🔑 Signing secret (shown only once): ${webhook.secret}`, 'info');
+        } catch (error) {
+            this.addLog(`❌ Failed to add webhook: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async toggleWebhook(webhookId) {
+        const webhook = this.webhooks.find(existing => existing.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${encodeURIComponent(webhookId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ enabled: !webhook.enabled })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const updated = await response.json();
+            this.webhooks = this.webhooks.map(existing => (existing.id === webhookId ? updated : existing));
+            this.renderWebhookList();
+        } catch (error) {
+            this.addLog(`❌ Failed to update webhook: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async testWebhook(webhookId) {
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${encodeURIComponent(webhookId)}/test`, {
+                method: 'POST'
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            this.addLog('🔔 Test alert queued, see the delivery log', 'info');
+            this.webhookDeliveries.set(webhookId, []);
+            // Give the first attempt time to finish
+            setTimeout(() => this.loadWebhookDeliveries(webhookId), 2000);
+        } catch (error) {
+            this.addLog(`❌ Failed to send test alert: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async loadWebhookDeliveries(webhookId) {
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${encodeURIComponent(webhookId)}/deliveries?limit=10`);
+            if (!response.ok) {
+                throw new Error(response.statusText);
+            }
+
+            const data = await response.json();
+            this.webhookDeliveries.set(webhookId, data.deliveries);
+            await this.loadWebhooks();
+        } catch (error) {
+            this.addLog(`❌ Failed to load deliveries: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    toggleWebhookDeliveries(webhookId) {
+        if (this.webhookDeliveries.has(webhookId)) {
+            this.webhookDeliveries.delete(webhookId);
+            this.renderWebhookList();
+        } else {
+            this.loadWebhookDeliveries(webhookId);
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        try {
+            const response = await this.apiFetch(`/api/webhooks/${encodeURIComponent(webhookId)}`, {
+                method: 'DELETE'
+            });
+
+            // 404: already deleted elsewhere
+            if (!response.ok && response.status !== 404) {
+                throw new Error(response.statusText);
+            }
+
+            this.webhookDeliveries.delete(webhookId);
+            this.webhooks = this.webhooks.filter(webhook => webhook.id !== webhookId);
+            this.renderWebhookList();
+            this.addLog('🗑️ Webhook deleted', 'info');
+        } catch (error) {
+            this.addLog(`❌ Failed to delete webhook: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    renderWebhookList() {
+        const container = document.getElementById('webhookList');
+        if (!container) return;
+
+        if (this.webhooks.length === 0) {
+            container.innerHTML = '<p class="monitor-empty">No webhooks yet. Add a Slack, Teams, Discord or any HTTPS endpoint to get alerts.</p>';
+            return;
+        }
+
+        container.innerHTML = this.webhooks.map((webhook) => {
+            const { latency, jitter, loss, failures } = webhook.thresholds;
+            const rules = [
+                latency !== null ? `latency > ${latency}ms` : null,
+                jitter !== null ? `jitter > ${jitter}ms` : null,
+                loss !== null ? `loss > ${loss}%` : null,
+                failures !== null ? `down after ${failures} failures` : null
+            ].filter(Boolean).join(', ');
+            const last = webhook.lastDelivery;
+            const deliveries = this.webhookDeliveries.get(webhook.id);
+            const status = last ? (last.status === 'failed' ? 'down' : 'up') : 'pending';
+
+            return `
+                <div class="monitor-item ${webhook.enabled ? '' : 'schedule-paused'}">
+                    <span class="monitor-status ${status}" title="${last ? last.status : 'no deliveries'}"></span>
+                    <div class="monitor-info">
+                        <span class="monitor-name">${this.escapeHtml(webhook.name)}</span>
+                        <span class="monitor-meta">${webhook.template} · ${this.escapeHtml(rules || 'no rules')}</span>
+                    </div>
+                    <div class="monitor-stats">
+                        <span>${webhook.firing > 0 ? `🚨 ${webhook.firing} firing` : 'No alerts firing'}</span>
+                        <span>${last ? `Last: ${last.event} ${last.status}` : 'Nothing sent yet'}</span>
+                    </div>
+                    ${deliveries ? `
+                        <div class="webhook-deliveries">
+                            ${deliveries.length === 0 ? '<span>No deliveries yet</span>' : deliveries.map(delivery => `
+                                <div class="webhook-delivery ${delivery.status}">
+                                    <span>${new Date(delivery.createdAt).toLocaleString()}</span>
+                                    <span>${delivery.event}</span>
+                                    <span>${delivery.status}</span>
+                                    <span>${delivery.attempts.map(attempt => this.escapeHtml(attempt.error || String(attempt.status))).join(' → ')}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    <div class="monitor-actions">
+                        <button class="btn btn-secondary" onclick="window.analyzer.testWebhook('${webhook.id}')">🔔 Test</button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.toggleWebhookDeliveries('${webhook.id}')">
+                            ${deliveries ? '📜 Hide log' : '📜 Log'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.toggleWebhook('${webhook.id}')">
+                            ${webhook.enabled ? '⏸️ Disable' : '✅ Enable'}
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.analyzer.deleteWebhook('${webhook.id}')">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Show settings modal
+    showSettings() {
+        document.getElementById('settingsModal').style.display = 'flex';
+    }
+
+    // Close settings modal
+    closeSettings() {
+        document.getElementById('settingsModal').style.display = 'none';
+    }
+
+    // Save settings from modal
+    async saveSettingsFromModal() {
+        this.config.backend.enabled = document.getElementById('backendEnabled').checked;
+        this.config.alerts.highLatency = parseInt(document.getElementById('highLatencyThreshold').value);
+        this.config.alerts.highJitter = parseInt(document.getElementById('highJitterThreshold').value);
+        this.config.ui.animationsEnabled = document.getElementById('animationsEnabled').checked;
+        this.config.ui.soundEnabled = document.getElementById('soundEnabled').checked;
+        this.config.dnsBenchmark.domains = document.getElementById('dnsBenchmarkDomains').value
+            .split(',')
+            .map(domain => domain.trim())
+            .filter(Boolean);
+        this.config.dnsBenchmark.rounds = parseInt(document.getElementById('dnsBenchmarkRounds').value) || 3;
+        this.config.dnsBenchmark.encrypted = document.getElementById('dnsBenchmarkEncrypted').checked
+            ? ['doh', 'doh-json', 'dot']
+            : [];
+        
+        await this.saveSettings();
+        this.closeSettings();
+        this.addLog('✅ Settings saved successfully', 'success');
+        
+        // Reconnect if backend settings changed
+        if (this.config.backend.enabled) {
+            await this.checkBackendConnection();
+            this.initWebSocket();
+        }
+        
+        this.updateBackendStatus();
+    }
+
+    // Start real-time monitoring with WebSocket
+    startRealtimeMonitoring() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.addLog('⚠️ WebSocket not connected', 'warning');
+            return;
+        }
+        
+        this.monitoringSessionId = `session-${Date.now()}`;
+        
+        this.ws.send(JSON.stringify({
+            action: 'start-monitoring',
+            host: this.currentTarget,
+            interval: parseFloat(document.getElementById('interval').value) * 1000,
+            sessionId: this.monitoringSessionId,
+            method: this.getTestMethod() === 'tcp' ? 'tcp' : 'http',
+            port: this.getTcpPort()
+        }));
+    }
+
+    // Stop real-time monitoring
+    stopRealtimeMonitoring() {
+        if (!this.ws || !this.monitoringSessionId) return;
+        
+        this.ws.send(JSON.stringify({
+            action: 'stop-monitoring',
+            sessionId: this.monitoringSessionId
+        }));
+        
+        this.monitoringSessionId = null;
+    }
+
+    // Enhanced start test with real-time monitoring option
+    async startTest() {
+        if (this.isRunning) return;
+
+        this.currentTarget = document.getElementById('target').value.trim();
+        if (!this.currentTarget) {
+            this.addLog('⚠️ Please enter a target address', 'warning');
+            return;
+        }
+
+        this.testResults = [];
+        this.chartData = [];
+        this.testCount = 0;
+        this.successCount = 0;
+        this.failCount = 0;
+        this.isRunning = true;
+        this.abortController = new AbortController();
+
+        this.updateStatus('testing');
+        this.addLog(`🚀 Starting test for ${this.currentTarget}`, 'success');
+
+        const useRealtimeMonitoring = document.getElementById('realtimeMonitoring')?.checked;
+        const count = parseInt(document.getElementById('testCount').value);
+        const interval = parseFloat(document.getElementById('interval').value) * 1000;
+        const continuous = document.getElementById('continuous').checked;
+
+        const wsOpen = this.ws && this.ws.readyState === WebSocket.OPEN;
+
+        if (useRealtimeMonitoring && wsOpen) {
+            this.startRealtimeMonitoring();
+        } else if (this.useBackend && wsOpen && !continuous && this.getTestMethod() === 'udp') {
+            this.startUdpProbeStream(count, interval);
+        } else {
+            if (continuous) {
+                this.runContinuousTest(interval);
+            } else {
+                this.runLimitedTest(count, interval);
+            }
+        }
+    }
+
+    async runLimitedTest(count, interval) {
+        for (let i = 0; i < count && this.isRunning; i++) {
+            await this.performSingleTest();
+            if (i < count - 1 && this.isRunning) {
+                await this.sleep(interval);
+            }
+        }
+        if (this.isRunning) {
+            this.stopTest();
+        }
+    }
+
+    async runContinuousTest(interval) {
+        while (this.isRunning) {
+            await this.performSingleTest();
+            await this.sleep(interval);
+        }
+    }
+
+    // DNS Lookup functionality
+    async performDNSLookup() {
+        if (!this.useBackend) {
+            this.addLog('⚠️ DNS Lookup requires backend server', 'warning');
+            return;
+        }
+
+        const target = this.currentTarget || document.getElementById('target').value.trim();
+        if (!target) {
+            this.addLog('⚠️ Please enter a target', 'warning');
+            return;
+        }
+
+        this.addLog(`🔍 Performing DNS lookup for ${target}...`, 'info');
+
+        try {
+            const response = await this.apiFetch(`/api/dns-lookup`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ hostname: target, types: 'ALL' })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.message || error.error || response.statusText);
+            }
+
+            const data = await response.json();
+            this.displayDNSResults(data);
+        } catch (error) {
+            this.addLog(`❌ DNS lookup failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Display DNS lookup results grouped by record type
+    displayDNSResults(data) {
+        const types = Object.keys(data.records);
+        const activeType = types.find(type => data.records[type].records.length > 0) || types[0];
+        const nxdomain = Object.values(data.records).some(record => record.rcode === 'NXDOMAIN');
+
+        const html = `
+            <div class="card dns-results">
+                <h3>🔍 DNS Lookup Results</h3>
+                <div class="dns-info">
+                    <div class="dns-item">
+                        <span class="dns-label">Hostname:</span>
+                        <span class="dns-value">${data.hostname}${nxdomain ? ' (NXDOMAIN)' : ''}</span>
+                    </div>
+                    ${data.cnameChain.length > 0 ? `
+                        <div class="dns-item">
+                            <span class="dns-label">CNAME Chain:</span>
+                            <span class="dns-value">${[data.cnameChain[0].name, ...data.cnameChain.map(link => link.target)].join(' → ')}</span>
+                        </div>
+                    ` : ''}
+                    <div class="dns-item">
+                        <span class="dns-label">Resolver:</span>
+                        <span class="dns-value">${data.server}</span>
+                    </div>
+                    <div class="dns-item">
+                        <span class="dns-label">Lookup Time:</span>
+                        <span class="dns-value">${data.lookupTime}ms</span>
+                    </div>
+                </div>
+                <div class="dns-tabs">
+                    ${types.map(type => `
+                        <button class="dns-tab ${type === activeType ? 'active' : ''}" data-type="${type}" onclick="window.analyzer.showDNSTab('${type}')">
+                            ${type} <span class="dns-tab-count">${data.records[type].records.length}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                ${types.map(type => {
+                    const record = data.records[type];
+                    return `
+                        <div class="dns-tab-panel" data-type="${type}" style="display: ${type === activeType ? 'block' : 'none'};">
+                            <div class="dns-tab-meta">
+                                ${record.error 
+                                    ? `❌ ${this.escapeHtml(record.error)}` 
+                                    : `TTL: ${record.ttl !== null ? record.ttl + 's' : '--'} · Query: ${record.queryTime.toFixed(2)}ms · ${record.rcode}`}
+                            </div>
+                            ${record.records.length > 0 
+                                ? record.records.map(value => `
+                                    <div class="dns-record">${this.escapeHtml(this.formatDNSRecord(type, value))}</div>
+                                `).join('')
+                                : '<div class="dns-record empty">No records</div>'}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        const container = document.getElementById('tracerouteContainer');
+        if (container) {
+            container.innerHTML = html;
+        }
+
+        const total = Object.values(data.records).reduce((sum, record) => sum + record.records.length, 0);
+        this.addLog(`✅ DNS lookup complete: ${total} records across ${types.length} types`, 'success');
+    }
+
+    // Switch the visible record type in the DNS results
+    showDNSTab(type) {
+        document.querySelectorAll('.dns-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.type === type);
+        });
+        document.querySelectorAll('.dns-tab-panel').forEach(panel => {
+            panel.style.display = panel.dataset.type === type ? 'block' : 'none';
+        });
+    }
+
+    formatDNSRecord(type, value) {
+        switch (type) {
+            case 'MX':
+                return `${value.priority} ${value.exchange}`;
+            case 'SOA':
+                return `${value.nsname} ${value.hostmaster} (serial ${value.serial}, refresh ${value.refresh}, retry ${value.retry}, expire ${value.expire}, min TTL ${value.minttl})`;
+            case 'SRV':
+                return `${value.priority} ${value.weight} ${value.port} ${value.name}`;
+            case 'CAA':
+                return `${value.critical} ${value.tag} "${value.value}"`;
+            default:
+                return String(value);
+        }
+    }
+
+    // Port scanner panel with service presets
+    performPortCheck() {
+        if (!this.useBackend) {
+            this.addLog('⚠️ Port check requires backend server', 'warning');
+            return;
+        }
+
+        const html = `
+            <div class="card port-scan-results">
+                <h3>🔌 Port Scanner</h3>
+                <div class="port-scan-controls">
+                    <select id="portScanPreset" onchange="window.analyzer.applyPortScanPreset(this.value)">
+                        <option value="">Custom</option>
+                        ${Object.entries(PORT_SCAN_PRESETS).map(([key, preset]) => `
+                            <option value="${key}" ${key === 'web' ? 'selected' : ''}>${preset.label}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" id="portScanPorts" value="${PORT_SCAN_PRESETS.web.ports}" placeholder="22,80,443,8000-8010">
+                    <label class="port-scan-detect" title="Read banners / send a protocol hello on open ports">
+                        <input type="checkbox" id="portScanDetect" checked>
+                        Detect services
+                    </label>
+                    <button class="btn btn-primary" id="portScanBtn" onclick="window.analyzer.runPortScan()">
+                        Scan
+                    </button>
+                </div>
+                <div id="portScanTable"></div>
+            </div>
+        `;
+
+        const container = document.getElementById('tracerouteContainer');
+        if (container) {
+            container.innerHTML = html;
+        }
+    }
+
+    applyPortScanPreset(key) {
+        if (PORT_SCAN_PRESETS[key]) {
+            document.getElementById('portScanPorts').value = PORT_SCAN_PRESETS[key].ports;
+        }
+    }
+
+    async runPortScan() {
+        const target = this.currentTarget || document.getElementById('target').value.trim();
+        if (!target) {
+            this.addLog('⚠️ Please enter a target', 'warning');
+            return;
+        }
+
+        const ports = document.getElementById('portScanPorts').value.trim();
+        if (!ports) {
+            this.addLog('⚠️ Please enter ports to scan', 'warning');
+            return;
+        }
+
+        // Accept URLs as well as bare hosts
+        const host = target.replace(/^https?:\/\//, '').split('/')[0].split(':')[0];
+        const button = document.getElementById('portScanBtn');
+
+        button.disabled = true;
+        document.getElementById('portScanTable').innerHTML = '<p class="port-scan-status">Scanning...</p>';
+        this.addLog(`🔌 Scanning ports ${ports} on ${host}...`, 'info');
+
+        try {
+            const response = await this.apiFetch(`/api/port-scan`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    host,
+                    ports,
+                    timeout: 3000,
+                    detect: document.getElementById('portScanDetect').checked
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error || response.statusText);
+            }
+
+            this.displayPortScanResults(data);
+        } catch (error) {
+            document.getElementById('portScanTable').innerHTML = '';
+            this.addLog(`❌ Port scan failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    displayPortScanResults(data) {
+        const stateLabels = { open: 'OPEN ✅', closed: 'CLOSED ❌', filtered: 'FILTERED ⏳' };
+
+        document.getElementById('portScanTable').innerHTML = `
+            <p class="port-scan-status">
+                ${data.host} (${data.address}) · ${data.open} open, ${data.closed} closed, ${data.filtered} filtered
+                · ${(data.scanTime / 1000).toFixed(2)}s
+            </p>
+            <table class="port-scan-table">
+                <thead>
+                    <tr>
+                        <th>Port</th>
+                        <th>Service</th>
+                        <th>State</th>
+                        <th>Connect Time</th>
+                        <th>Detected</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.results.map(result => `
+                        <tr class="port-${result.state}">
+                            <td>${result.port}</td>
+                            <td>${result.service || '—'}</td>
+                            <td>${stateLabels[result.state]}</td>
+                            <td>${result.state === 'open' ? `${result.time.toFixed(2)}ms` : '—'}</td>
+                            <td>${this.formatDetectedService(result.detected)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.addLog(
+            `✅ Port scan complete: ${data.open}/${data.scanned} open on ${data.host}`,
+            data.open > 0 ? 'success' : 'warning'
+        );
+    }
+
+    // Detected service, version and time-to-first-byte; raw banner on hover
+    formatDetectedService(detected) {
+        if (!detected) return '—';
+        if (!detected.service) {
+            return detected.banner
+                ? `<span class="port-banner">${this.escapeHtml(detected.banner)}</span>`
+                : '<span class="port-banner">no response</span>';
+        }
+
+        return `
+            <span class="port-detected" title="${this.escapeHtml(detected.banner || '')}">
+                <strong>${detected.service}</strong>${detected.tls ? ` 🔒 ${detected.tls.protocol}` : ''}
+                ${detected.version ? ` · ${this.escapeHtml(detected.version)}` : ''}
+                ${detected.ttfb !== null ? `<small>(${detected.ttfb.toFixed(1)}ms)</small>` : ''}
+            </span>
+        `;
+    }
+
+    // HTTP timing breakdown (DNS, connect, TLS, TTFB, download)
+    async performHttpTiming() {
+        if (!this.useBackend) {
+            this.addLog('⚠️ HTTP timing requires backend server', 'warning');
+            return;
+        }
+
+        const target = this.currentTarget || document.getElementById('target').value.trim();
+        if (!target) {
+            this.addLog('⚠️ Please enter a target', 'warning');
+            return;
+        }
+
+        this.addLog(`⏱️ Measuring HTTP timing for ${target}...`, 'info');
+
+        try {
+            const response = await this.apiFetch(`/api/http-timing`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    host: target,
+                    count: 3,
+                    timeout: this.config.defaults.timeout
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP timing failed: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            this.displayHttpTiming(data);
+        } catch (error) {
+            this.addLog(`❌ HTTP timing failed: ${error.message}`, 'error');
+        }
     }
 
-    // Enhanced start test with real-time monitoring option
-    async startTest() {
-        if (this.isRunning) return;
+    // Display HTTP timing phases as a stacked bar
+    displayHttpTiming(data) {
+        const container = document.getElementById('httpTimingContainer');
+        if (!container) return;
 
-        this.currentTarget = document.getElementById('target').value.trim();
-        if (!this.currentTarget) {
-            this.addLog('⚠️ Please enter a target address', 'warning');
+        if (!data.alive) {
+            const reason = data.attempts?.find(a => a.error)?.error || 'No response';
+            container.innerHTML = '';
+            this.addLog(`❌ HTTP timing: ${data.url} unreachable (${reason})`, 'error');
             return;
         }
 
-        this.testResults = [];
-        this.chartData = [];
-        this.testCount = 0;
-        this.successCount = 0;
-        this.failCount = 0;
-        this.isRunning = true;
-        this.abortController = new AbortController();
+        const phases = [
+            { key: 'dns', label: 'DNS', color: '#667eea' },
+            { key: 'connect', label: 'Connect', color: '#4ecdc4' },
+            { key: 'tls', label: 'TLS', color: '#ffd93d' },
+            { key: 'ttfb', label: 'Server (TTFB)', color: '#ff9800' },
+            { key: 'download', label: 'Download', color: '#ff6b6b' }
+        ];
+        const total = phases.reduce((sum, phase) => sum + data.phases[phase.key].avg, 0) || 1;
+        const slowest = phases.reduce((a, b) => data.phases[b.key].avg > data.phases[a.key].avg ? b : a);
+
+        container.innerHTML = `
+            <div class="card http-timing">
+                <h3>⏱️ HTTP Timing Breakdown</h3>
+                <div class="http-timing-target">${data.method} ${data.url} (${data.successCount}/${data.totalCount} ok)</div>
+                <div class="timing-bar">
+                    ${phases.map(phase => `
+                        <div class="timing-segment" 
+                             style="width: ${(data.phases[phase.key].avg / total) * 100}%; background: ${phase.color};"
+                             title="${phase.label}: ${data.phases[phase.key].avg.toFixed(2)}ms"></div>
+                    `).join('')}
+                </div>
+                <div class="timing-legend">
+                    ${phases.map(phase => `
+                        <span class="timing-legend-item">
+                            <span class="timing-swatch" style="background: ${phase.color};"></span>
+                            ${phase.label}: <strong>${data.phases[phase.key].avg.toFixed(1)}ms</strong>
+                        </span>
+                    `).join('')}
+                </div>
+                <div class="timing-summary">
+                    Total: ${data.phases.total.avg.toFixed(1)}ms (min ${data.phases.total.min.toFixed(1)} / max ${data.phases.total.max.toFixed(1)}) · Slowest phase: ${slowest.label}
+                </div>
+            </div>
+        `;
 
-        this.updateStatus('testing');
-        this.addLog(`🚀 Starting test for ${this.currentTarget}`, 'success');
+        this.addLog(`✅ HTTP timing: ${data.phases.total.avg.toFixed(1)}ms total, slowest phase ${slowest.label}`, 'success');
+    }
 
-        const useRealtimeMonitoring = document.getElementById('realtimeMonitoring')?.checked;
-        const count = parseInt(document.getElementById('testCount').value);
-        const interval = parseFloat(document.getElementById('interval').value) * 1000;
-        const continuous = document.getElementById('continuous').checked;
+    // TLS handshake and certificate inspection
+    async performTlsInspect() {
+        if (!this.useBackend) {
+            this.addLog('⚠️ TLS inspection requires backend server', 'warning');
+            return;
+        }
 
-        if (useRealtimeMonitoring && this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.startRealtimeMonitoring();
-        } else {
-            if (continuous) {
-                this.runContinuousTest(interval);
-            } else {
-                this.runLimitedTest(count, interval);
-            }
+        const target = this.currentTarget || document.getElementById('target').value.trim();
+        if (!target) {
+            this.addLog('⚠️ Please enter a target', 'warning');
+            return;
         }
-    }
 
-    async runLimitedTest(count, interval) {
-        for (let i = 0; i < count && this.isRunning; i++) {
-            await this.performSingleTest();
-            if (i < count - 1 && this.isRunning) {
-                await this.sleep(interval);
+        // Accept URLs as well as bare hosts / host:port
+        const [host, port = 443] = target.replace(/^https?:\/\//, '').split('/')[0].split(':');
+
+        this.addLog(`🔒 Inspecting TLS on ${host}:${port}...`, 'info');
+
+        try {
+            const response = await this.apiFetch(`/api/tls-inspect`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    host,
+                    port: parseInt(port),
+                    timeout: this.config.defaults.timeout
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || response.statusText);
             }
-        }
-        if (this.isRunning) {
-            this.stopTest();
-        }
-    }
 
-    async runContinuousTest(interval) {
-        while (this.isRunning) {
-            await this.performSingleTest();
-            await this.sleep(interval);
+            this.displayTlsResults(data);
+        } catch (error) {
+            this.addLog(`❌ TLS inspection failed: ${error.message}`, 'error');
         }
     }
 
-    // DNS Lookup functionality
-    async performDNSLookup() {
+    // Compare IPv4 and IPv6 connect latency to the same host
+    async performDualStackTest() {
         if (!this.useBackend) {
-            this.addLog('⚠️ DNS Lookup requires backend server', 'warning');
+            this.addLog('⚠️ Dual-stack test requires backend server', 'warning');
             return;
         }
 
@@ -1127,51 +3194,132 @@ class EnhancedNetworkAnalyzer {
             return;
         }
 
-        this.addLog(`🔍 Performing DNS lookup for ${target}...`, 'info');
+        const host = target.replace(/^https?:\/\//, '').split('/')[0].replace(/^\[|\]$/g, '');
+        const port = this.getTcpPort();
+
+        this.addLog(`🌐 Comparing IPv4 and IPv6 to ${host}:${port}...`, 'info');
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/dns-lookup`, {
+            const response = await this.apiFetch(`/api/dual-stack`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ hostname: target })
+                body: JSON.stringify({
+                    host,
+                    port,
+                    count: 5,
+                    timeout: this.config.defaults.timeout
+                })
             });
 
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error(`DNS lookup failed: ${response.statusText}`);
+                throw new Error(data.message || response.statusText);
             }
 
-            const data = await response.json();
-            this.displayDNSResults(data);
+            this.displayDualStackResults(data);
         } catch (error) {
-            this.addLog(`❌ DNS lookup failed: ${error.message}`, 'error');
+            this.addLog(`❌ Dual-stack test failed: ${error.message}`, 'error');
         }
     }
 
-    // Display DNS lookup results
-    displayDNSResults(data) {
+    displayDualStackResults(data) {
+        const familyCard = (name, probe) => `
+            <div class="dual-stack-family ${data.faster === name ? 'faster' : ''}">
+                <h4>${name} ${data.faster === name ? '🏆' : ''}</h4>
+                ${!probe.available ? '<p class="dual-stack-missing">No address</p>' : `
+                    <div class="dual-stack-address">${probe.address}</div>
+                    ${probe.alive ? `
+                        <div class="dual-stack-latency">${probe.median.toFixed(2)}<span class="metric-unit">ms</span></div>
+                        <div class="dual-stack-detail">
+                            min ${probe.min.toFixed(2)} · max ${probe.max.toFixed(2)} · jitter ${probe.jitter.toFixed(2)}ms
+                        </div>
+                    ` : '<p class="dual-stack-missing">Unreachable</p>'}
+                    <div class="dual-stack-detail">Loss: ${probe.packetLoss.toFixed(0)}% · ${probe.addresses.length} address${probe.addresses.length === 1 ? '' : 'es'}</div>
+                `}
+            </div>
+        `;
+
+        const he = data.happyEyeballs;
+        const verdict = !he.picks ? 'Neither family connected'
+            : he.picksFaster ? `Happy Eyeballs would pick ${he.picks}, the faster family ✅`
+            : `Happy Eyeballs would pick ${he.picks}, ${he.penalty.toFixed(1)}ms slower than ${data.faster} ⚠️`;
+
         const html = `
-            <div class="card dns-results">
-                <h3>🔍 DNS Lookup Results</h3>
+            <div class="card dual-stack-results">
+                <h3>🌐 IPv4 vs IPv6 - ${data.host}:${data.port}</h3>
+                <div class="dual-stack-grid">
+                    ${familyCard('IPv4', data.ipv4)}
+                    ${familyCard('IPv6', data.ipv6)}
+                </div>
+                <div class="dual-stack-verdict ${he.picksFaster ? '' : 'warning'}">
+                    ${verdict}
+                    <small>System order: ${data.systemPreference || 'unknown'} first · ${he.attemptDelay}ms attempt delay</small>
+                </div>
+            </div>
+        `;
+
+        const container = document.getElementById('tracerouteContainer');
+        if (container) {
+            container.innerHTML = html;
+        }
+
+        this.addLog(
+            data.difference !== null
+                ? `✅ ${data.faster} is faster by ${data.difference.toFixed(2)}ms`
+                : `✅ Only ${data.faster || 'no family'} reachable for ${data.host}`,
+            data.faster ? 'success' : 'warning'
+        );
+    }
+
+    // Display TLS inspection results
+    displayTlsResults(data) {
+        const leaf = data.certificates[0];
+        const expiryClass = (days) => days < 0 ? 'error' : days < 30 ? 'warning' : 'success';
+
+        const html = `
+            <div class="card tls-results">
+                <h3>🔒 TLS Inspection Results</h3>
                 <div class="dns-info">
                     <div class="dns-item">
-                        <span class="dns-label">Hostname:</span>
-                        <span class="dns-value">${data.hostname}</span>
+                        <span class="dns-label">Endpoint:</span>
+                        <span class="dns-value">${this.escapeHtml(data.host)}:${data.port} (${this.escapeHtml(data.remoteAddress)})</span>
                     </div>
                     <div class="dns-item">
-                        <span class="dns-label">IP Addresses:</span>
-                        <span class="dns-value">${data.addresses.join(', ')}</span>
+                        <span class="dns-label">Protocol:</span>
+                        <span class="dns-value">${data.protocol} · ALPN: ${data.alpn || 'none'}${data.sessionReused ? ' · resumed' : ''}</span>
                     </div>
                     <div class="dns-item">
-                        <span class="dns-label">Lookup Time:</span>
-                        <span class="dns-value">${data.lookupTime}ms</span>
+                        <span class="dns-label">Cipher:</span>
+                        <span class="dns-value">${data.cipher ? data.cipher.standardName || data.cipher.name : 'Unknown'}</span>
+                    </div>
+                    <div class="dns-item">
+                        <span class="dns-label">Handshake:</span>
+                        <span class="dns-value">${data.timing.handshake.toFixed(2)}ms (TCP ${data.timing.connect.toFixed(2)}ms, total ${data.timing.total.toFixed(2)}ms)</span>
                     </div>
                     <div class="dns-item">
-                        <span class="dns-label">DNS Servers:</span>
-                        <span class="dns-value">${data.dnsServers.join(', ')}</span>
+                        <span class="dns-label">Trusted:</span>
+                        <span class="dns-value">${data.authorized ? '✅ Yes' : `❌ No (${this.escapeHtml(data.authorizationError)})`}</span>
                     </div>
                 </div>
+                <h4 class="tls-chain-title">Certificate Chain</h4>
+                <div class="tls-chain">
+                    ${data.certificates.map((cert, index) => `
+                        <div class="tls-cert">
+                            <div class="tls-cert-header">
+                                <span class="hop-number">#${index}</span>
+                                <span class="tls-cert-subject">${this.escapeHtml(cert.subject.CN || cert.subject.O || 'Unnamed')}</span>
+                                <span class="tls-expiry ${expiryClass(cert.daysUntilExpiry)}">${cert.daysUntilExpiry} days left</span>
+                            </div>
+                            <div class="tls-cert-detail">Issuer: ${this.escapeHtml(cert.issuer.CN || cert.issuer.O || 'Unknown')}${cert.selfSigned ? ' (self-signed)' : ''}</div>
+                            <div class="tls-cert-detail">Valid: ${new Date(cert.validFrom).toLocaleDateString()} → ${new Date(cert.validTo).toLocaleDateString()}</div>
+                            ${cert.subjectAltNames.length > 0 ? `
+                                <div class="tls-cert-detail">SANs: ${this.escapeHtml(cert.subjectAltNames.join(', '))}</div>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
             </div>
         `;
 
@@ -1180,50 +3328,379 @@ class EnhancedNetworkAnalyzer {
             container.innerHTML = html;
         }
 
-        this.addLog(`✅ DNS lookup complete: ${data.addresses.length} addresses found`, 'success');
+        if (leaf && leaf.daysUntilExpiry < 30) {
+            this.addLog(`⚠️ Certificate for ${this.escapeHtml(data.host)} expires in ${leaf.daysUntilExpiry} days`, 'warning');
+        }
+        this.addLog(`✅ TLS inspection complete: ${data.protocol}, handshake ${data.timing.handshake.toFixed(2)}ms`, 'success');
     }
 
-    // Port check functionality
-    async performPortCheck() {
+    // Download then upload throughput against the backend, several parallel streams each
+    async runSpeedTest() {
         if (!this.useBackend) {
-            this.addLog('⚠️ Port check requires backend server', 'warning');
+            this.addLog('⚠️ Speed test requires backend server', 'warning');
             return;
         }
+        if (this.speedTestRunning) return;
 
-        const target = this.currentTarget || document.getElementById('target').value.trim();
-        if (!target) {
-            this.addLog('⚠️ Please enter a target', 'warning');
+        const streams = parseInt(document.getElementById('speedTestStreams').value) || this.config.speedTest.streams;
+        const button = document.getElementById('speedTestBtn');
+        const status = document.getElementById('speedTestStatus');
+
+        this.speedTestRunning = true;
+        button.disabled = true;
+        document.getElementById('downloadSpeed').textContent = '--';
+        document.getElementById('uploadSpeed').textContent = '--';
+        this.addLog(`🚀 Starting speed test (${streams} streams)...`, 'info');
+
+        try {
+            status.textContent = 'Measuring download...';
+            const download = await this.measureThroughput('download', streams, (mbps) => {
+                document.getElementById('downloadSpeed').textContent = mbps.toFixed(1);
+            });
+            document.getElementById('downloadSpeed').textContent = download.mbps.toFixed(1);
+
+            status.textContent = 'Measuring upload...';
+            const upload = await this.measureThroughput('upload', streams, (mbps) => {
+                document.getElementById('uploadSpeed').textContent = mbps.toFixed(1);
+            });
+            document.getElementById('uploadSpeed').textContent = upload.mbps.toFixed(1);
+
+            this.lastSpeedTest = {
+                downloadMbps: download.mbps,
+                uploadMbps: upload.mbps,
+                streams,
+                duration: this.config.speedTest.duration,
+                timestamp: new Date().toISOString()
+            };
+
+            status.textContent = `Completed ${new Date().toLocaleTimeString('en-US')} · ${streams} streams`;
+            this.addLog(`✅ Speed test: ⬇️ ${download.mbps.toFixed(1)} Mbit/s, ⬆️ ${upload.mbps.toFixed(1)} Mbit/s`, 'success');
+        } catch (error) {
+            status.textContent = '';
+            this.addLog(`❌ Speed test failed: ${error.message}`, 'error');
+        } finally {
+            this.speedTestRunning = false;
+            button.disabled = false;
+        }
+    }
+
+    // Latency under load: the continuous probe keeps running while the link is
+    // idle, then saturated by download streams, then by upload streams
+    async runBufferbloatTest() {
+        if (!this.useBackend) {
+            this.addLog('⚠️ Bufferbloat test requires backend server', 'warning');
             return;
         }
+        if (this.isRunning || this.speedTestRunning) {
+            this.addLog('⚠️ Wait for the current test to finish', 'warning');
+            return;
+        }
+
+        // Browsers open at most 6 HTTP/1.1 connections per host: keep one free
+        // so the latency probes never queue behind the load
+        const streams = Math.min(
+            parseInt(document.getElementById('speedTestStreams').value) || this.config.speedTest.streams,
+            5
+        );
+        const { idleDuration, interval } = this.config.bufferbloat;
+        const status = document.getElementById('speedTestStatus');
+        const buttons = ['speedTestBtn', 'bufferbloatBtn'].map(id => document.getElementById(id));
+
+        this.testResults = [];
+        this.chartData = [];
+        this.testCount = 0;
+        this.successCount = 0;
+        this.failCount = 0;
+        this.isRunning = true;
+        this.abortController = new AbortController();
+        this.speedTestRunning = true;
+        this.lastBufferbloat = null;
+        this.bufferbloat = {
+            // Samples are browser → backend round trips, so they are recorded
+            // against the backend; the user's target stays as it was
+            target: new URL(API_BASE_URL).host,
+            phase: 'idle',
+            samples: { idle: [], download: [], upload: [] }
+        };
+        buttons.forEach(button => { button.disabled = true; });
+        document.getElementById('bufferbloatResults').innerHTML = '';
 
-        const port = prompt('Enter port number to check (e.g., 80, 443, 22):');
-        if (!port) return;
+        this.updateStatus('testing');
+        this.addLog(`🌊 Starting bufferbloat test (${streams} streams, latency measured to the backend)`, 'success');
 
-        this.addLog(`🔌 Checking port ${port} on ${target}...`, 'info');
+        const probeLoop = this.runContinuousTest(interval);
+        const signal = this.abortController.signal;
+        let cancelled = false;
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/port-check`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    host: target,
-                    port: parseInt(port),
-                    timeout: 3000
-                })
-            });
+            status.textContent = 'Measuring idle latency...';
+            await this.sleep(idleDuration);
+
+            if (this.isRunning) {
+                this.bufferbloat.phase = 'download';
+                status.textContent = 'Measuring latency during download...';
+                const download = await this.measureThroughput('download', streams, (mbps) => {
+                    document.getElementById('downloadSpeed').textContent = mbps.toFixed(1);
+                }, signal);
+                document.getElementById('downloadSpeed').textContent = download.mbps.toFixed(1);
+                this.bufferbloat.downloadMbps = download.mbps;
+            }
 
-            if (!response.ok) {
-                throw new Error(`Port check failed: ${response.statusText}`);
+            if (this.isRunning) {
+                this.bufferbloat.phase = 'upload';
+                status.textContent = 'Measuring latency during upload...';
+                const upload = await this.measureThroughput('upload', streams, (mbps) => {
+                    document.getElementById('uploadSpeed').textContent = mbps.toFixed(1);
+                }, signal);
+                document.getElementById('uploadSpeed').textContent = upload.mbps.toFixed(1);
+                this.bufferbloat.uploadMbps = upload.mbps;
             }
 
-            const data = await response.json();
-            const status = data.open ? 'OPEN ✅' : 'CLOSED ❌';
-            this.addLog(`Port ${port} on ${target} is ${status}`, data.open ? 'success' : 'warning');
+            // Stopped by the user part way through
+            if (!this.isRunning) {
+                cancelled = true;
+                status.textContent = '';
+                this.addLog('⏹️ Bufferbloat test cancelled', 'warning');
+                return;
+            }
+
+            this.bufferbloat.phase = null;
+            this.isRunning = false;
+            await probeLoop;
+
+            const result = this.calculateBufferbloat(this.bufferbloat.samples);
+            if (!result) {
+                throw new Error('Not enough latency samples (is the target reachable?)');
+            }
+
+            result.downloadMbps = this.bufferbloat.downloadMbps;
+            result.uploadMbps = this.bufferbloat.uploadMbps;
+            result.streams = streams;
+            this.lastBufferbloat = result;
+            this.lastSpeedTest = {
+                downloadMbps: result.downloadMbps,
+                uploadMbps: result.uploadMbps,
+                streams,
+                duration: this.config.speedTest.duration,
+                timestamp: result.timestamp
+            };
+
+            this.displayBufferbloatResults(result);
+            status.textContent = `Completed ${new Date().toLocaleTimeString('en-US')} · ${streams} streams`;
+            this.addLog(
+                `✅ Bufferbloat grade ${result.grade.grade}: +${result.download.increase.toFixed(1)}ms on download, ` +
+                `+${result.upload.increase.toFixed(1)}ms on upload (idle ${result.idle.median.toFixed(1)}ms)`,
+                'success'
+            );
         } catch (error) {
-            this.addLog(`❌ Port check failed: ${error.message}`, 'error');
+            status.textContent = '';
+            this.addLog(`❌ Bufferbloat test failed: ${error.message}`, 'error');
+        } finally {
+            this.speedTestRunning = false;
+            buttons.forEach(button => { button.disabled = false; });
+            // stopTest() already ran if the user cancelled
+            if (!cancelled) {
+                this.stopTest();
+            }
+            this.bufferbloat = null;
+        }
+    }
+
+    // Median and p95 per phase; the increase is loaded median minus idle median
+    calculateBufferbloat(samples) {
+        if (samples.idle.length === 0 || samples.download.length === 0 || samples.upload.length === 0) {
+            return null;
+        }
+
+        const idleMedian = this.getMedian(samples.idle);
+        const summarize = (values) => {
+            const median = this.getMedian(values);
+            return {
+                median,
+                p95: this.percentile(values, 0.95),
+                samples: values.length,
+                increase: Math.max(0, median - idleMedian)
+            };
+        };
+
+        const download = summarize(samples.download);
+        const upload = summarize(samples.upload);
+
+        return {
+            idle: summarize(samples.idle),
+            download,
+            upload,
+            grade: this.getBufferbloatGrade(Math.max(download.increase, upload.increase)),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    getBufferbloatGrade(increase) {
+        if (increase < 5) return { grade: 'A+', color: '#4ecdc4', label: 'No noticeable bufferbloat' };
+        if (increase < 30) return { grade: 'A', color: '#4ecdc4', label: 'Minimal bufferbloat' };
+        if (increase < 60) return { grade: 'B', color: '#52c41a', label: 'Mild bufferbloat' };
+        if (increase < 200) return { grade: 'C', color: '#ffd93d', label: 'Noticeable under load' };
+        if (increase < 400) return { grade: 'D', color: '#ff9800', label: 'Severe bufferbloat' };
+        return { grade: 'F', color: '#ff6b6b', label: 'Unusable under load' };
+    }
+
+    displayBufferbloatResults(result) {
+        const row = (label, phase) => `
+            <tr>
+                <td>${label}</td>
+                <td>${phase.median.toFixed(1)}ms</td>
+                <td>${phase.p95.toFixed(1)}ms</td>
+                <td>${label === 'Idle' ? '—' : `+${phase.increase.toFixed(1)}ms`}</td>
+                <td>${phase.samples}</td>
+            </tr>
+        `;
+
+        document.getElementById('bufferbloatResults').innerHTML = `
+            <div class="bufferbloat-results">
+                <div class="bufferbloat-grade" style="border-color: ${result.grade.color};">
+                    <span class="score-grade" style="color: ${result.grade.color};">${result.grade.grade}</span>
+                    <span class="bufferbloat-label">${result.grade.label}</span>
+                </div>
+                <table class="bufferbloat-table">
+                    <thead>
+                        <tr>
+                            <th>Phase</th>
+                            <th>Median</th>
+                            <th>P95</th>
+                            <th>Increase</th>
+                            <th>Samples</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Idle', result.idle)}
+                        ${row('⬇️ Download', result.download)}
+                        ${row('⬆️ Upload', result.upload)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Sustained throughput in Mbit/s: bytes counted after a warm-up window, until the deadline
+    async measureThroughput(direction, streams, onProgress = () => {}, signal = null) {
+        const { duration, downloadBytes, uploadBytes } = this.config.speedTest;
+        const controller = new AbortController();
+        signal?.addEventListener('abort', () => controller.abort(), { once: true });
+        const startTime = performance.now();
+        const measureFrom = startTime + duration * 0.2; // skip TCP slow start
+        const deadline = startTime + duration;
+        let bytes = 0;
+        let lastReport = 0;
+
+        const count = (size) => {
+            const now = performance.now();
+            if (now < measureFrom) return;
+
+            bytes += size;
+            if (now - lastReport > 250) {
+                lastReport = now;
+                onProgress((bytes * 8) / ((now - measureFrom) / 1000) / 1e6);
+            }
+        };
+
+        const payload = direction === 'upload' ? this.createRandomPayload(uploadBytes) : null;
+
+        const worker = async () => {
+            while (performance.now() < deadline) {
+                if (direction === 'download') {
+                    const response = await this.apiFetch(`/api/speedtest/download?bytes=${downloadBytes}`, {
+                        cache: 'no-store',
+                        signal: controller.signal
+                    });
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        throw new Error(data.message || `Download failed (${response.status})`);
+                    }
+                    const reader = response.body.getReader();
+
+                    while (true) {
+                        const { done, value } = await reader.read();
+                        if (done) break;
+                        count(value.length);
+                    }
+                } else {
+                    await this.uploadPayload(payload, count, controller.signal);
+                }
+            }
+        };
+
+        const timer = setTimeout(() => controller.abort(), duration);
+
+        try {
+            await Promise.all(Array.from({ length: streams }, () => worker().catch((error) => {
+                if (error.name !== 'AbortError') throw error;
+            })));
+        } finally {
+            clearTimeout(timer);
+            controller.abort();
+        }
+
+        const elapsed = (Math.min(performance.now(), deadline) - measureFrom) / 1000;
+        return {
+            mbps: elapsed > 0 ? (bytes * 8) / elapsed / 1e6 : 0,
+            bytes
+        };
+    }
+
+    // XHR rather than fetch so upload progress counts partially sent payloads
+    uploadPayload(payload, onBytes, signal) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            let sent = 0;
+
+            xhr.open('POST', `${API_BASE_URL}/api/speedtest/upload`);
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            Object.entries(this.getAuthHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            xhr.upload.onprogress = (event) => {
+                onBytes(event.loaded - sent);
+                sent = event.loaded;
+            };
+            xhr.onload = () => {
+                if (xhr.status < 400) return resolve();
+                let data = {};
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Not a JSON error body
+                }
+                reject(new Error(data.message || `Upload failed (${xhr.status})`));
+            };
+            xhr.onerror = () => reject(new Error('Upload failed'));
+            xhr.onabort = () => reject(new DOMException('Upload aborted', 'AbortError'));
+
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            xhr.send(payload);
+        });
+    }
+
+    createRandomPayload(size) {
+        const data = new Uint8Array(size);
+        // getRandomValues is limited to 64KB per call
+        for (let offset = 0; offset < size; offset += 65536) {
+            crypto.getRandomValues(data.subarray(offset, Math.min(offset + 65536, size)));
+        }
+        return new Blob([data]);
+    }
+
+    // Browser → backend round trip: one uncached 1-byte download
+    async measureBackendRtt() {
+        const startTime = performance.now();
+        const response = await this.apiFetch(`/api/speedtest/download?bytes=1`, {
+            cache: 'no-store',
+            signal: AbortSignal.timeout(this.config.defaults.timeout)
+        });
+        await response.arrayBuffer();
+
+        if (!response.ok) {
+            throw new Error(`Backend returned ${response.status}`);
         }
+        return performance.now() - startTime;
     }
 
     // Original browser-based latency measurement (fallback)
@@ -1233,9 +3710,12 @@ class EnhancedNetworkAnalyzer {
 
         try {
             const isIP = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(this.currentTarget);
+            const isIPv6 = /^[0-9a-f]*:[0-9a-f:.]+$/i.test(this.currentTarget);
             let url;
 
-            if (isIP) {
+            if (isIPv6) {
+                url = `https://[${this.currentTarget}]`;
+            } else if (isIP) {
                 url = `https://${this.currentTarget}`;
             } else {
                 url = this.currentTarget.startsWith('http') 
@@ -1293,6 +3773,9 @@ class EnhancedNetworkAnalyzer {
             this.stopRealtimeMonitoring();
         }
         
+        // Ignore the rest of a streamed UDP probe
+        this.udpProbeId = null;
+        
         this.updateStatus('idle');
         
         const summary = this.generateSummary();
@@ -1315,6 +3798,11 @@ class EnhancedNetworkAnalyzer {
             this.updateServerInfo(e.target.value);
         });
 
+        document.getElementById('testMethod').addEventListener('change', (e) => {
+            document.getElementById('tcpPortGroup').style.display = e.target.value === 'tcp' ? 'block' : 'none';
+            document.getElementById('udpPortGroup').style.display = e.target.value === 'udp' ? 'block' : 'none';
+        });
+
         document.querySelectorAll('.preset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const target = e.currentTarget.dataset.target;
@@ -1466,6 +3954,9 @@ class EnhancedNetworkAnalyzer {
         const statusEl = document.getElementById('gamingStatus');
         statusEl.textContent = status;
         statusEl.style.color = statusColor;
+
+        const protocols = { icmp: this.useBackend ? 'ICMP' : 'HTTP', tcp: 'TCP', udp: 'UDP' };
+        document.getElementById('gamingProtocol').textContent = protocols[this.getTestMethod()];
     }
 
     generateSmartTips() {
@@ -1502,6 +3993,14 @@ class EnhancedNetworkAnalyzer {
             });
         }
 
+        if (this.gamingModeEnabled && this.useBackend && this.getTestMethod() !== 'udp') {
+            tips.push({
+                icon: '📦',
+                text: 'Games run over UDP. Point the target at a UDP echo reflector and select "UDP Echo" for game-accurate loss and reordering.',
+                severity: 'info'
+            });
+        }
+
         if (this.gamingModeEnabled && avg > this.config.alerts.highLatencyGaming) {
             tips.push({
                 icon: '🎮',
@@ -1581,7 +4080,8 @@ class EnhancedNetworkAnalyzer {
         });
     }
 
-    displayComparisonResults(results) {
+    // `progress` ({ completed, total, samples }) renders a comparison still streaming
+    displayComparisonResults(results, progress = null) {
         if (results.length === 0) {
             this.addLog('⚠️ No comparison results available', 'warning');
             return;
@@ -1591,18 +4091,35 @@ class EnhancedNetworkAnalyzer {
         
         results.sort((a, b) => {
             if (this.currentSort === 'successRate') return b[this.currentSort] - a[this.currentSort];
-            return a[this.currentSort] - b[this.currentSort];
+            // Resolvers without a value for the key (e.g. no DoT endpoint) sort last
+            return (a[this.currentSort] ?? Infinity) - (b[this.currentSort] ?? Infinity);
         });
 
+        const hasEncrypted = results.some(result => result.encrypted?.length > 0);
+
         let html = `
             <div class="card comparison-results">
-                <h3>🔄 DNS Server Comparison Results ${this.useBackend ? '(Backend)' : '(Browser)'}</h3>
+                <h3>🔄 DNS Server Comparison Results ${results[0].method === 'dns' ? '(DNS Resolution)' : this.useBackend ? '(Backend)' : '(Browser)'}</h3>
                 <div class="sort-buttons">
                     <button onclick="window.analyzer.sortComparison('avg')" class="sort-btn ${this.currentSort === 'avg' ? 'active' : ''}">Avg</button>
                     <button onclick="window.analyzer.sortComparison('jitter')" class="sort-btn ${this.currentSort === 'jitter' ? 'active' : ''}">Jitter</button>
                     <button onclick="window.analyzer.sortComparison('successRate')" class="sort-btn ${this.currentSort === 'successRate' ? 'active' : ''}">Success%</button>
                     <button onclick="window.analyzer.sortComparison('packetLoss')" class="sort-btn ${this.currentSort === 'packetLoss' ? 'active' : ''}">Loss</button>
+                    ${hasEncrypted ? `
+                        <button onclick="window.analyzer.sortComparison('doh')" class="sort-btn ${this.currentSort === 'doh' ? 'active' : ''}">DoH</button>
+                        <button onclick="window.analyzer.sortComparison('dohJson')" class="sort-btn ${this.currentSort === 'dohJson' ? 'active' : ''}">DoH JSON</button>
+                        <button onclick="window.analyzer.sortComparison('dot')" class="sort-btn ${this.currentSort === 'dot' ? 'active' : ''}">DoT</button>
+                    ` : ''}
                 </div>
+                ${progress ? `
+                    <div class="traceroute-progress">
+                        <div class="traceroute-progress-bar">
+                            <div class="traceroute-progress-fill" style="width: ${(progress.completed / progress.total * 100).toFixed(0)}%;"></div>
+                        </div>
+                        <span class="comparison-progress-label">${progress.completed}/${progress.total} servers · ${progress.samples} samples</span>
+                        <button class="btn btn-secondary" onclick="window.analyzer.cancelServerComparison()">✖ Cancel</button>
+                    </div>
+                ` : ''}
                 <div class="comparison-grid">
         `;
 
@@ -1611,7 +4128,7 @@ class EnhancedNetworkAnalyzer {
             const quality = this.getQuality(result.avg);
             
             html += `
-                <div class="comparison-item">
+                <div class="comparison-item ${hasEncrypted ? 'with-encrypted' : ''} ${result.pending ? 'pending' : ''}">
                     <div class="comparison-rank">#${index + 1}</div>
                     <div class="comparison-info">
                         <span class="comparison-target">
@@ -1625,8 +4142,22 @@ class EnhancedNetworkAnalyzer {
                     <div class="comparison-stats">
                         <span class="comparison-value">${result.avg.toFixed(2)}ms</span>
                         <span class="comparison-jitter">Jitter: ${result.jitter.toFixed(1)}ms</span>
-                        <span class="comparison-loss">Loss: ${result.packetLoss.toFixed(1)}%</span>
+                        <span class="comparison-loss">${result.method === 'dns' ? 'Failures' : 'Loss'}: ${result.packetLoss.toFixed(1)}%</span>
+                        ${result.consistency !== undefined ? `
+                            <span class="comparison-loss">Consistency: ${result.consistency.toFixed(0)}%</span>
+                        ` : ''}
                     </div>
+                    ${hasEncrypted ? `
+                        <div class="comparison-encrypted">
+                            ${(result.encrypted || []).map(column => `
+                                <span class="comparison-protocol" title="Reused connection / new connection per query">
+                                    ${column.label}: ${!column.supported ? 'n/a' 
+                                        : column.warm === null ? 'failed' 
+                                        : `<strong>${column.warm.toFixed(1)}ms</strong> · cold ${column.cold !== null ? column.cold.toFixed(1) + 'ms' : '--'}`}
+                                </span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
                     <button class="set-target-btn" onclick="window.analyzer.setAsTarget('${result.server}')">
                         Set as Target
                     </button>
@@ -1648,7 +4179,9 @@ class EnhancedNetworkAnalyzer {
         `;
 
         document.getElementById('comparisonContainer').innerHTML = html;
-        this.addLog(`✅ Comparison complete. Best: ${results[0].info.name}`, 'success');
+        if (!progress) {
+            this.addLog(`✅ Comparison complete. Best: ${results[0].info.name}`, 'success');
+        }
     }
 
     setAsTarget(server) {
@@ -1661,7 +4194,7 @@ class EnhancedNetworkAnalyzer {
     sortComparison(key) {
         if (!this.comparisonResults) return;
         this.currentSort = key;
-        this.displayComparisonResults(this.comparisonResults);
+        this.displayComparisonResults(this.comparisonResults, this.comparisonProgress);
     }
 
     generatePDFReport() {
@@ -2098,10 +4631,12 @@ ${this.useBackend ? 'Backend Server Mode' : 'Browser Mode'}
         const validResults = this.testResults.filter(r => r !== null);
         if (validResults.length === 0) return;
         
+        // A bufferbloat run measured the backend, not the current target
+        const target = this.bufferbloat ? this.bufferbloat.target : this.currentTarget;
         const historyEntry = {
             timestamp: new Date().toISOString(),
-            target: this.currentTarget,
-            serverInfo: this.serverLocations[this.currentTarget],
+            target,
+            serverInfo: this.serverLocations[target],
             testMethod: this.useBackend ? 'Backend' : 'Browser',
             summary: {
                 avg: (validResults.reduce((a, b) => a + b, 0) / validResults.length).toFixed(2),
@@ -2111,7 +4646,14 @@ ${this.useBackend ? 'Backend Server Mode' : 'Browser Mode'}
                 packetLoss: (this.failCount / this.testCount * 100).toFixed(1),
                 totalTests: this.testCount,
                 qualityScore: this.calculateQualityScore()
-            }
+            },
+            throughput: this.lastSpeedTest,
+            bufferbloat: this.lastBufferbloat ? {
+                grade: this.lastBufferbloat.grade.grade,
+                idle: this.lastBufferbloat.idle.median,
+                downloadIncrease: this.lastBufferbloat.download.increase,
+                uploadIncrease: this.lastBufferbloat.upload.increase
+            } : null
         };
         
         // Save to IndexedDB if available
@@ -2168,6 +4710,12 @@ ${this.useBackend ? 'Backend Server Mode' : 'Browser Mode'}
                         <span class="history-stat">Avg: <strong>${entry.summary.avg}ms</strong></span>
                         <span class="history-stat">Loss: <strong>${entry.summary.packetLoss}%</strong></span>
                         <span class="history-stat">Score: <strong>${entry.summary.qualityScore}/100</strong></span>
+                        ${entry.throughput ? `
+                            <span class="history-stat">⬇️ <strong>${entry.throughput.downloadMbps.toFixed(1)}</strong> ⬆️ <strong>${entry.throughput.uploadMbps.toFixed(1)}</strong> Mbit/s</span>
+                        ` : ''}
+                        ${entry.bufferbloat ? `
+                            <span class="history-stat">Bufferbloat: <strong>${entry.bufferbloat.grade}</strong></span>
+                        ` : ''}
                         <span class="history-method">${entry.testMethod || 'Browser'}</span>
                     </div>
                 </div>
@@ -2271,6 +4819,14 @@ ${this.useBackend ? 'Backend Server Mode' : 'Browser Mode'}
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 // Initialize the app when DOM is ready